@@ -3,14 +3,64 @@ import express from 'express';
 import http from 'http';
 import { Server as SocketIOServer } from 'socket.io';
 import { WebSocketServer } from 'ws';
+import { SUPPORTED_PROTOCOL_VERSIONS } from '@modelcontextprotocol/sdk/types.js';
+import {
+  callTool,
+  getOfferings,
+  getTool,
+  listTools,
+  toToolError,
+  toToolResult,
+  ToolInputError
+} from './tool-registry.js';
+import { createStreamTracker, streamError, STREAMING_TOOLS } from './tool-streams.js';
+import { listResources, listResourceTemplates, readResource, ResourceError, subscribeResource } from './repo-resources.js';
+import { getPrompt, listPrompts } from './prompt-registry.js';
+import { registerIndexEvents } from './index-events.js';
+
+// Capabilities advertised to MCP clients on the WebSocket channel
+const serverCapabilities = {
+  tools: { listChanged: false },
+  resources: { listChanged: false },
+  prompts: { listChanged: false }
+};
 
 /**
  * Enhances an Express server with full MCP protocol support
+ *
+ * The raw WebSocket channel is an MCP transport: one JSON-RPC message per
+ * frame, with initialize, ping, tools/*, resources/* and prompts/* served by
+ * the shared registry. Each connection is tracked in `connections`, and
+ * `notify()` pushes a notification to every initialized one. With
+ * ctx.resourceSubscriptions, clients can subscribe to repo:// resources.
+ *
+ * Both socket channels stream chat and vectorSearch (tool-streams.js):
+ * - WebSocket: a JSON-RPC request `{ id, method: "chat", params }` gets
+ *   `stream/partial` notifications `{ id, kind: "hit"|"token", ... }`, then a
+ *   result or error response with the same id. `notifications/cancelled`
+ *   with `{ requestId }` cancels it, as it cancels tools/call.
+ * - Socket.IO: the `chat` and `vectorSearch` events take `{ id, params }`
+ *   (acknowledged with the id) and are answered with `stream:partial`, then
+ *   `stream:complete` `{ id, result }` or `stream:error` `{ id, error }`. The
+ *   `cancel` event with `{ id }` cancels it.
+ *
+ * Socket.IO clients can also start indexing (`indexRepository`, acknowledged
+ * with `{ result }` or `{ error }`) and join repository rooms to follow
+ * index:* events (index-events.js).
+ *
+ * With options.auth (auth.js), WebSocket upgrades without a valid API key
+ * are refused with 401 and Socket.IO handshakes with `Unauthorized`. The HTTP
+ * routes added here are guarded by the app's own auth middleware.
+ *
  * @param {express.Application} app - Express application
  * @param {http.Server} server - HTTP server
  * @param {Object} serverInfo - MCP server information
+ * @param {Object} [ctx] - Tool context for tool calls (see tool-registry.js)
+ * @param {Object} [options]
+ * @param {Object} [options.auth] - Authenticator from createAuth
+ * @returns {{ io, wss, connections: Map, notify: Function }}
  */
-export function setupMCPProtocol(app, server, serverInfo) {
+export function setupMCPProtocol(app, server, serverInfo, ctx = {}, { auth } = {}) {
   // Setup Socket.IO for real-time communication
   const io = new SocketIOServer(server, {
     cors: {
@@ -18,19 +68,51 @@ export function setupMCPProtocol(app, server, serverInfo) {
       methods: ["GET", "POST"]
     }
   });
+  if (auth) {
+    io.use(auth.socketIoMiddleware());
+  }
   
-  // Setup WebSocket server for direct WebSocket connections
-  const wss = new WebSocketServer({ server });
+  // Setup WebSocket server for direct WebSocket connections; upgrades on
+  // Socket.IO's path are left to Socket.IO, which would otherwise be cut off
+  const wss = new WebSocketServer({ noServer: true });
+  server.on('upgrade', (req, socket, head) => {
+    if (req.url.startsWith(`${io.path()}/`)) return;
+    if (auth && !auth.authenticateHeaders(req.headers)) {
+      console.error(`[${new Date().toISOString()}] WebSocket upgrade refused: missing or invalid API key`);
+      socket.end("HTTP/1.1 401 Unauthorized\r\nWWW-Authenticate: Bearer\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+      return;
+    }
+    wss.handleUpgrade(req, socket, head, (ws) => wss.emit('connection', ws, req));
+  });
   
-  // Track active connections
+  // Track active connections: connection id -> { id, ws, initialized,
+  // clientInfo, protocolVersion, streams, requests, subscriptions }, where
+  // requests maps in-flight tools/call ids to their AbortController
   const connections = new Map();
   
+  // Index job events for repository rooms
+  if (ctx.indexJobs) {
+    registerIndexEvents(io, ctx.indexJobs);
+  }
+  
   // Handle WebSocket connections
   wss.on('connection', (ws) => {
     const connectionId = Date.now().toString() + Math.random().toString(36).substr(2, 9);
-    connections.set(connectionId, ws);
+    const connection = {
+      id: connectionId,
+      ws,
+      initialized: false,
+      clientInfo: null,
+      protocolVersion: null,
+      streams: createStreamTracker(ctx),
+      requests: new Map(),
+      subscriptions: ctx.resourceSubscriptions?.open(
+        async (notification) => sendMessage(ws, { jsonrpc: "2.0", ...notification })
+      )
+    };
+    connections.set(connectionId, connection);
     
-    console.log(`[${new Date().toISOString()}] WebSocket client connected: ${connectionId}`);
+    console.error(`[${new Date().toISOString()}] WebSocket client connected: ${connectionId}`);
     
     // Send server info immediately after connection
     ws.send(JSON.stringify({
@@ -40,27 +122,30 @@ export function setupMCPProtocol(app, server, serverInfo) {
     }));
     
     ws.on('message', (message) => {
+      let data;
       try {
-        const data = JSON.parse(message);
-        console.log(`[${new Date().toISOString()}] WebSocket message received:`, data);
-        
-        // Handle JSON-RPC requests
-        if (data.jsonrpc === "2.0") {
-          // Handle method calls
-          if (data.method === "listOfferings") {
-            handleListOfferings(ws, data);
-          }
-          // Add more method handlers as needed
-        }
+        data = JSON.parse(message);
       } catch (error) {
         console.error(`[${new Date().toISOString()}] WebSocket message error:`, error);
         sendErrorResponse(ws, "parse_error", -32700, "Parse error", null);
+        return;
       }
+      console.error(`[${new Date().toISOString()}] WebSocket message received:`, data);
+      
+      handleMessage(connection, data).catch((error) => {
+        console.error(`[${new Date().toISOString()}] WebSocket ${data?.method} failed:`, error);
+        if (data?.id !== undefined) {
+          sendErrorResponse(ws, "internal_error", -32603, error.message, data.id);
+        }
+      });
     });
     
     ws.on('close', () => {
-      console.log(`[${new Date().toISOString()}] WebSocket client disconnected: ${connectionId}`);
+      console.error(`[${new Date().toISOString()}] WebSocket client disconnected: ${connectionId}`);
       connections.delete(connectionId);
+      connection.streams.cancelAll("connection closed");
+      for (const controller of connection.requests.values()) controller.abort("connection closed");
+      connection.subscriptions?.close();
     });
     
     ws.on('error', (error) => {
@@ -70,14 +155,40 @@ export function setupMCPProtocol(app, server, serverInfo) {
   
   // Handle Socket.IO connections
   io.on('connection', (socket) => {
-    console.log(`[${new Date().toISOString()}] Socket.IO client connected: ${socket.id}`);
+    console.error(`[${new Date().toISOString()}] Socket.IO client connected: ${socket.id}`);
     
     // Send server info immediately after connection
     socket.emit('serverInfo', { serverInfo });
     
+    // Streamed tool calls; ids the client leaves out are generated
+    const streams = createStreamTracker(ctx);
+    let nextStreamId = 1;
+    for (const name of STREAMING_TOOLS) {
+      socket.on(name, (request = {}, callback) => {
+        const id = request.id ?? `${socket.id}:${nextStreamId++}`;
+        if (typeof callback === 'function') callback({ id });
+        streams.run(id, name, request.params, {
+          partial: (kind, data) => socket.emit('stream:partial', { id, kind, ...data }),
+          complete: (result) => socket.emit('stream:complete', { id, result }),
+          fail: (error) => socket.emit('stream:error', { id, error })
+        });
+      });
+    }
+    socket.on('cancel', (request = {}) => {
+      streams.cancel(request.id, request.reason);
+    });
+    
+    // Start an index job; its events go to the repository's room
+    socket.on('indexRepository', (params, callback) => {
+      callTool('indexRepository', params, ctx).then(
+        (result) => typeof callback === 'function' && callback({ result }),
+        (error) => typeof callback === 'function' && callback({ error: streamError(error) })
+      );
+    });
+    
     // Handle standard MCP events
     socket.on('listOfferings', (data, callback) => {
-      console.log(`[${new Date().toISOString()}] Socket.IO listOfferings requested`);
+      console.error(`[${new Date().toISOString()}] Socket.IO listOfferings requested`);
       const offerings = getOfferings();
       if (typeof callback === 'function') {
         callback(offerings);
@@ -88,7 +199,8 @@ export function setupMCPProtocol(app, server, serverInfo) {
     
     // Handle disconnection
     socket.on('disconnect', (reason) => {
-      console.log(`[${new Date().toISOString()}] Socket.IO client disconnected: ${socket.id}, Reason: ${reason}`);
+      console.error(`[${new Date().toISOString()}] Socket.IO client disconnected: ${socket.id}, Reason: ${reason}`);
+      streams.cancelAll("connection closed");
     });
   });
   
@@ -97,7 +209,7 @@ export function setupMCPProtocol(app, server, serverInfo) {
   // Standard RPC endpoint for JSON-RPC over HTTP
   app.post('/rpc', express.json(), (req, res) => {
     const rpcRequest = req.body;
-    console.log(`[${new Date().toISOString()}] RPC request:`, rpcRequest);
+    console.error(`[${new Date().toISOString()}] RPC request:`, rpcRequest);
     
     // Check if it's a valid JSON-RPC request
     if (!rpcRequest.jsonrpc || rpcRequest.jsonrpc !== "2.0") {
@@ -143,7 +255,7 @@ export function setupMCPProtocol(app, server, serverInfo) {
   
   // Make sure MCP registration returns the proper format
   app.post('/mcp-registration', (req, res) => {
-    console.log(`[${new Date().toISOString()}] MCP registration requested`);
+    console.error(`[${new Date().toISOString()}] MCP registration requested`);
     res.json({
       jsonrpc: "2.0",
       result: {
@@ -155,62 +267,12 @@ export function setupMCPProtocol(app, server, serverInfo) {
   
   // Enhanced offerings endpoint
   app.post('/offerings', (req, res) => {
-    console.log(`[${new Date().toISOString()}] HTTP offerings requested`);
+    console.error(`[${new Date().toISOString()}] HTTP offerings requested`);
     res.json(getOfferings());
   });
   
   // Helper functions
   
-  function getOfferings() {
-    return {
-      tools: [
-        {
-          id: "chat",
-          name: "Chat",
-          description: "Process a chat message with repository context",
-          parameters: {
-            type: "object",
-            required: ["message"],
-            properties: {
-              message: { type: "string", description: "The message to process" },
-              repository: { type: "string", description: "Repository to use for context" },
-              context: { type: "array", items: { type: "string" }, description: "Additional context" }
-            }
-          }
-        },
-        {
-          id: "vectorSearch",
-          name: "Vector Search",
-          description: "Search for code in a repository",
-          parameters: {
-            type: "object",
-            required: ["query", "repository"],
-            properties: {
-              query: { type: "string", description: "The search query" },
-              repository: { type: "string", description: "Repository to search in" },
-              limit: { type: "number", description: "Maximum results to return" }
-            }
-          }
-        },
-        {
-          id: "indexRepository",
-          name: "Index Repository",
-          description: "Index a repository for search",
-          parameters: {
-            type: "object",
-            required: ["repository"],
-            properties: {
-              repository: { type: "string", description: "Repository URL to index" },
-              branch: { type: "string", description: "Branch to index" }
-            }
-          }
-        }
-      ],
-      resources: [],
-      resourceTemplates: []
-    };
-  }
-  
   function handleListOfferings(ws, data) {
     const offerings = getOfferings();
     ws.send(JSON.stringify({
@@ -220,20 +282,196 @@ export function setupMCPProtocol(app, server, serverInfo) {
     }));
   }
   
+  // Dispatch one JSON-RPC message from a WebSocket client. Notifications
+  // (no id) never get a response; requests for unknown methods get -32601
+  async function handleMessage(connection, data) {
+    const { ws } = connection;
+    const isNotification = !data || typeof data !== "object" || !("id" in data);
+    if (!data || data.jsonrpc !== "2.0" || typeof data.method !== "string") {
+      // Responses to nothing we asked, or malformed requests
+      if (!isNotification && !("result" in data || "error" in data)) {
+        sendErrorResponse(ws, "invalid_request", -32600, "Invalid Request", data.id);
+      }
+      return;
+    }
+    const params = data.params || {};
+    
+    switch (data.method) {
+      case "initialize": {
+        const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+          ? params.protocolVersion
+          : SUPPORTED_PROTOCOL_VERSIONS[0];
+        connection.protocolVersion = protocolVersion;
+        connection.clientInfo = params.clientInfo || null;
+        return sendResult(ws, data.id, {
+          protocolVersion,
+          capabilities: {
+            ...serverCapabilities,
+            resources: { ...serverCapabilities.resources, ...(connection.subscriptions ? { subscribe: true } : {}) }
+          },
+          serverInfo: { name: serverInfo.name, version: serverInfo.version },
+          ...(serverInfo.description ? { instructions: serverInfo.description } : {})
+        });
+      }
+      
+      case "notifications/initialized":
+        connection.initialized = true;
+        return;
+      
+      case "notifications/cancelled":
+        if (!connection.streams.cancel(params.requestId, params.reason)) {
+          connection.requests.get(params.requestId)?.abort(params.reason);
+        }
+        return;
+      
+      case "ping":
+        return sendResult(ws, data.id, {});
+      
+      case "tools/list":
+        return sendResult(ws, data.id, { tools: listTools() });
+      
+      case "tools/call":
+        return handleToolsCall(connection, data.id, params);
+      
+      case "resources/list":
+      case "resources/templates/list":
+      case "resources/read":
+      case "resources/subscribe":
+      case "resources/unsubscribe":
+        return handleResources(connection, data.method, data.id, params);
+      
+      case "prompts/list":
+        return sendResult(ws, data.id, { prompts: listPrompts() });
+      
+      case "prompts/get":
+        try {
+          return sendResult(ws, data.id, await getPrompt(params.name, params.arguments, ctx));
+        } catch (error) {
+          return sendErrorResponse(ws, "prompt_error", error instanceof ToolInputError ? -32602 : -32603, error.message, data.id);
+        }
+      
+      case "listOfferings":
+        return handleListOfferings(ws, data);
+      
+      default:
+        if (STREAMING_TOOLS.has(data.method)) {
+          return handleStream(ws, connection.streams, data);
+        }
+        if (!isNotification) {
+          sendErrorResponse(ws, "method_not_found", -32601, `Method not found: ${data.method}`, data.id);
+        }
+    }
+  }
+  
+  // Run a registry tool for tools/call. Failures of the tool are results
+  // with isError set; unknown tools and invalid arguments are -32602.
+  // Cancelled calls get no response.
+  async function handleToolsCall(connection, id, params) {
+    const { ws } = connection;
+    const tool = getTool(params.name);
+    const controller = new AbortController();
+    connection.requests.set(id, controller);
+    try {
+      const data = await callTool(params.name, params.arguments, {
+        ...ctx,
+        signal: controller.signal,
+        progressToken: params._meta?.progressToken,
+        sendNotification: async (notification) => sendMessage(ws, { jsonrpc: "2.0", ...notification })
+      });
+      if (!controller.signal.aborted) sendResult(ws, id, toToolResult(data));
+    } catch (error) {
+      if (controller.signal.aborted) return;
+      if (error instanceof ToolInputError) {
+        sendErrorResponse(ws, "invalid_params", -32602, error.message, id);
+      } else {
+        sendResult(ws, id, toToolError(tool, error));
+      }
+    } finally {
+      connection.requests.delete(id);
+    }
+  }
+  
+  // Serve resources/list, resources/templates/list, resources/read,
+  // resources/subscribe and resources/unsubscribe
+  async function handleResources(connection, method, id, params) {
+    const { ws, subscriptions } = connection;
+    try {
+      switch (method) {
+        case "resources/list":
+          return sendResult(ws, id, listResources(ctx, { cursor: params.cursor }));
+        case "resources/templates/list":
+          return sendResult(ws, id, { resourceTemplates: listResourceTemplates() });
+        case "resources/subscribe":
+        case "resources/unsubscribe":
+          if (!subscriptions) {
+            return sendErrorResponse(ws, "method_not_found", -32601, `Method not found: ${method}`, id);
+          }
+          if (method === "resources/unsubscribe") {
+            subscriptions.unsubscribe(params.uri);
+            return sendResult(ws, id, {});
+          }
+          return sendResult(ws, id, subscribeResource(subscriptions, params.uri));
+        default:
+          return sendResult(ws, id, await readResource(ctx, params.uri));
+      }
+    } catch (error) {
+      sendErrorResponse(ws, "resource_error", error instanceof ResourceError ? error.code : -32603, error.message, id);
+    }
+  }
+  
+  // Push a notification to every initialized WebSocket client
+  function notify(method, params) {
+    for (const connection of connections.values()) {
+      if (connection.initialized) {
+        sendMessage(connection.ws, { jsonrpc: "2.0", method, ...(params !== undefined ? { params } : {}) });
+      }
+    }
+  }
+  
+  // Stream a chat or vectorSearch request as stream/partial notifications
+  // followed by its response
+  function handleStream(ws, streams, data) {
+    if (data.id === undefined || data.id === null) {
+      sendErrorResponse(ws, "invalid_request", -32600, "Streamed requests need an id", null);
+      return;
+    }
+    streams.run(data.id, data.method, data.params, {
+      partial: (kind, payload) => sendMessage(ws, {
+        jsonrpc: "2.0",
+        method: "stream/partial",
+        params: { id: data.id, kind, ...payload }
+      }),
+      complete: (result) => sendMessage(ws, { jsonrpc: "2.0", result, id: data.id }),
+      fail: (error) => sendMessage(ws, { jsonrpc: "2.0", error, id: data.id })
+    });
+  }
+  
+  // Send unless the client has gone away meanwhile
+  function sendMessage(ws, message) {
+    if (ws.readyState === ws.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+  
+  function sendResult(ws, id, result) {
+    sendMessage(ws, { jsonrpc: "2.0", result, id });
+  }
+  
   function sendErrorResponse(ws, errorType, code, message, id) {
-    ws.send(JSON.stringify({
+    sendMessage(ws, {
       jsonrpc: "2.0",
       error: {
         code,
         message
       },
       id
-    }));
+    });
   }
   
   return {
     io,
     wss,
-    connections
+    connections,
+    notify
   };
 }
\ No newline at end of file
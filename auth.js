@@ -0,0 +1,189 @@
+// auth.js - API key authentication for every network entrypoint
+//
+// One authenticator guards the HTTP routes (express middleware), the raw
+// WebSocket upgrade and Socket.IO handshakes. Clients send a key as
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`; Socket.IO clients may
+// pass it as `auth: { token }` instead, since browsers can't set headers on
+// a socket. Keys are named so logs and requests can say which client called
+// without showing the key, and are compared in constant time.
+//
+// Keys are merged from:
+//   MCP_API_KEYS      - comma-separated name:key pairs, e.g. "dashboard:k1,ci:k2"
+//   config.json       - an `apiKeys` object of name -> key
+//   MCP_SECRET_TOKEN  - a single key named "default"
+// MCP_INSECURE=true lets an HTTP entrypoint start without any key; every
+// request is then accepted.
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+// Name attached to requests when running insecure
+const ANONYMOUS = 'anonymous';
+
+// Values that mean a key was never really configured
+const UNSET_VALUES = new Set(['', 'undefined', 'null']);
+
+/**
+ * Error raised when an HTTP entrypoint would start without authentication
+ */
+export class AuthConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AuthConfigError';
+  }
+}
+
+// `apiKeys` from config.json in the working directory, if any
+function readConfigKeys(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).apiKeys || {};
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`DEBUG - Could not read API keys from ${file}:`, error.message);
+    }
+    return {};
+  }
+}
+
+/**
+ * Load the configured API keys
+ * @param {Object} [options]
+ * @param {Object} [options.env] - Environment to read (default: process.env)
+ * @param {Object} [options.configKeys] - name -> key, defaults to `apiKeys` from config.json
+ * @returns {Map<string, string>} Key name -> key
+ */
+export function loadApiKeys({ env = process.env, configKeys = readConfigKeys('./config.json') } = {}) {
+  const keys = new Map();
+  const add = (name, key) => {
+    const value = typeof key === 'string' ? key.trim() : '';
+    if (name && !UNSET_VALUES.has(value)) keys.set(name, value);
+  };
+
+  for (const entry of (env.MCP_API_KEYS || '').split(',')) {
+    const separator = entry.indexOf(':');
+    if (separator > 0) add(entry.slice(0, separator).trim(), entry.slice(separator + 1));
+  }
+  for (const [name, key] of Object.entries(configKeys)) add(name, key);
+  add('default', env.MCP_SECRET_TOKEN);
+  return keys;
+}
+
+// Compare two strings in constant time: hashing first makes the lengths equal
+function safeEqual(a, b) {
+  const digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+// Key presented in request headers: a bearer token or X-API-Key
+function headerToken(headers = {}) {
+  const authorization = headers.authorization;
+  if (typeof authorization === 'string') {
+    const match = authorization.match(/^Bearer\s+(.+)$/i);
+    if (match) return match[1].trim();
+  }
+  const apiKey = headers['x-api-key'];
+  return typeof apiKey === 'string' ? apiKey.trim() : null;
+}
+
+/**
+ * Create the authenticator
+ * @param {Object} [options]
+ * @param {Map<string, string>} [options.keys] - Key name -> key (default: loadApiKeys())
+ * @param {boolean} [options.insecure] - Accept every request when no key is configured (MCP_INSECURE)
+ */
+export function createAuth({
+  keys = loadApiKeys(),
+  insecure = process.env.MCP_INSECURE === 'true'
+} = {}) {
+  const entries = [...keys.entries()];
+  const open = entries.length === 0 && insecure;
+
+  /**
+   * Name of the key matching a token, or null. Every key is compared, so the
+   * time taken doesn't reveal which one matched.
+   */
+  function authenticate(token) {
+    if (open) return ANONYMOUS;
+    if (typeof token !== 'string' || !token) return null;
+    let match = null;
+    for (const [name, key] of entries) {
+      if (safeEqual(token, key) && match === null) match = name;
+    }
+    return match;
+  }
+
+  return {
+    /**
+     * Names of the configured keys
+     */
+    keyNames: entries.map(([name]) => name),
+
+    /**
+     * Whether requests need a key
+     */
+    enabled: !open,
+
+    authenticate,
+
+    /**
+     * Name of the key presented in request headers, or null
+     * @param {Object} headers - Node request headers (lowercase names)
+     */
+    authenticateHeaders(headers) {
+      return authenticate(headerToken(headers));
+    },
+
+    /**
+     * Express middleware answering 401 unless the request carries a valid
+     * key; sets `req.apiKeyName`
+     * @param {Object} [options]
+     * @param {Array<string>} [options.publicPaths] - Paths served without a key, e.g. health checks
+     */
+    middleware({ publicPaths = [] } = {}) {
+      const exempt = new Set(publicPaths);
+      return (req, res, next) => {
+        if (exempt.has(req.path)) return next();
+        const name = authenticate(headerToken(req.headers));
+        if (!name) {
+          res.set('WWW-Authenticate', 'Bearer');
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        req.apiKeyName = name;
+        next();
+      };
+    },
+
+    /**
+     * Socket.IO middleware (io.use) rejecting handshakes without a valid key
+     * in `auth.token` or the headers; sets `socket.data.apiKeyName`
+     */
+    socketIoMiddleware() {
+      return (socket, next) => {
+        const { auth = {}, headers } = socket.handshake;
+        const name = authenticate(typeof auth.token === 'string' ? auth.token : headerToken(headers));
+        if (!name) return next(new Error('Unauthorized'));
+        socket.data.apiKeyName = name;
+        next();
+      };
+    }
+  };
+}
+
+/**
+ * Refuse to serve HTTP without authentication unless insecure mode was
+ * chosen explicitly
+ * @param {Object} auth - From createAuth
+ * @param {string} entrypoint - Name used in the error
+ * @throws {AuthConfigError}
+ */
+export function assertAuthConfigured(auth, entrypoint) {
+  if (auth.enabled && auth.keyNames.length === 0) {
+    throw new AuthConfigError(
+      `${entrypoint} serves HTTP but no API key is configured. Set MCP_API_KEYS (name:key,...), ` +
+      'apiKeys in config.json or MCP_SECRET_TOKEN, or set MCP_INSECURE=true to run without authentication.'
+    );
+  }
+  if (!auth.enabled) {
+    console.error(`WARNING - ${entrypoint} is running without authentication (MCP_INSECURE=true)`);
+  }
+}
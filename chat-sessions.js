@@ -0,0 +1,173 @@
+// chat-sessions.js - persistent conversation sessions for the chat tool
+//
+// A session keeps the messages of a conversation, its active repository and
+// the code snippets retrieved so far, so follow-up questions can build on
+// earlier turns. Each session is a JSON file in the session directory,
+// written atomically; sessions expire `ttl` after their last update and are
+// pruned lazily whenever the store is read.
+//
+// Environment:
+//   CHAT_SESSION_DIR    - where session files live (default: <tmpdir>/mcp-chat-sessions)
+//   CHAT_SESSION_TTL_MS - idle time before a session expires (default 86400000, one day)
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Session IDs double as file names, so only allow a safe alphabet
+export const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+
+// Identity of a snippet, so the same chunk is only kept once
+function snippetKey(snippet) {
+  return `${snippet.repository || ''}#${snippet.file}#${snippet.startLine ?? ''}-${snippet.endLine ?? ''}`;
+}
+
+/**
+ * Create a session store
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Directory holding one JSON file per session
+ * @param {number} [options.ttl] - Milliseconds a session lives after its last update
+ * @param {number} [options.maxMessages] - Messages kept per session, oldest dropped first
+ * @param {number} [options.maxSnippets] - Retrieved snippets kept per session, oldest dropped first
+ */
+export function createSessionStore({
+  dir = process.env.CHAT_SESSION_DIR || path.join(os.tmpdir(), 'mcp-chat-sessions'),
+  ttl = parseInt(process.env.CHAT_SESSION_TTL_MS || '86400000', 10),
+  maxMessages = 50,
+  maxSnippets = 20
+} = {}) {
+  // session id -> promise of the last queued update, so concurrent turns of
+  // one session are applied in order
+  const queues = new Map();
+
+  function fileFor(sessionId) {
+    if (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId)) {
+      throw new Error(`Invalid session ID: ${sessionId}`);
+    }
+    return path.join(dir, `${sessionId}.json`);
+  }
+
+  function isExpired(session) {
+    return Date.parse(session.updatedAt) + ttl <= Date.now();
+  }
+
+  // Session from disk, or null when missing, unreadable or expired
+  async function load(sessionId) {
+    const file = fileFor(sessionId);
+    let session;
+    try {
+      session = JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`DEBUG - Unreadable chat session ${sessionId}:`, error.message);
+      }
+      return null;
+    }
+    if (isExpired(session)) {
+      await fs.rm(file, { force: true });
+      return null;
+    }
+    return session;
+  }
+
+  async function save(session) {
+    await fs.mkdir(dir, { recursive: true });
+    const file = fileFor(session.sessionId);
+    const temporary = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(session, null, 2));
+    await fs.rename(temporary, file);
+  }
+
+  // Summary of a session for listSessions
+  function describe(session) {
+    return {
+      sessionId: session.sessionId,
+      repository: session.repository,
+      messages: session.messages.length,
+      snippets: session.snippets.length,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      expiresAt: new Date(Date.parse(session.updatedAt) + ttl).toISOString()
+    };
+  }
+
+  return {
+    /**
+     * A session, or null when it doesn't exist or has expired
+     * @throws {Error} When the session ID is invalid
+     */
+    get(sessionId) {
+      return load(sessionId);
+    },
+
+    /**
+     * Record one chat turn: the user message, the reply, the repository and
+     * the snippets retrieved for it. Creates the session when needed.
+     * @param {string} sessionId
+     * @param {Object} turn - { repository, user, assistant, snippets, context }
+     * @returns {Promise<Object>} The updated session
+     */
+    recordTurn(sessionId, { repository, user, assistant, snippets = [], context }) {
+      const previous = queues.get(sessionId) || Promise.resolve();
+      const update = previous.catch(() => {}).then(async () => {
+        const now = new Date().toISOString();
+        const session = await load(sessionId) || {
+          sessionId,
+          repository: null,
+          messages: [],
+          snippets: [],
+          context: {},
+          createdAt: now
+        };
+
+        session.repository = repository || session.repository;
+        session.context = { ...session.context, ...context };
+        session.messages.push(
+          { role: 'user', content: user, timestamp: now },
+          { role: 'assistant', content: assistant, timestamp: now }
+        );
+        session.messages = session.messages.slice(-maxMessages);
+
+        const fresh = new Map(snippets.map(snippet => [snippetKey(snippet), snippet]));
+        session.snippets = [
+          ...session.snippets.filter(snippet => !fresh.has(snippetKey(snippet))),
+          ...fresh.values()
+        ].slice(-maxSnippets);
+        session.updatedAt = now;
+
+        await save(session);
+        return session;
+      });
+      queues.set(sessionId, update);
+      update.finally(() => {
+        if (queues.get(sessionId) === update) queues.delete(sessionId);
+      }).catch(() => {});
+      return update;
+    },
+
+    /**
+     * Every live session, most recently updated first. Expired sessions are
+     * deleted on the way.
+     */
+    async list() {
+      const names = await fs.readdir(dir).catch(() => []);
+      const sessions = [];
+      for (const name of names) {
+        if (!name.endsWith('.json')) continue;
+        const session = await load(name.slice(0, -'.json'.length)).catch(() => null);
+        if (session) sessions.push(describe(session));
+      }
+      return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    },
+
+    /**
+     * Delete a session
+     * @returns {Promise<boolean>} Whether a live session was deleted
+     */
+    async clear(sessionId) {
+      const existed = Boolean(await load(sessionId));
+      await fs.rm(fileFor(sessionId), { force: true });
+      return existed;
+    }
+  };
+}
@@ -0,0 +1,292 @@
+// code-chunker.js - syntax-aware chunking for local indexing
+//
+// Splits JavaScript/TypeScript, Go and Python on function, class and method
+// boundaries so a chunk is a whole declaration, with a size-based fallback
+// for other files and for declarations too long to keep whole. Boundaries
+// are found with line patterns plus brace matching (JS/TS, Go) or
+// indentation (Python); no parser is involved, so unusual formatting degrades
+// to size-based chunks rather than failing.
+
+import path from 'path';
+
+// Longest declaration kept as one chunk; longer ones are split by size
+const DEFAULT_MAX_LINES = 80;
+
+// Identifier in JS/TS
+const JS_IDENT = '[A-Za-z_$][\\w$]*';
+
+// Language by file extension, for every file we index
+const LANGUAGE_BY_EXTENSION = {
+  '.js': 'javascript', '.mjs': 'javascript', '.cjs': 'javascript', '.jsx': 'javascript',
+  '.ts': 'typescript', '.tsx': 'typescript', '.mts': 'typescript', '.cts': 'typescript',
+  '.go': 'go',
+  '.py': 'python',
+  '.rb': 'ruby', '.java': 'java', '.kt': 'kotlin', '.rs': 'rust', '.c': 'c', '.h': 'c',
+  '.cc': 'cpp', '.cpp': 'cpp', '.hpp': 'cpp', '.cs': 'csharp', '.php': 'php', '.swift': 'swift',
+  '.scala': 'scala', '.sh': 'shell', '.sql': 'sql', '.md': 'markdown', '.json': 'json',
+  '.yaml': 'yaml', '.yml': 'yaml', '.toml': 'toml', '.html': 'html', '.css': 'css', '.scss': 'scss'
+};
+
+// JS/TS declarations that start a top-level unit
+const JS_DECLARATIONS = [
+  new RegExp(`^(?:export\\s+(?:default\\s+)?)?(?:async\\s+)?function\\s*\\*?\\s*(${JS_IDENT})`),
+  new RegExp(`^(?:export\\s+(?:default\\s+)?)?(?:abstract\\s+)?class\\s+(${JS_IDENT})`),
+  new RegExp(`^(?:export\\s+)?(?:const|let|var)\\s+(${JS_IDENT})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*(?::[^=]+)?=>|${JS_IDENT}\\s*=>)`),
+  new RegExp(`^(?:export\\s+)?(?:declare\\s+)?(?:interface|enum|type)\\s+(${JS_IDENT})`)
+];
+
+// JS/TS class members
+const JS_MEMBER = new RegExp(
+  `^\\s+(?:(?:public|private|protected|static|async|get|set|readonly|override|abstract)\\s+)*\\*?(#?${JS_IDENT})\\s*(?:<[^>]*>)?\\(`
+);
+
+// Words that look like a member call but start a statement
+const JS_KEYWORDS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'await', 'new', 'super']);
+
+// Per-language boundary rules: `declaration(line)` names a top-level unit,
+// `member(line)` names a method inside a class, `blocks` picks how a unit ends
+const LANGUAGES = {
+  javascript: {
+    blocks: 'braces',
+    comment: /^\s*(\/\/|\/\*|\*|@)/,
+    declaration(line) {
+      for (const pattern of JS_DECLARATIONS) {
+        const match = line.match(pattern);
+        if (match) return { name: match[1], isClass: /\bclass\s/.test(line) };
+      }
+      return null;
+    },
+    member(line) {
+      const match = line.match(JS_MEMBER);
+      return match && !JS_KEYWORDS.has(match[1]) && /\{\s*$/.test(line) ? match[1] : null;
+    }
+  },
+  go: {
+    blocks: 'braces',
+    comment: /^\s*\/\//,
+    declaration(line) {
+      const func = line.match(/^func\s+(?:\(\s*\w+\s+\*?(\w+)[^)]*\)\s*)?(\w+)/);
+      if (func) return { name: func[1] ? `${func[1]}.${func[2]}` : func[2], isClass: false };
+      const type = line.match(/^type\s+(\w+)\s+(?:struct|interface)\b/);
+      return type ? { name: type[1], isClass: false } : null;
+    },
+    member() {
+      return null;
+    }
+  },
+  python: {
+    blocks: 'indent',
+    comment: /^\s*(#|@)/,
+    declaration(line) {
+      const match = line.match(/^(?:async\s+def|def|class)\s+(\w+)/);
+      return match ? { name: match[1], isClass: line.startsWith('class') } : null;
+    },
+    member(line) {
+      const match = line.match(/^\s+(?:async\s+)?def\s+(\w+)/);
+      return match ? match[1] : null;
+    }
+  }
+};
+LANGUAGES.typescript = LANGUAGES.javascript;
+
+/**
+ * Language of a file from its extension, or 'text'
+ */
+export function detectLanguage(file) {
+  return LANGUAGE_BY_EXTENSION[path.extname(file).toLowerCase()] || 'text';
+}
+
+/**
+ * Split content into overlapping chunks of whole lines (the size-based fallback)
+ * @returns {Array<{ content: string, startLine: number, endLine: number }>}
+ */
+export function chunkText(content, { maxLines = 40, overlap = 5 } = {}) {
+  const lines = content.split('\n');
+  const chunks = [];
+  const step = Math.max(1, maxLines - overlap);
+  for (let start = 0; start < lines.length; start += step) {
+    const slice = lines.slice(start, start + maxLines);
+    if (slice.join('').trim()) {
+      chunks.push({
+        content: slice.join('\n'),
+        startLine: start + 1,
+        endLine: start + slice.length
+      });
+    }
+    if (start + maxLines >= lines.length) break;
+  }
+  return chunks;
+}
+
+function indentOf(line) {
+  return line.match(/^\s*/)[0].length;
+}
+
+// Index of the line closing the brace block opened at or after `start`.
+// Strings, template literals, comments and braces inside parentheses
+// (destructured parameters) are skipped; a statement that ends with `;`
+// before any brace opens ends on that line.
+function braceBlockEnd(lines, start) {
+  let depth = 0;
+  let parens = 0;
+  let opened = false;
+  let inBlockComment = false;
+  let quote = null;
+
+  for (let i = start; i < lines.length; i++) {
+    const line = lines[i];
+    for (let j = 0; j < line.length; j++) {
+      const char = line[j];
+      if (inBlockComment) {
+        if (char === '*' && line[j + 1] === '/') {
+          inBlockComment = false;
+          j++;
+        }
+      } else if (quote) {
+        if (char === '\\') j++;
+        else if (char === quote) quote = null;
+      } else if (char === '/' && line[j + 1] === '/') {
+        break;
+      } else if (char === '/' && line[j + 1] === '*') {
+        inBlockComment = true;
+        j++;
+      } else if (char === '"' || char === "'" || char === '`') {
+        quote = char;
+      } else if (char === '(') {
+        parens++;
+      } else if (char === ')') {
+        parens = Math.max(0, parens - 1);
+      } else if (parens > 0) {
+        continue;
+      } else if (char === '{') {
+        depth++;
+        opened = true;
+      } else if (char === '}') {
+        depth--;
+        if (opened && depth <= 0) return i;
+      } else if (char === ';' && !opened && depth === 0) {
+        return i;
+      }
+    }
+    // Only template literals span lines
+    if (quote !== '`') quote = null;
+  }
+  return lines.length - 1;
+}
+
+// Index of the last line of the indented block started at `start`
+function indentBlockEnd(lines, start) {
+  const indent = indentOf(lines[start]);
+  let end = start;
+  for (let i = start + 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    if (indentOf(lines[i]) <= indent) break;
+    end = i;
+  }
+  return end;
+}
+
+function blockEnd(rules, lines, start) {
+  return rules.blocks === 'indent' ? indentBlockEnd(lines, start) : braceBlockEnd(lines, start);
+}
+
+// Move a declaration's start up over the comments and decorators directly above it
+function withLeadingComments(rules, lines, start, floor) {
+  let first = start;
+  while (first - 1 >= floor && lines[first - 1].trim() && rules.comment.test(lines[first - 1])) {
+    first--;
+  }
+  return first;
+}
+
+// Find declaration units in lines[from..to], returning [{ start, end, name, isClass }]
+// with inclusive 0-based indices. `find(line)` names a declaration or returns null.
+function findUnits(rules, lines, from, to, find) {
+  const units = [];
+  for (let i = from; i <= to; i++) {
+    const found = find(lines[i]);
+    if (!found) continue;
+    const end = Math.min(blockEnd(rules, lines, i), to);
+    const floor = units.length ? units[units.length - 1].end + 1 : from;
+    units.push({ start: withLeadingComments(rules, lines, i, floor), end, ...found });
+    i = end;
+  }
+  return units;
+}
+
+/**
+ * Split a file into chunks on declaration boundaries. JS/TS, Go and Python
+ * are split per function, class and (for large classes) method; code between
+ * declarations and every other language fall back to size-based chunks.
+ * @param {string} file - Path, used to pick the language
+ * @param {string} content - File content
+ * @param {Object} [options]
+ * @param {number} [options.maxLines] - Longest declaration kept whole
+ * @returns {Array<{ content: string, startLine: number, endLine: number, symbol: string|null, language: string }>}
+ */
+export function chunkCode(file, content, { maxLines = DEFAULT_MAX_LINES } = {}) {
+  const language = detectLanguage(file);
+  const rules = LANGUAGES[language];
+  const lines = content.split('\n');
+  const chunks = [];
+
+  // Emit lines[start..end] without blank edge lines as one chunk, or
+  // size-based pieces when too long
+  const emit = (start, end, symbol) => {
+    while (start <= end && !lines[start].trim()) start++;
+    while (end >= start && !lines[end].trim()) end--;
+    if (start > end) return;
+    const slice = lines.slice(start, end + 1);
+    if (slice.length <= maxLines) {
+      chunks.push({ content: slice.join('\n'), startLine: start + 1, endLine: end + 1, symbol, language });
+      return;
+    }
+    for (const piece of chunkText(slice.join('\n'), { maxLines: Math.min(40, maxLines) })) {
+      chunks.push({
+        ...piece,
+        startLine: piece.startLine + start,
+        endLine: piece.endLine + start,
+        symbol,
+        language
+      });
+    }
+  };
+
+  // Emit units with the code between them as symbol-less chunks
+  const emitRange = (from, to, units, emitUnit) => {
+    let cursor = from;
+    for (const unit of units) {
+      emit(cursor, unit.start - 1, null);
+      emitUnit(unit);
+      cursor = unit.end + 1;
+    }
+    emit(cursor, to, null);
+  };
+
+  if (!rules) {
+    return chunkText(content).map(chunk => ({ ...chunk, symbol: null, language }));
+  }
+
+  const topLevel = findUnits(rules, lines, 0, lines.length - 1, line => (/^\s/.test(line) ? null : rules.declaration(line)));
+  emitRange(0, lines.length - 1, topLevel, (unit) => {
+    if (!unit.isClass || unit.end - unit.start + 1 <= maxLines) {
+      emit(unit.start, unit.end, unit.name);
+      return;
+    }
+
+    // Large class: the header and each method become their own chunks
+    const members = findUnits(rules, lines, unit.start + 1, unit.end, (line) => {
+      const name = rules.member(line);
+      return name ? { name: `${unit.name}.${name}` } : null;
+    });
+    let cursor = unit.start;
+    for (const member of members) {
+      emit(cursor, member.start - 1, unit.name);
+      emit(member.start, member.end, member.name);
+      cursor = member.end + 1;
+    }
+    emit(cursor, unit.end, unit.name);
+  });
+
+  return chunks;
+}
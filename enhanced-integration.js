@@ -3,13 +3,17 @@
 
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { HttpServerTransport } from '@modelcontextprotocol/sdk/server/http.js';
-import { z } from 'zod';
-import axios from 'axios';
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js';
+import { isInitializeRequest } from '@modelcontextprotocol/sdk/types.js';
 import 'dotenv/config';
 import * as http from 'http';
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
+import { randomUUID } from 'crypto';
+import { registerTools } from './tool-registry.js';
+import { registerResources } from './repo-resources.js';
+import { registerPrompts } from './prompt-registry.js';
+import { createToolContext } from './tool-context.js';
+import { createAuth, assertAuthConfigured } from './auth.js';
 
 // Improved error handling
 process.on('unhandledRejection', (reason, promise) => {
@@ -19,34 +23,36 @@ process.on('uncaughtException', (err) => {
   console.error('[MCP ERROR] Uncaught Exception:', err);
 });
 
-// Create an MCP server with more detailed information
-const serverMcp = new McpServer({
-  name: 'vector-search-mcp',
-  version: '1.0.0',
-  description: 'MCP server for vector search and code repository tools',
-  capabilities: ['vector_search', 'code_search', 'repository_indexing'],
-});
-
 // Configuration for your Go server
 const config = {
   GO_SERVER_URL: process.env.GO_SERVER_URL || 'http://localhost:8081',
   MCP_PORT: parseInt(process.env.MCP_PORT || '3000', 10),
   MCP_SECRET_TOKEN: process.env.MCP_SECRET_TOKEN,
-  TRANSPORT: process.env.MCP_TRANSPORT || 'stdio' // 'stdio' or 'http'
+  TRANSPORT: process.env.MCP_TRANSPORT || 'stdio', // 'stdio' or 'http'
+  STATELESS: process.env.MCP_STATELESS === 'true', // HTTP only: no Mcp-Session-Id tracking
+  SEARCH_BACKEND: process.env.SEARCH_BACKEND || 'go' // 'go' (local fallback) or 'local'
 };
 
 console.error('[MCP INFO] Starting with config:', {
   GO_SERVER_URL: config.GO_SERVER_URL,
   MCP_PORT: config.MCP_PORT,
   TRANSPORT: config.TRANSPORT,
+  STATELESS: config.STATELESS,
+  SEARCH_BACKEND: config.SEARCH_BACKEND,
   MCP_SECRET_TOKEN: config.MCP_SECRET_TOKEN ? `${config.MCP_SECRET_TOKEN.slice(0, 3)}...` : 'not set'
 });
 
-// Axios config with timeout and retries
-const axiosConfig = {
-  timeout: 30000, // 30-second timeout
-  headers: config.MCP_SECRET_TOKEN ? { 'X-MCP-Token': config.MCP_SECRET_TOKEN } : {}
-};
+// Context handed to the shared tool handlers; the embedded engine answers
+// searches in local mode and while the Go server is down, and index jobs,
+// the search cache and chat sessions are shared by every MCP session. MCP
+// sessions subscribed to a repository's resources hear when a job for it
+// completes.
+const toolContext = createToolContext({
+  goServerUrl: config.GO_SERVER_URL,
+  token: config.MCP_SECRET_TOKEN,
+  searchMode: config.SEARCH_BACKEND
+});
+const { backend } = toolContext;
 
 // Logs to track connection and request state
 const connectionLog = new Map();
@@ -62,7 +68,7 @@ function logConnectionEvent(id, event, data = {}) {
 
 // Middleware to log and track incoming requests
 const requestTracker = (req, res, next) => {
-  const requestId = uuidv4().slice(0, 8);
+  const requestId = randomUUID().slice(0, 8);
   req.requestId = requestId;
   logConnectionEvent(requestId, 'Request started', { 
     path: req.path, 
@@ -82,178 +88,191 @@ const requestTracker = (req, res, next) => {
   next();
 };
 
-// Vector search tool
-serverMcp.tool(
-  'vector_search',
-  {
-    query: z.string().describe('The search query'),
-    repository: z.string().describe('The repository to search in'),
-    limit: z.number().optional().describe('Maximum number of results to return')
-  },
-  async ({ query, repository, limit = 5 }) => {
-    const requestId = uuidv4().slice(0, 8);
-    logConnectionEvent(requestId, 'Vector search called', { query, repository, limit });
-    
-    try {
-      const response = await axios.post(`${config.GO_SERVER_URL}/vector-search`, {
-        query,
-        repository,
-        limit
-      }, axiosConfig);
-      
-      logConnectionEvent(requestId, 'Vector search succeeded');
-      return {
-        content: [{ type: 'text', text: JSON.stringify(response.data, null, 2) }]
-      };
-    } catch (error) {
-      logConnectionEvent(requestId, 'Vector search failed', { error: error.message });
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true
-      };
-    }
-  }
-);
-
-// Repository indexing tool
-serverMcp.tool(
-  'index_repository',
-  {
-    repository: z.string().describe('The repository to index'),
-    branch: z.string().optional().describe('Branch to index'),
-    recursive: z.boolean().optional().default(true).describe('Index recursively')
-  },
-  async ({ repository, branch, recursive }) => {
-    const requestId = uuidv4().slice(0, 8);
-    logConnectionEvent(requestId, 'Index repository called', { repository, branch, recursive });
-    
-    try {
-      const response = await axios.post(`${config.GO_SERVER_URL}/index-repository`, {
-        repository,
-        branch,
-        recursive
-      }, axiosConfig);
-      
-      logConnectionEvent(requestId, 'Index repository succeeded');
-      return {
-        content: [{ type: 'text', text: JSON.stringify(response.data, null, 2) }]
-      };
-    } catch (error) {
-      logConnectionEvent(requestId, 'Index repository failed', { error: error.message });
-      return {
-        content: [{ type: 'text', text: `Error: ${error.message}` }],
-        isError: true
-      };
-    }
-  }
-);
+/**
+ * Create an MCP server with the vector search tool set registered.
+ * HTTP sessions each need their own server instance, since an McpServer
+ * can only be connected to a single transport at a time.
+ */
+function createMcpServer() {
+  const serverMcp = new McpServer({
+    name: 'vector-search-mcp',
+    version: '1.0.0',
+    description: 'MCP server for vector search and code repository tools',
+    capabilities: ['vector_search', 'code_search', 'repository_indexing'],
+  });
 
-// Chat tool with better error handling
-serverMcp.tool(
-  'chat',
-  {
-    message: z.string().describe('The user message to process'),
-    repository: z.string().optional().describe('The GitHub repository to reference'),
-    context: z.record(z.any()).optional().describe('Additional context for the chat')
-  },
-  async ({ message, repository = '', context = {} }) => {
-    const requestId = uuidv4().slice(0, 8);
-    logConnectionEvent(requestId, 'Chat called', { messageLength: message.length, repository });
+  // chat, vectorSearch and indexRepository from the shared registry, the
+  // workflow prompts, and indexed files as repo:// resources
+  registerTools(serverMcp, toolContext);
+  registerPrompts(serverMcp, toolContext);
+  registerResources(serverMcp, toolContext);
+  
+  // Health check tool
+  serverMcp.tool(
+    'health',
+    {},
+    async () => {
+      const requestId = randomUUID().slice(0, 8);
+      logConnectionEvent(requestId, 'Health check called');
     
-    try {
-      // Forward to Go server if the chat endpoint exists there
       try {
-        const response = await axios.post(`${config.GO_SERVER_URL}/chat`, {
-          message,
-          repository,
-          context
-        }, { ...axiosConfig, timeout: 60000 }); // Longer timeout for chat
-        
-        logConnectionEvent(requestId, 'Chat succeeded (Go server)');
+        // Check if Go server is reachable
+        const health = await backend.get('/health');
+      
+        logConnectionEvent(requestId, 'Health check succeeded');
         return {
-          content: [{ type: 'text', text: JSON.stringify(response.data, null, 2) }]
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                status: 'healthy',
+                mcp_server: true,
+                go_server: health.status === 'ok',
+                go_circuit: backend.breakerState(),
+                local_index: toolContext.localSearch.stats(),
+                search_cache: toolContext.searchCache.stats(),
+                timestamp: new Date().toISOString()
+              }, null, 2),
+            },
+          ],
         };
       } catch (error) {
-        // Fall back to local echo if Go server chat fails
-        if (error.response && error.response.status === 404) {
-          logConnectionEvent(requestId, 'Chat fallback to local');
-          return {
-            content: [
-              {
-                type: 'text',
-                text: JSON.stringify({
-                  message: `I received your message about "${message.substring(0, 30)}...". 
-                  Repository: ${repository || 'not specified'}`,
-                  timestamp: new Date().toISOString()
-                }, null, 2),
-              },
-            ],
-          };
-        }
-        
-        // Re-throw for general error handling
-        throw error;
+        logConnectionEvent(requestId, 'Health check detected Go server issue', { error: error.message });
+        return {
+          content: [
+            {
+              type: 'text',
+              text: JSON.stringify({
+                status: 'partial',
+                mcp_server: true,
+                go_server: false,
+                go_server_error: error.message,
+                go_circuit: backend.breakerState(),
+                local_index: toolContext.localSearch.stats(),
+                search_cache: toolContext.searchCache.stats(),
+                timestamp: new Date().toISOString()
+              }, null, 2),
+            },
+          ],
+        };
       }
-    } catch (error) {
-      logConnectionEvent(requestId, 'Chat failed', { error: error.message });
-      return {
-        content: [{ type: 'text', text: `Error processing chat: ${error.message}` }],
-        isError: true
-      };
     }
-  }
-);
+  );
+
+  return serverMcp;
+}
+
+// Active Streamable HTTP transports, keyed by Mcp-Session-Id
+const transports = new Map();
+
+// Helper function to reply with a JSON-RPC error outside of a transport
+function sendJsonRpcError(res, status, code, message) {
+  res.status(status).json({
+    jsonrpc: '2.0',
+    error: { code, message },
+    id: null
+  });
+}
+
+function isInitializeBody(body) {
+  return Array.isArray(body) ? body.some(isInitializeRequest) : isInitializeRequest(body);
+}
 
-// Health check tool
-serverMcp.tool(
-  'health',
-  {},
-  async () => {
-    const requestId = uuidv4().slice(0, 8);
-    logConnectionEvent(requestId, 'Health check called');
+// POST /mcp - route client messages to the transport for their session,
+// creating a new session when the client sends `initialize`
+async function handleMcpPost(req, res) {
+  try {
+    if (config.STATELESS) {
+      // Stateless mode: a fresh server and transport for every request
+      const serverMcp = createMcpServer();
+      const transport = new StreamableHTTPServerTransport({ sessionIdGenerator: undefined });
+      res.on('close', () => {
+        transport.close();
+        serverMcp.close();
+      });
+      await serverMcp.connect(transport);
+      await transport.handleRequest(req, res, req.body);
+      return;
+    }
+    
+    const sessionId = req.headers['mcp-session-id'];
+    let transport = sessionId ? transports.get(sessionId) : undefined;
     
-    try {
-      // Check if Go server is reachable
-      const response = await axios.get(`${config.GO_SERVER_URL}/health`, axiosConfig);
+    if (!transport) {
+      if (sessionId) {
+        return sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+      }
+      if (!isInitializeBody(req.body)) {
+        return sendJsonRpcError(res, 400, -32000, 'Bad Request: No valid session ID provided');
+      }
       
-      logConnectionEvent(requestId, 'Health check succeeded');
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              status: 'healthy',
-              mcp_server: true,
-              go_server: response.data.status === 'ok',
-              timestamp: new Date().toISOString()
-            }, null, 2),
-          },
-        ],
-      };
-    } catch (error) {
-      logConnectionEvent(requestId, 'Health check detected Go server issue', { error: error.message });
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              status: 'partial',
-              mcp_server: true,
-              go_server: false,
-              go_server_error: error.message,
-              timestamp: new Date().toISOString()
-            }, null, 2),
-          },
-        ],
+      const newTransport = new StreamableHTTPServerTransport({
+        sessionIdGenerator: () => randomUUID(),
+        onsessioninitialized: (id) => {
+          transports.set(id, newTransport);
+          logConnectionEvent(id, 'Session initialized');
+        }
+      });
+      
+      const serverMcp = createMcpServer();
+      await serverMcp.connect(newTransport);
+      // Set after connect, which takes over the transport's own callbacks;
+      // registerResources already put its cleanup on onclose, so chain it
+      const previousOnClose = serverMcp.server.onclose;
+      serverMcp.server.onclose = () => {
+        if (newTransport.sessionId) {
+          transports.delete(newTransport.sessionId);
+          logConnectionEvent(newTransport.sessionId, 'Session closed');
+        }
+        previousOnClose?.();
       };
+      transport = newTransport;
+    }
+    
+    await transport.handleRequest(req, res, req.body);
+  } catch (error) {
+    console.error('[MCP ERROR] Failed to handle MCP request:', error);
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
     }
   }
-);
+}
+
+// GET /mcp (SSE stream) and DELETE /mcp (session termination)
+async function handleMcpSessionRequest(req, res) {
+  if (config.STATELESS) {
+    return sendJsonRpcError(res, 405, -32000, 'Method not allowed in stateless mode');
+  }
+  
+  const sessionId = req.headers['mcp-session-id'];
+  if (!sessionId) {
+    return sendJsonRpcError(res, 400, -32000, 'Bad Request: Mcp-Session-Id header is required');
+  }
+  
+  const transport = transports.get(sessionId);
+  if (!transport) {
+    return sendJsonRpcError(res, 404, -32001, `Session not found: ${sessionId}`);
+  }
+  
+  try {
+    await transport.handleRequest(req, res);
+  } catch (error) {
+    console.error('[MCP ERROR] Failed to handle MCP session request:', error);
+    if (!res.headersSent) {
+      sendJsonRpcError(res, 500, -32603, 'Internal server error');
+    }
+  }
+}
 
 // Connection management
 async function startServer() {
   try {
     if (config.TRANSPORT === 'http') {
+      // Every HTTP request needs an API key; refuse to start without one
+      // unless MCP_INSECURE=true
+      const auth = createAuth();
+      assertAuthConfigured(auth, 'enhanced-integration.js');
+      
       // Create Express app and HTTP server
       const app = express();
       const server = http.createServer({
@@ -264,14 +283,15 @@ async function startServer() {
       // Add request tracking middleware
       app.use(requestTracker);
       
-      // Create HTTP transport
-      const transport = new HttpServerTransport({
-        server,
-        path: '/mcp'
-      });
+      app.use(auth.middleware());
       
-      // Connect MCP server to HTTP transport
-      await serverMcp.connect(transport);
+      app.use(express.json());
+      
+      // Streamable HTTP endpoint: POST carries client messages, GET opens the
+      // server-to-client SSE stream and DELETE ends the session
+      app.post('/mcp', handleMcpPost);
+      app.get('/mcp', handleMcpSessionRequest);
+      app.delete('/mcp', handleMcpSessionRequest);
       
       // Start HTTP server
       server.listen(config.MCP_PORT, () => {
@@ -288,16 +308,16 @@ async function startServer() {
       // Use stdio transport for non-HTTP mode
       console.error('[MCP INFO] Starting MCP server with stdio transport');
       const transport = new StdioServerTransport();
-      await serverMcp.connect(transport);
+      await createMcpServer().connect(transport);
       console.error('[MCP INFO] MCP server running on stdio');
       
       // Keep the process alive
       setInterval(() => {
         // Periodic health check of Go server
-        axios.get(`${config.GO_SERVER_URL}/health`, axiosConfig)
-          .then(response => {
+        backend.get('/health', { retries: 0 })
+          .then(health => {
             // Only log changes in Go server status
-            const status = response.data.status === 'ok' ? 'healthy' : 'unhealthy';
+            const status = health.status === 'ok' ? 'healthy' : 'unhealthy';
             if (!global.lastGoStatus || global.lastGoStatus !== status) {
               console.error(`[MCP INFO] Go server is ${status}`);
               global.lastGoStatus = status;
@@ -1,28 +1,40 @@
 // enhanced-server.js in mcp-agent-chat directory
 import express from 'express';
 import http from 'http';
-import axios from 'axios';
-import { setupMCPProtocol } from './mcp-protocol.js';
+import { setupMCPProtocol } from './ mcp-protocol.js';
+import { registerRestRoutes } from './tool-registry.js';
+import { createToolContext } from './tool-context.js';
+import { createAuth, assertAuthConfigured } from './auth.js';
 
 console.log('[' + new Date().toISOString() + '] Initializing MCP server with enhanced protocol support');
 
+// API keys for the REST, RPC and socket endpoints; refuse to start without
+// one unless MCP_INSECURE=true
+const auth = createAuth();
+try {
+  assertAuthConfigured(auth, 'enhanced-server.js');
+} catch (error) {
+  console.error(`[${new Date().toISOString()}] ${error.message}`);
+  process.exit(1);
+}
+
 // Create Express app and HTTP server
 const app = express();
 const server = http.createServer(app);
 
-// Basic middleware
+// Basic middleware; only the health check is served without an API key
+app.use(auth.middleware({ publicPaths: ['/health'] }));
 app.use(express.json());
 
 // Configure server
 const GO_SERVER_URL = process.env.GO_SERVER_URL || 'http://localhost:8081';
 const MCP_PORT = process.env.MCP_PORT || 3000;
 
-// Create axios client with timeout
-const goServerClient = axios.create({
-  baseURL: GO_SERVER_URL,
-  timeout: 60000,
-  headers: {'Content-Type': 'application/json'}
-});
+// Context for the shared tools: the Go client, the embedded engine (the
+// whole backend when SEARCH_BACKEND=local, otherwise the fallback while the
+// Go server is down), index jobs, the search cache and chat sessions
+const toolContext = createToolContext({ goServerUrl: GO_SERVER_URL });
+const { backend: goServerClient, localSearch, searchCache } = toolContext;
 
 // Keep-alive configuration
 server.keepAliveTimeout = 65000; // 65 seconds
@@ -43,8 +55,9 @@ const serverInfo = {
   }
 };
 
-// Set up the MCP protocol handlers
-const { io, wss } = setupMCPProtocol(app, server, serverInfo);
+// Set up the MCP protocol handlers: MCP over WebSocket, streamed tool calls
+// over WebSocket and Socket.IO, and index:* events per repository room
+setupMCPProtocol(app, server, serverInfo, toolContext, { auth });
 
 // Connection tracking middleware
 const connectionTracking = (req, res, next) => {
@@ -74,41 +87,28 @@ app.use(connectionTracking);
 // Health check endpoint
 app.get('/health', async (req, res) => {
   try {
-    const response = await goServerClient.get('/health');
+    const health = await goServerClient.get('/health');
     res.json({ 
       mcp: 'healthy',
-      goServer: response.data.status === 'ok' ? 'healthy' : 'unhealthy' 
+      goServer: health.status === 'ok' ? 'healthy' : 'unhealthy',
+      goCircuit: goServerClient.breakerState(),
+      localIndex: localSearch.stats(),
+      searchCache: searchCache.stats()
     });
   } catch (error) {
     console.error('Error checking Go server health:', error.message);
     res.json({ 
       mcp: 'healthy',
-      goServer: 'unhealthy' 
+      goServer: 'unhealthy',
+      goCircuit: goServerClient.breakerState(),
+      localIndex: localSearch.stats(),
+      searchCache: searchCache.stats()
     });
   }
 });
 
-// Chat endpoint
-app.post('/chat', async (req, res) => {
-  try {
-    const response = await goServerClient.post('/chat', req.body);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error forwarding chat request:', error.message);
-    res.status(500).json({ error: 'Failed to process chat request' });
-  }
-});
-
-// Vector search endpoint
-app.post('/vector-search', async (req, res) => {
-  try {
-    const response = await goServerClient.post('/vector-search', req.body);
-    res.json(response.data);
-  } catch (error) {
-    console.error('Error forwarding vector search request:', error.message);
-    res.status(500).json({ error: 'Failed to process vector search request' });
-  }
-});
+// Tool endpoints (POST /chat, /vector-search, /index-repository) from the shared registry
+registerRestRoutes(app, toolContext);
 
 // Start the server
 server.listen(MCP_PORT, () => {
@@ -116,7 +116,7 @@ server.listen(MCP_PORT, () => {
   
   // Verify connection to Go server on startup
   goServerClient.get('/health')
-    .then(response => {
+    .then(() => {
       console.log(`Connected to Go Vector Search Server at ${GO_SERVER_URL}`);
     })
     .catch(error => {
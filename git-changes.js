@@ -0,0 +1,127 @@
+// git-changes.js - git plumbing for incremental indexing
+//
+// Reads the HEAD commit of a checkout, the tip of a remote branch, the files
+// changed between two commits (following renames) and uncommitted changes in
+// a working tree, and updates a clone to the tip of a branch. Paths are relative to `dir`, which may be a
+// subdirectory of the repository. Failures other than "not a git repository"
+// or "commit unknown" surface as the git process error.
+
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
+
+// Run git in `dir` and resolve with its stdout
+async function git(dir, args, { signal, timeout = 60000 } = {}) {
+  const { stdout } = await execFileAsync('git', ['-C', dir, ...args], {
+    signal,
+    timeout,
+    maxBuffer: 64 * 1024 * 1024
+  });
+  return stdout;
+}
+
+// Map a `git diff --name-status -z` letter to a change status
+const STATUS_BY_LETTER = {
+  A: 'added',
+  C: 'added',
+  D: 'deleted',
+  M: 'modified',
+  T: 'modified',
+  R: 'renamed'
+};
+
+/**
+ * HEAD commit of a checkout, or null when `dir` is not a git repository
+ */
+export async function headCommit(dir, options = {}) {
+  try {
+    return (await git(dir, ['rev-parse', '--verify', 'HEAD'], options)).trim();
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    return null;
+  }
+}
+
+/**
+ * Commit at the tip of `branch` in a remote repository, without cloning it,
+ * or null when the remote or branch can't be read
+ */
+export async function remoteCommit(url, branch, { signal, timeout = 30000 } = {}) {
+  try {
+    const { stdout } = await execFileAsync('git', ['ls-remote', url, `refs/heads/${branch}`], {
+      signal,
+      timeout,
+      // Fail instead of prompting for credentials of a private repository
+      env: { ...process.env, GIT_TERMINAL_PROMPT: '0' }
+    });
+    return stdout.split('\t')[0].trim() || null;
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    return null;
+  }
+}
+
+/**
+ * Files changed between two commits. `rewritten` is true when `from` is
+ * unknown or no longer an ancestor of `to`, i.e. history was rewritten and
+ * the diff can't be trusted.
+ * @returns {Promise<{ rewritten: boolean, changes: Array<{ status: string, path: string, previousPath?: string }> }>}
+ */
+export async function changesBetween(dir, from, to, options = {}) {
+  try {
+    await git(dir, ['merge-base', '--is-ancestor', from, to], options);
+  } catch (error) {
+    if (options.signal?.aborted) throw error;
+    return { rewritten: true, changes: [] };
+  }
+
+  const fields = (await git(dir, ['diff', '--name-status', '-M', '-z', '--relative', from, to], options))
+    .split('\0')
+    .filter(Boolean);
+  const changes = [];
+  for (let i = 0; i < fields.length;) {
+    const letter = fields[i++][0];
+    if (letter === 'R' || letter === 'C') {
+      const previousPath = fields[i++];
+      const path = fields[i++];
+      changes.push(letter === 'R' ? { status: 'renamed', path, previousPath } : { status: 'added', path });
+    } else {
+      changes.push({ status: STATUS_BY_LETTER[letter] || 'modified', path: fields[i++] });
+    }
+  }
+  return { rewritten: false, changes };
+}
+
+/**
+ * Paths with uncommitted changes in a working tree, including untracked
+ * files that are not ignored
+ */
+export async function uncommittedFiles(dir, options = {}) {
+  // Porcelain paths are relative to the repository root
+  const prefix = (await git(dir, ['rev-parse', '--show-prefix'], options)).trim();
+  const fields = (await git(dir, ['status', '--porcelain', '-z', '--untracked-files=all', '--', '.'], options))
+    .split('\0')
+    .filter(Boolean);
+  const paths = [];
+  for (let i = 0; i < fields.length; i++) {
+    const status = fields[i].slice(0, 2);
+    paths.push(fields[i].slice(3));
+    if (status.includes('R') || status.includes('C')) {
+      paths.push(fields[++i]); // the original path follows a rename or copy
+    }
+  }
+  return paths
+    .filter(file => file.startsWith(prefix))
+    .map(file => file.slice(prefix.length));
+}
+
+/**
+ * Fetch `branch` from origin into a clone and check it out
+ * @returns {Promise<string>} The new HEAD commit
+ */
+export async function fetchBranch(dir, branch, options = {}) {
+  await git(dir, ['fetch', 'origin', branch], { timeout: 120000, ...options });
+  await git(dir, ['reset', '--hard', 'FETCH_HEAD'], options);
+  return headCommit(dir, options);
+}
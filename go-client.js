@@ -0,0 +1,311 @@
+// go-client.js - shared client for the Go vector search backend
+//
+// Wraps axios with per-endpoint timeouts, retries with exponential backoff
+// and jitter for idempotent calls, and a circuit breaker that fails fast
+// while the backend is down. Every failure surfaces as a GoBackendError.
+
+import axios from 'axios';
+
+// Per-endpoint request timeouts in milliseconds
+export const DEFAULT_TIMEOUTS = {
+  '/health': 5000,
+  '/vector-search': 30000,
+  '/index-repository': 120000,
+  '/chat': 60000
+};
+
+// Endpoints that are safe to retry; other calls are only retried when the
+// caller passes `idempotent: true`
+const IDEMPOTENT_ENDPOINTS = new Set(['/health', '/vector-search']);
+
+// HTTP statuses that indicate a transient backend problem
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+
+/**
+ * Error raised for every failed Go backend call.
+ * `code` is one of: timeout, unavailable, circuit_open, http_error, cancelled.
+ */
+export class GoBackendError extends Error {
+  constructor(message, { code, endpoint, status = null, retryable = false, data = null, cause } = {}) {
+    super(message, { cause });
+    this.name = 'GoBackendError';
+    this.code = code;
+    this.endpoint = endpoint;
+    this.status = status;
+    this.retryable = retryable;
+    this.data = data;
+  }
+
+  /**
+   * Whether the backend itself is unreachable, as opposed to rejecting the request
+   */
+  get isUnavailable() {
+    return ['timeout', 'unavailable', 'circuit_open'].includes(this.code);
+  }
+
+  /**
+   * HTTP status to report to our own callers for this failure
+   */
+  get httpStatus() {
+    switch (this.code) {
+      case 'timeout':
+        return 504;
+      case 'http_error':
+        return this.status;
+      case 'unavailable':
+      case 'circuit_open':
+        return 503;
+      default:
+        return 500;
+    }
+  }
+
+  /**
+   * JSON-RPC error object for this failure (server error range)
+   */
+  toJsonRpcError() {
+    return {
+      code: this.code === 'timeout' ? -32001 : -32000,
+      message: this.message,
+      data: {
+        reason: this.code,
+        endpoint: this.endpoint,
+        status: this.status
+      }
+    };
+  }
+}
+
+// Translate an axios error into a GoBackendError
+function toBackendError(error, endpoint) {
+  if (error instanceof GoBackendError) return error;
+
+  if (axios.isCancel(error) || error.name === 'AbortError' || error.name === 'CanceledError') {
+    return new GoBackendError(`Request to ${endpoint} was cancelled`, {
+      code: 'cancelled', endpoint, cause: error
+    });
+  }
+
+  if (error.response) {
+    const { status, data } = error.response;
+    return new GoBackendError(`Go server responded with status ${status} for ${endpoint}`, {
+      code: 'http_error',
+      endpoint,
+      status,
+      data,
+      retryable: RETRYABLE_STATUSES.has(status) || status >= 500,
+      cause: error
+    });
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return new GoBackendError(`Request to ${endpoint} timed out`, {
+      code: 'timeout', endpoint, retryable: true, cause: error
+    });
+  }
+
+  return new GoBackendError(`Go server is unreachable: ${error.message}`, {
+    code: 'unavailable', endpoint, retryable: true, cause: error
+  });
+}
+
+// Resolve after `ms`, rejecting early if the signal aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create a Go backend client
+ * @param {Object} options
+ * @param {string} options.baseUrl - Go server URL
+ * @param {string} [options.token] - Sent as X-MCP-Token when set
+ * @param {Object} [options.timeouts] - Per-endpoint timeout overrides in ms
+ * @param {number} [options.defaultTimeout] - Timeout for endpoints not in `timeouts`
+ * @param {number} [options.retries] - Retries for idempotent calls (GO_RETRIES)
+ * @param {number} [options.retryBaseDelay] - First backoff delay in ms (GO_RETRY_BASE_MS)
+ * @param {number} [options.retryMaxDelay] - Backoff cap in ms
+ * @param {number} [options.failureThreshold] - Consecutive failures that open the circuit (GO_BREAKER_THRESHOLD)
+ * @param {number} [options.resetTimeout] - How long the circuit stays open in ms (GO_BREAKER_RESET_MS)
+ * @param {number} [options.healthCacheTtl] - How long an isHealthy() result is reused in ms (GO_HEALTH_CACHE_MS)
+ */
+export function createGoClient({
+  baseUrl,
+  token,
+  timeouts = {},
+  defaultTimeout = 30000,
+  retries = parseInt(process.env.GO_RETRIES || '2', 10),
+  retryBaseDelay = parseInt(process.env.GO_RETRY_BASE_MS || '250', 10),
+  retryMaxDelay = 5000,
+  failureThreshold = parseInt(process.env.GO_BREAKER_THRESHOLD || '5', 10),
+  resetTimeout = parseInt(process.env.GO_BREAKER_RESET_MS || '30000', 10),
+  healthCacheTtl = parseInt(process.env.GO_HEALTH_CACHE_MS || '10000', 10)
+} = {}) {
+  const http = axios.create({
+    baseURL: baseUrl,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { 'X-MCP-Token': token } : {})
+    }
+  });
+  const endpointTimeouts = { ...DEFAULT_TIMEOUTS, ...timeouts };
+
+  // Circuit breaker state: closed -> open after `failureThreshold` consecutive
+  // failures, half-open once `resetTimeout` has passed (one trial request)
+  const breaker = {
+    state: 'closed',
+    failures: 0,
+    openedAt: 0,
+    trialInFlight: false
+  };
+
+  function beforeRequest(endpoint) {
+    if (breaker.state === 'open') {
+      if (Date.now() - breaker.openedAt < resetTimeout) {
+        throw new GoBackendError(`Go server circuit is open, skipping ${endpoint}`, {
+          code: 'circuit_open', endpoint
+        });
+      }
+      breaker.state = 'half-open';
+    }
+    if (breaker.state === 'half-open') {
+      if (breaker.trialInFlight) {
+        throw new GoBackendError(`Go server circuit is half-open, skipping ${endpoint}`, {
+          code: 'circuit_open', endpoint
+        });
+      }
+      breaker.trialInFlight = true;
+    }
+  }
+
+  function recordSuccess() {
+    if (breaker.state !== 'closed') {
+      console.error(`[GO CLIENT] Circuit closed, ${baseUrl} is reachable again`);
+    }
+    breaker.state = 'closed';
+    breaker.failures = 0;
+    breaker.trialInFlight = false;
+  }
+
+  function recordFailure(error) {
+    // Only failures that say the backend is down count towards opening the
+    // circuit; a 4xx still proves the backend is up
+    if (!error.isUnavailable && !(error.code === 'http_error' && error.status >= 500)) {
+      recordSuccess();
+      return;
+    }
+    breaker.trialInFlight = false;
+    breaker.failures++;
+    if (breaker.state === 'half-open' || breaker.failures >= failureThreshold) {
+      if (breaker.state !== 'open') {
+        console.error(`[GO CLIENT] Circuit opened after ${breaker.failures} failures: ${error.message}`);
+      }
+      breaker.state = 'open';
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  // Last /health probe, reused for `healthCacheTtl` ms so per-request
+  // fallback decisions don't add a round-trip each time
+  const health = { healthy: null, checkedAt: 0, pending: null };
+
+  function backoffDelay(attempt) {
+    const ceiling = Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling); // full jitter
+  }
+
+  /**
+   * Send a request, retrying transient failures of idempotent calls
+   * @returns {Promise<any>} The response body
+   * @throws {GoBackendError}
+   */
+  async function request(method, endpoint, { data, signal, timeout, idempotent, retries: maxRetries } = {}) {
+    const canRetry = idempotent ?? IDEMPOTENT_ENDPOINTS.has(endpoint);
+    const attempts = 1 + (canRetry ? (maxRetries ?? retries) : 0);
+
+    for (let attempt = 0; ; attempt++) {
+      beforeRequest(endpoint);
+      try {
+        const response = await http.request({
+          method,
+          url: endpoint,
+          data,
+          signal,
+          timeout: timeout ?? endpointTimeouts[endpoint] ?? defaultTimeout
+        });
+        recordSuccess();
+        return response.data;
+      } catch (rawError) {
+        const error = toBackendError(rawError, endpoint);
+        if (error.code === 'cancelled') {
+          breaker.trialInFlight = false;
+          throw error;
+        }
+        recordFailure(error);
+
+        if (!error.retryable || attempt + 1 >= attempts || breaker.state === 'open') {
+          throw error;
+        }
+        const delay = backoffDelay(attempt);
+        console.error(`[GO CLIENT] ${method.toUpperCase()} ${endpoint} failed (${error.code}), retrying in ${delay}ms`);
+        try {
+          await sleep(delay, signal);
+        } catch (abortError) {
+          throw new GoBackendError(`Request to ${endpoint} was cancelled`, {
+            code: 'cancelled', endpoint, cause: abortError
+          });
+        }
+      }
+    }
+  }
+
+  return {
+    baseUrl,
+
+    get(endpoint, options) {
+      return request('get', endpoint, options);
+    },
+
+    post(endpoint, data, options = {}) {
+      return request('post', endpoint, { ...options, data });
+    },
+
+    /**
+     * Current circuit breaker state, for health endpoints
+     */
+    breakerState() {
+      return { state: breaker.state, consecutiveFailures: breaker.failures };
+    },
+
+    /**
+     * Whether the backend answers /health. An open circuit counts as
+     * unhealthy without probing; otherwise the last probe is reused while fresh.
+     * @returns {Promise<boolean>}
+     */
+    isHealthy() {
+      if (breaker.state === 'open' && Date.now() - breaker.openedAt < resetTimeout) {
+        return Promise.resolve(false);
+      }
+      if (health.healthy !== null && Date.now() - health.checkedAt < healthCacheTtl) {
+        return Promise.resolve(health.healthy);
+      }
+      health.pending ??= request('get', '/health', { retries: 0 })
+        .then(() => true, () => false)
+        .then((healthy) => {
+          Object.assign(health, { healthy, checkedAt: Date.now(), pending: null });
+          return healthy;
+        });
+      return health.pending;
+    }
+  };
+}
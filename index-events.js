@@ -0,0 +1,108 @@
+// index-events.js - index job events pushed to sockets and MCP sessions
+//
+// Socket.IO clients join one room per repository with `subscribe
+// { repository }` and receive index:started, index:progress,
+// index:completed, index:failed and index:cancelled for every job indexing
+// it, whichever entrypoint or transport started the job. MCP sessions that
+// subscribed (resources/subscribe) to a repo:// resource get
+// notifications/resources/updated when its repository finishes indexing.
+// Both listen to the shared index job manager (index-jobs.js).
+
+import { repositoryKey } from './local-search.js';
+import { parseResourceUri } from './repo-resources.js';
+
+/**
+ * Socket.IO room of a repository; URLs and names of the same repository
+ * share a room
+ */
+export function repositoryRoom(repository) {
+  return `repo:${repositoryKey(repository)}`;
+}
+
+/**
+ * Broadcast index job events to repository rooms, and let sockets join and
+ * leave rooms with the `subscribe` and `unsubscribe` events. Both take
+ * `{ repository }` and acknowledge with `{ repository, room }`.
+ * @param {SocketIOServer} io - Socket.IO server
+ * @param {Object} indexJobs - Index job manager
+ * @returns {Function} Stops broadcasting
+ */
+export function registerIndexEvents(io, indexJobs) {
+  io.on('connection', (socket) => {
+    for (const [event, action] of [['subscribe', 'join'], ['unsubscribe', 'leave']]) {
+      socket.on(event, (request = {}, callback) => {
+        if (typeof request.repository !== 'string' || !request.repository.trim()) {
+          if (typeof callback === 'function') callback({ error: 'repository is required' });
+          return;
+        }
+        const room = repositoryRoom(request.repository);
+        socket[action](room);
+        if (typeof callback === 'function') {
+          callback({ repository: repositoryKey(request.repository), room });
+        }
+      });
+    }
+  });
+
+  return indexJobs.subscribe(({ type, job }) => {
+    io.to(repositoryRoom(job.target)).emit(`index:${type}`, {
+      repository: repositoryKey(job.target),
+      ...job
+    });
+  });
+}
+
+/**
+ * Create the registry of MCP resource subscriptions. Each MCP session opens
+ * a handle with the function that sends it notifications; when a job
+ * indexing a repository completes, every subscribed URI of that repository
+ * is reported as updated.
+ * @param {Object} indexJobs - Index job manager
+ */
+export function createResourceSubscriptions(indexJobs) {
+  // session handle -> { uris: Set<string>, sendNotification }
+  const sessions = new Map();
+
+  indexJobs.subscribe(({ type, job }) => {
+    if (type !== 'completed') return;
+    const repository = repositoryKey(job.target);
+    for (const { uris, sendNotification } of sessions.values()) {
+      for (const uri of uris) {
+        if (repositoryKey(parseResourceUri(uri).repository) !== repository) continue;
+        Promise.resolve(sendNotification({ method: 'notifications/resources/updated', params: { uri } }))
+          .catch((error) => {
+            console.error(`DEBUG - Failed to send resource update for ${uri}:`, error.message);
+          });
+      }
+    }
+  });
+
+  return {
+    /**
+     * Open the subscriptions of one MCP session
+     * @param {Function} sendNotification - Sends a { method, params } notification to the session
+     * @returns {{ subscribe(uri), unsubscribe(uri), close() }}
+     */
+    open(sendNotification) {
+      const handle = {
+        /**
+         * @returns {boolean} Whether the URI is a repo:// resource and was subscribed
+         */
+        subscribe(uri) {
+          const session = sessions.get(handle);
+          if (!session || !parseResourceUri(uri)) return false;
+          session.uris.add(uri);
+          return true;
+        },
+        unsubscribe(uri) {
+          sessions.get(handle)?.uris.delete(uri);
+        },
+        close() {
+          sessions.delete(handle);
+        }
+      };
+      sessions.set(handle, { uris: new Set(), sendNotification });
+      return handle;
+    }
+  };
+}
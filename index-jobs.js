@@ -0,0 +1,216 @@
+// index-jobs.js - background repository indexing jobs
+//
+// indexRepository starts a job and returns its ID straight away, or waits
+// for it when the caller wants progress; the job runs in this process,
+// reports progress through a callback and can be cancelled. Only one job
+// runs per target and branch: starting another joins the running one, since
+// both would work on the same checkout. Job state lives
+// as long as the process and is shared by every session of an entrypoint,
+// and subscribers hear about every job's lifecycle (index-events.js pushes
+// it to sockets and MCP sessions).
+
+import { randomUUID } from 'crypto';
+
+// Statuses a job can no longer leave
+const FINISHED_STATUSES = new Set(['completed', 'failed', 'cancelled']);
+
+/**
+ * Create a job manager
+ * @param {Object} [options]
+ * @param {number} [options.maxFinishedJobs] - Finished jobs kept for indexStatus; older ones are dropped
+ */
+export function createIndexJobManager({ maxFinishedJobs = 100 } = {}) {
+  // job id -> job
+  const jobs = new Map();
+
+  // Listeners for job events, see subscribe()
+  const listeners = new Set();
+
+  // Public view of a job
+  function describe(job) {
+    return {
+      jobId: job.id,
+      status: job.status,
+      target: job.target,
+      branch: job.branch,
+      progress: job.progress,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      ...(job.result !== undefined ? { result: job.result } : {}),
+      ...(job.error ? { error: job.error } : {})
+    };
+  }
+
+  // Drop the oldest finished jobs beyond `maxFinishedJobs`
+  function prune() {
+    const finished = [...jobs.values()].filter(job => FINISHED_STATUSES.has(job.status));
+    for (const job of finished.slice(0, Math.max(0, finished.length - maxFinishedJobs))) {
+      jobs.delete(job.id);
+    }
+  }
+
+  function emit(type, job) {
+    const view = describe(job);
+    for (const listener of listeners) {
+      try {
+        listener({ type, job: view });
+      } catch (error) {
+        console.error(`DEBUG - Listener for index job ${job.id} ${type} failed:`, error.message);
+      }
+    }
+  }
+
+  function finish(job, status, fields) {
+    if (FINISHED_STATUSES.has(job.status)) return;
+    Object.assign(job, { status, finishedAt: new Date().toISOString() }, fields);
+    prune();
+    emit(status, job);
+  }
+
+  return {
+    /**
+     * Start a job. `run({ signal, reportProgress })` does the work and resolves
+     * with the job result; `reportProgress(progress, total, message)` updates
+     * the job and is forwarded to `onProgress`. While a job with the same
+     * key is running, that job is returned instead and `run` is not called.
+     * @param {Object} details - { target, branch } shown in status
+     * @param {string} [details.key] - Identifies the work (default: target and branch)
+     * @param {Function} run - Job body
+     * @param {Object} [options]
+     * @param {Function} [options.onProgress] - Called with ({ progress, total, message }, job view)
+     * @returns {Object} The job as returned by get(), with `joined: true` when
+     *   it was already running
+     */
+    start({ target, branch, key = `${target}#${branch}` }, run, { onProgress } = {}) {
+      const running = [...jobs.values()].find(job => job.key === key && job.status === 'running');
+      if (running) {
+        if (onProgress) running.progressListeners.add(onProgress);
+        return { ...describe(running), joined: true };
+      }
+
+      const job = {
+        id: randomUUID(),
+        key,
+        status: 'running',
+        target,
+        branch,
+        progress: { progress: 0, message: 'Queued' },
+        createdAt: new Date().toISOString(),
+        finishedAt: null,
+        controller: new AbortController(),
+        progressListeners: new Set(onProgress ? [onProgress] : [])
+      };
+      jobs.set(job.id, job);
+      emit('started', job);
+
+      // Progress notifications must increase, so only forward updates that move forward
+      let lastForwarded = -1;
+      const reportProgress = (progress, total, message) => {
+        if (job.status !== 'running') return;
+        job.progress = { progress, ...(total !== undefined ? { total } : {}), ...(message ? { message } : {}) };
+        if (progress <= lastForwarded) return;
+        lastForwarded = progress;
+        for (const listener of job.progressListeners) {
+          try {
+            listener(job.progress, describe(job));
+          } catch (error) {
+            console.error(`DEBUG - Progress callback for index job ${job.id} failed:`, error.message);
+          }
+        }
+        emit('progress', job);
+      };
+
+      Promise.resolve()
+        .then(() => {
+          job.controller.signal.throwIfAborted();
+          return run({ signal: job.controller.signal, reportProgress });
+        })
+        .then((result) => {
+          const done = Math.max(1, job.progress.total ?? job.progress.progress);
+          reportProgress(done, done, 'Indexing completed');
+          finish(job, 'completed', { result });
+          console.error(`DEBUG - Index job ${job.id} completed for ${target}`);
+        })
+        .catch((error) => {
+          if (job.controller.signal.aborted) {
+            finish(job, 'cancelled');
+            return;
+          }
+          console.error(`DEBUG - Index job ${job.id} failed for ${target}:`, error.message);
+          finish(job, 'failed', {
+            error: { message: error.message, ...(error.code ? { code: error.code } : {}) }
+          });
+        });
+
+      return describe(job);
+    },
+
+    /**
+     * Listen to every job: `listener({ type, job })` is called with type
+     * started, progress (when it moves forward), completed, failed or
+     * cancelled, and the job as returned by get()
+     * @returns {Function} Unsubscribes the listener
+     */
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * Wait for a job to finish
+     * @param {string} jobId
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops waiting; the job keeps running
+     * @returns {Promise<Object|undefined>} The job when it finished or waiting
+     *   was aborted, or undefined for an unknown ID
+     */
+    wait(jobId, { signal } = {}) {
+      const job = jobs.get(jobId);
+      if (!job || FINISHED_STATUSES.has(job.status) || signal?.aborted) {
+        return Promise.resolve(job && describe(job));
+      }
+      return new Promise((resolve) => {
+        const done = () => {
+          listeners.delete(listener);
+          signal?.removeEventListener('abort', done);
+          resolve(describe(job));
+        };
+        const listener = ({ job: view }) => {
+          if (view.jobId === jobId && FINISHED_STATUSES.has(view.status)) done();
+        };
+        listeners.add(listener);
+        signal?.addEventListener('abort', done, { once: true });
+      });
+    },
+
+    /**
+     * A job's current state, or undefined for an unknown ID
+     */
+    get(jobId) {
+      const job = jobs.get(jobId);
+      return job && describe(job);
+    },
+
+    /**
+     * Every known job, newest first
+     */
+    list() {
+      return [...jobs.values()].reverse().map(describe);
+    },
+
+    /**
+     * Cancel a running job. Finished jobs are returned unchanged.
+     * @returns {Object|undefined} The job after cancellation, or undefined for an unknown ID
+     */
+    cancel(jobId) {
+      const job = jobs.get(jobId);
+      if (!job) return undefined;
+      if (job.status === 'running') {
+        job.controller.abort();
+        finish(job, 'cancelled');
+        console.error(`DEBUG - Index job ${job.id} cancelled`);
+      }
+      return describe(job);
+    }
+  };
+}
@@ -3,18 +3,35 @@
 /**
  * Direct STDIO Implementation for MCP
  * - This avoids SDK limitations and directly implements the protocol
- * - Immediately provides server info on startup
- * - Responds to all standard MCP requests
+ * - Implements the MCP lifecycle (initialize, version negotiation, ping)
+ * - Responds to all standard MCP requests (tools/*, resources/*, prompts/*)
+ * - Keeps the legacy getServerInfo/listOfferings/invoke* methods as aliases
  * - Forwards requests to the Go backend when needed
  */
 
-const fs = require('fs');
-const axios = require('axios');
-const path = require('path');
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  getOfferings,
+  listTools,
+  getTool,
+  callTool,
+  toToolResult,
+  toToolError,
+  ToolInputError
+} from './tool-registry.js';
+import { GoBackendError } from './go-client.js';
+import { createToolContext } from './tool-context.js';
+import { listResources, listResourceTemplates, readResource, ResourceError, subscribeResource } from './repo-resources.js';
+import { getPrompt, listPrompts } from './prompt-registry.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
 // Configuration
 const config = {
   GO_SERVER_URL: process.env.GO_SERVER_URL || 'http://localhost:8081',
+  SEARCH_BACKEND: process.env.SEARCH_BACKEND || 'go', // 'go' (local fallback) or 'local'
   DEBUG: process.env.DEBUG || false,
   LOG_FILE: path.join(__dirname, 'mcp-debug.log')
 };
@@ -71,53 +88,14 @@ const serverInfo = {
   }
 };
 
-// Define offerings
-const offerings = {
-  tools: [
-    {
-      id: "chat",
-      name: "Chat",
-      description: "Process a chat message with repository context",
-      parameters: {
-        type: "object",
-        required: ["message"],
-        properties: {
-          message: { type: "string", description: "The message to process" },
-          repository: { type: "string", description: "Repository to use for context" },
-          context: { type: "array", items: { type: "string" }, description: "Additional context" }
-        }
-      }
-    },
-    {
-      id: "vectorSearch",
-      name: "Vector Search",
-      description: "Search for code in a repository",
-      parameters: {
-        type: "object",
-        required: ["query", "repository"],
-        properties: {
-          query: { type: "string", description: "The search query" },
-          repository: { type: "string", description: "Repository to search in" },
-          limit: { type: "number", description: "Maximum results to return" }
-        }
-      }
-    },
-    {
-      id: "indexRepository",
-      name: "Index Repository",
-      description: "Index a repository for search",
-      parameters: {
-        type: "object",
-        required: ["repository"],
-        properties: {
-          repository: { type: "string", description: "Repository URL to index" },
-          branch: { type: "string", description: "Branch to index" }
-        }
-      }
-    }
-  ],
-  resources: [],
-  resourceTemplates: []
+// MCP protocol versions this server speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-03-26', '2024-11-05'];
+
+// Capabilities advertised in the initialize result
+const serverCapabilities = {
+  tools: { listChanged: false },
+  resources: { listChanged: false, subscribe: true },
+  prompts: { listChanged: false }
 };
 
 // Send JSONRPC message to stdout
@@ -131,131 +109,328 @@ function sendJsonRpc(message) {
   }
 }
 
-// Send server info notification immediately
-log('Sending server info notification');
-sendJsonRpc({
-  jsonrpc: "2.0",
-  method: "serverInfo",
-  params: { serverInfo }
-});
-
-// Send JSON-RPC response
-function sendResponse(result, id) {
-  sendJsonRpc({
+// Build JSON-RPC response
+function makeResponse(result, id) {
+  return {
     jsonrpc: '2.0',
     result,
     id
-  });
+  };
 }
 
-// Send JSON-RPC error
-function sendError(code, message, id) {
-  sendJsonRpc({
+// Build JSON-RPC error
+function makeError(code, message, id, data) {
+  return {
     jsonrpc: '2.0',
     error: {
       code,
-      message
+      message,
+      ...(data !== undefined ? { data } : {})
     },
     id
-  });
+  };
 }
 
-// Handle chat request
-async function handleChat(params, id) {
+// State shared by the tool handlers: Go client, embedded engine, index jobs,
+// search cache, chat sessions and LLM provider
+const sharedContext = createToolContext({
+  goServerUrl: config.GO_SERVER_URL,
+  searchMode: config.SEARCH_BACKEND
+});
+
+// Resources this client subscribed to, reported as updated when their
+// repository is reindexed
+const resourceSubscriptions = sharedContext.resourceSubscriptions
+  .open(async (notification) => sendJsonRpc({ jsonrpc: '2.0', ...notification }));
+
+// In-flight backend requests by JSON-RPC id, so notifications/cancelled can abort them
+const inFlightRequests = new Map();
+
+// Context for the shared tool handlers; the signal lets cancellation abort
+// the backend request, and a progress token turns job progress into
+// notifications/progress
+function toolContext(signal, progressToken) {
+  return {
+    ...sharedContext,
+    signal,
+    progressToken,
+    sendNotification: async (notification) => sendJsonRpc({ jsonrpc: '2.0', ...notification })
+  };
+}
+
+// Map the parameter shapes of the pre-registry legacy methods onto the
+// registry tools: indexRepository took the URL as `repository`, and chat
+// took `context` as an array of strings (now a record keyed by position)
+function legacyParams(name, params) {
+  if (!params || typeof params !== 'object') return params;
+  if (name === 'indexRepository' && params.repository !== undefined && params.repoUrl === undefined && params.path === undefined) {
+    const { repository, ...rest } = params;
+    return { ...rest, repoUrl: repository };
+  }
+  if (name === 'chat' && Array.isArray(params.context)) {
+    return { ...params, context: Object.fromEntries(params.context.map((entry, index) => [String(index), entry])) };
+  }
+  return params;
+}
+
+// Run a registry tool for a legacy method, replying with its raw data
+async function handleLegacyInvoke(name, label, params, id, signal) {
   try {
-    log('Handling chat request', params);
-    const response = await axios.post(`${config.GO_SERVER_URL}/chat`, params);
-    sendResponse(response.data, id);
+    log(`Handling legacy ${name} request`, params);
+    return makeResponse(await callTool(name, legacyParams(name, params), toolContext(signal)), id);
   } catch (error) {
-    log('Chat request error', error.message);
-    sendError(-32000, `Chat request failed: ${error.message}`, id);
+    log(`${label} error`, error.message);
+    if (error instanceof ToolInputError) {
+      return makeError(-32602, error.message, id);
+    }
+    if (error instanceof GoBackendError) {
+      const { code, data } = error.toJsonRpcError();
+      return makeError(code, `${label} failed: ${error.message}`, id, data);
+    }
+    return makeError(-32000, `${label} failed: ${error.message}`, id);
   }
 }
 
-// Handle vector search request
-async function handleVectorSearch(params, id) {
+// Handle MCP initialize: negotiate the protocol version and advertise capabilities
+function handleInitialize(params = {}, id) {
+  const requested = params.protocolVersion;
+  const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+    ? requested
+    : SUPPORTED_PROTOCOL_VERSIONS[0];
+  log('Handling initialize request', { requested, negotiated: protocolVersion, client: params.clientInfo });
+
+  return makeResponse({
+    protocolVersion,
+    capabilities: serverCapabilities,
+    serverInfo: {
+      name: serverInfo.name,
+      version: serverInfo.version
+    },
+    instructions: serverInfo.description
+  }, id);
+}
+
+// Handle MCP tools/list
+function handleToolsList(id) {
+  return makeResponse({ tools: listTools() }, id);
+}
+
+// Handle MCP tools/call: backend failures are tool results with isError set,
+// unknown tools and invalid arguments are protocol errors
+async function handleToolsCall(params = {}, id, signal) {
+  const { name, arguments: args = {} } = params;
+  const tool = getTool(name);
+
   try {
-    log('Handling vector search request', params);
-    const response = await axios.post(`${config.GO_SERVER_URL}/vector-search`, params);
-    sendResponse(response.data, id);
+    log(`Handling tools/call for ${name}`, args);
+    const ctx = toolContext(signal, params._meta?.progressToken);
+    return makeResponse(toToolResult(await callTool(name, args, ctx)), id);
   } catch (error) {
-    log('Vector search error', error.message);
-    sendError(-32000, `Vector search failed: ${error.message}`, id);
+    log(`Tool ${name} error`, error.message);
+    if (error instanceof ToolInputError) {
+      return makeError(-32602, error.message, id);
+    }
+    return makeResponse(toToolError(tool, error), id);
   }
 }
 
-// Handle repository indexing request
-async function handleIndexRepository(params, id) {
+// Handle MCP resources/list, resources/templates/list, resources/read,
+// resources/subscribe and resources/unsubscribe
+async function handleResources(method, params = {}, id) {
   try {
-    log('Handling index repository request', params);
-    const response = await axios.post(`${config.GO_SERVER_URL}/index-repository`, params);
-    sendResponse(response.data, id);
+    log(`Handling ${method}`, params);
+    switch (method) {
+      case 'resources/list':
+        return makeResponse(listResources(toolContext(), { cursor: params.cursor }), id);
+      case 'resources/templates/list':
+        return makeResponse({ resourceTemplates: listResourceTemplates() }, id);
+      case 'resources/subscribe':
+        return makeResponse(subscribeResource(resourceSubscriptions, params.uri), id);
+      case 'resources/unsubscribe':
+        resourceSubscriptions.unsubscribe(params.uri);
+        return makeResponse({}, id);
+      default:
+        return makeResponse(await readResource(toolContext(), params.uri), id);
+    }
   } catch (error) {
-    log('Index repository error', error.message);
-    sendError(-32000, `Index repository failed: ${error.message}`, id);
+    log(`${method} error`, error.message);
+    return makeError(error instanceof ResourceError ? error.code : -32603, error.message, id);
   }
 }
 
-// Process incoming requests
-process.stdin.setEncoding('utf8');
-process.stdin.on('data', (chunk) => {
-  const input = chunk.toString();
-  log('RECEIVED', input);
-  
+// Handle MCP prompts/get: the prompt's search runs like a tool call
+async function handlePromptsGet(params = {}, id, signal) {
   try {
-    // Split input by newlines in case multiple requests come at once
-    input.split('\n').forEach(line => {
-      if (!line.trim()) return;
+    log(`Handling prompts/get for ${params.name}`, params.arguments);
+    return makeResponse(await getPrompt(params.name, params.arguments, toolContext(signal)), id);
+  } catch (error) {
+    log(`Prompt ${params.name} error`, error.message);
+    return makeError(error instanceof ToolInputError ? -32602 : -32603, error.message, id);
+  }
+}
+
+// Handle MCP notifications/cancelled: abort the matching backend request
+function handleCancelled(params = {}) {
+  const controller = inFlightRequests.get(params.requestId);
+  if (!controller) {
+    log('Cancellation for unknown or finished request', params.requestId);
+    return;
+  }
+  log('Cancelling request', { requestId: params.requestId, reason: params.reason });
+  controller.abort(params.reason);
+}
+
+// Dispatch a request to its method handler. Returns the response to send,
+// or null when the request has no response
+async function dispatch(request, signal) {
+  switch (request.method) {
+    case 'initialize':
+      return handleInitialize(request.params, request.id);
       
-      const request = JSON.parse(line);
-      log('Parsed request', request);
+    case 'notifications/initialized':
+      log('Client initialized');
+      return null;
       
-      if (request.jsonrpc !== '2.0') {
-        log('Invalid JSON-RPC version', request);
-        sendError(-32600, 'Invalid JSON-RPC version', request.id);
-        return;
-      }
+    case 'notifications/cancelled':
+      handleCancelled(request.params);
+      return null;
       
-      // Handle different methods
-      switch (request.method) {
-        case 'getServerInfo':
-          log('Handling getServerInfo request');
-          sendResponse({ serverInfo }, request.id);
-          break;
-          
-        case 'listOfferings':
-          log('Handling listOfferings request');
-          sendResponse(offerings, request.id);
-          break;
-          
-        case 'chat':
-        case 'invokeChat':
-          handleChat(request.params, request.id);
-          break;
-          
-        case 'vectorSearch':
-        case 'invokeVectorSearch':
-          handleVectorSearch(request.params, request.id);
-          break;
-          
-        case 'indexRepository':
-        case 'invokeIndexRepository':
-          handleIndexRepository(request.params, request.id);
-          break;
-          
-        default:
-          log('Unknown method', request.method);
-          sendError(-32601, `Method not found: ${request.method}`, request.id);
-      }
-    });
+    case 'ping':
+      return makeResponse({}, request.id);
+      
+    case 'tools/list':
+      return handleToolsList(request.id);
+      
+    case 'tools/call':
+      return handleToolsCall(request.params, request.id, signal);
+      
+    case 'resources/list':
+    case 'resources/templates/list':
+    case 'resources/read':
+    case 'resources/subscribe':
+    case 'resources/unsubscribe':
+      return handleResources(request.method, request.params, request.id);
+      
+    case 'prompts/list':
+      return makeResponse({ prompts: listPrompts() }, request.id);
+      
+    case 'prompts/get':
+      return handlePromptsGet(request.params, request.id, signal);
+      
+    // Legacy methods, kept as aliases for existing callers
+    case 'getServerInfo':
+      log('Handling getServerInfo request');
+      return makeResponse({ serverInfo }, request.id);
+      
+    case 'listOfferings':
+      log('Handling listOfferings request');
+      return makeResponse(getOfferings(toolContext()), request.id);
+      
+    case 'chat':
+    case 'invokeChat':
+      return handleLegacyInvoke('chat', 'Chat request', request.params, request.id, signal);
+      
+    case 'vectorSearch':
+    case 'invokeVectorSearch':
+      return handleLegacyInvoke('vectorSearch', 'Vector search', request.params, request.id, signal);
+      
+    case 'indexRepository':
+    case 'invokeIndexRepository':
+      return handleLegacyInvoke('indexRepository', 'Index repository', request.params, request.id, signal);
+      
+    default:
+      log('Unknown method', request.method);
+      return makeError(-32601, `Method not found: ${request.method}`, request.id);
+  }
+}
+
+// Handle a single JSON-RPC message. Messages without an id are notifications
+// and never get a response; cancelled requests don't either
+async function handleMessage(request) {
+  if (!request || typeof request !== 'object' || Array.isArray(request)) {
+    return makeError(-32600, 'Invalid Request', null);
+  }
+  
+  const isNotification = !('id' in request);
+  
+  if (request.jsonrpc !== '2.0' || typeof request.method !== 'string') {
+    log('Invalid JSON-RPC request', request);
+    return isNotification ? null : makeError(-32600, 'Invalid Request', request.id);
+  }
+  
+  if (isNotification) {
+    await dispatch(request);
+    return null;
+  }
+  
+  const controller = new AbortController();
+  inFlightRequests.set(request.id, controller);
+  try {
+    const response = await dispatch(request, controller.signal);
+    return controller.signal.aborted ? null : response;
+  } finally {
+    inFlightRequests.delete(request.id);
+  }
+}
+
+// Handle one complete line of input: a single message or a batch array
+async function handleLine(line) {
+  let payload;
+  try {
+    payload = JSON.parse(line);
   } catch (error) {
-    log('Error processing request', error.message);
-    try {
-      sendError(-32700, 'Parse error', null);
-    } catch (e) {
-      log('Error sending error response', e.message);
-    }
+    log('Parse error', { line, error: error.message });
+    sendJsonRpc(makeError(-32700, 'Parse error', null));
+    return;
+  }
+  log('Parsed request', payload);
+  
+  if (!Array.isArray(payload)) {
+    const response = await handleMessage(payload);
+    if (response) sendJsonRpc(response);
+    return;
   }
+  
+  if (payload.length === 0) {
+    sendJsonRpc(makeError(-32600, 'Invalid Request', null));
+    return;
+  }
+  
+  // Batch: process concurrently, reply with one array holding every response
+  const responses = (await Promise.all(payload.map(handleMessage))).filter(Boolean);
+  if (responses.length > 0) {
+    sendJsonRpc(responses);
+  }
+}
+
+// Process incoming requests. Messages are newline-delimited, and a chunk may
+// end partway through a message, so keep the trailing partial line buffered
+let inputBuffer = '';
+
+function processLines(lines) {
+  lines.forEach(line => {
+    if (!line.trim()) return;
+    handleLine(line).catch(error => {
+      log('Error processing request', error.message);
+    });
+  });
+}
+
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', (chunk) => {
+  log('RECEIVED', chunk);
+  inputBuffer += chunk;
+  
+  const lines = inputBuffer.split('\n');
+  inputBuffer = lines.pop();
+  processLines(lines);
+});
+
+process.stdin.on('end', () => {
+  // Handle a final message that wasn't newline-terminated
+  const remaining = inputBuffer;
+  inputBuffer = '';
+  processLines([remaining]);
 });
 
 // Intercept uncaught exceptions
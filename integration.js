@@ -1,27 +1,50 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { z } from 'zod';
-import axios from 'axios';
+import { SSEServerTransport } from '@modelcontextprotocol/sdk/server/sse.js';
 import 'dotenv/config';
 import express from 'express';
-import fetch from 'node-fetch';
 import fs from 'fs';
+import { registerTools, callTool, ToolInputError } from './tool-registry.js';
+import { registerResources } from './repo-resources.js';
+import { registerPrompts } from './prompt-registry.js';
+import { GoBackendError } from './go-client.js';
+import { createToolContext } from './tool-context.js';
+import { setupMCPProtocol } from './ mcp-protocol.js';
+import { createAuth, assertAuthConfigured } from './auth.js';
 
-// Load configuration with Replit-specific defaults
-let config;
+// Load configuration with Replit-specific defaults; PORT and GO_SERVER_URL
+// from the environment take precedence over config.json
+let fileConfig = {};
 try {
   const configFile = fs.readFileSync('./config.json', 'utf8');
-  config = JSON.parse(configFile);
+  fileConfig = JSON.parse(configFile);
 } catch (error) {
-  config = {
-    autoStart: true, // Changed to true for Replit
-    port: process.env.PORT || 3000, // Replit uses PORT env var
-    goServerUrl: process.env.GO_SERVER_URL || 'http://localhost:8081'
-  };
+  // No config.json - fall back to the environment and defaults
+}
+const config = {
+  autoStart: true, // Changed to true for Replit
+  ...fileConfig,
+  port: process.env.PORT || fileConfig.port || 3000, // Replit uses PORT env var
+  goServerUrl: process.env.GO_SERVER_URL || fileConfig.goServerUrl || 'http://localhost:8081'
+};
+
+// API keys for every HTTP route and socket. Without one (and without
+// MCP_INSECURE=true) only the stdio server runs, as MCP clients like Cursor
+// launch it with no key.
+const auth = createAuth();
+let serveHttp = true;
+try {
+  assertAuthConfigured(auth, 'integration.js');
+} catch (error) {
+  console.error(`ERROR - ${error.message} Serving stdio only.`);
+  serveHttp = false;
 }
 
 const app = express();
 
+// Everything but the health checks needs an API key
+app.use(auth.middleware({ publicPaths: ['/', '/keep-alive'] }));
+
 // Health check endpoint for Replit
 app.get('/', (req, res) => {
   res.json({ 
@@ -38,16 +61,11 @@ process.on('message', (message) => {
   console.error('DEBUG - MESSAGE RECEIVED:', JSON.stringify(message));
 });
 
-// Create an MCP server with stdio transport for integration with Go server
-const server = new McpServer({
-  name: 'agent-chat-mcp',
-  version: '1.0.0',
-});
-
 // Configuration for your Go server
 const serverConfig = {
   GO_SERVER_URL: config.goServerUrl,
-  MCP_SECRET_TOKEN: process.env.MCP_SECRET_TOKEN
+  MCP_SECRET_TOKEN: process.env.MCP_SECRET_TOKEN,
+  SEARCH_BACKEND: process.env.SEARCH_BACKEND || 'go' // 'go' (local fallback) or 'local'
 };
 
 console.error('DEBUG - CONFIG:', {
@@ -56,14 +74,17 @@ console.error('DEBUG - CONFIG:', {
   PORT: config.port
 });
 
-// Add authentication header to requests if token is available
-const axiosConfig = {
-  timeout: 30000, // 30 second timeout
-  headers: {}
-};
-if (serverConfig.MCP_SECRET_TOKEN) {
-  axiosConfig.headers['X-MCP-Token'] = serverConfig.MCP_SECRET_TOKEN;
-}
+// Context handed to the shared tool handlers; the embedded engine answers
+// searches in local mode and while the Go server is down, and index jobs,
+// the search cache and chat sessions are shared by the stdio, SSE, HTTP and
+// socket routes. Index job events reach Socket.IO rooms and resource
+// subscribers whichever transport started them.
+const toolContext = createToolContext({
+  goServerUrl: serverConfig.GO_SERVER_URL,
+  token: serverConfig.MCP_SECRET_TOKEN,
+  searchMode: serverConfig.SEARCH_BACKEND
+});
+const { backend } = toolContext;
 
 // Test endpoint to verify MCP server is working
 app.get('/test', async (req, res) => {
@@ -71,8 +92,8 @@ app.get('/test', async (req, res) => {
     // Test Go server connection
     let goServerStatus = 'unreachable';
     try {
-      const response = await axios.get(`${serverConfig.GO_SERVER_URL}/health`, axiosConfig);
-      goServerStatus = response.data.success ? 'connected' : 'unhealthy';
+      const health = await backend.get('/health');
+      goServerStatus = health.success ? 'connected' : 'unhealthy';
     } catch (e) {
       goServerStatus = `error: ${e.message}`;
     }
@@ -80,10 +101,13 @@ app.get('/test', async (req, res) => {
     res.json({
       mcp_server: 'running',
       go_server: goServerStatus,
+      go_circuit: backend.breakerState(),
+      search_cache: toolContext.searchCache.stats(),
       config: {
         port: config.port,
         goServerUrl: serverConfig.GO_SERVER_URL,
-        hasToken: !!serverConfig.MCP_SECRET_TOKEN
+        hasToken: auth.keyNames.length > 0,
+        apiKeys: auth.keyNames
       }
     });
   } catch (error) {
@@ -92,259 +116,21 @@ app.get('/test', async (req, res) => {
 });
 
 /**
- * Process a chat message by delegating to the Go server's vector search
+ * Create an MCP server with the registry tools and prompts and repo:// resources.
+ * Every transport (stdio and each legacy SSE connection) gets its own instance.
  */
-async function processChat(message, repository = '', context = {}) {
-  try {
-    console.error(`DEBUG - Processing chat: "${message}" for repo: ${repository}`);
-    
-    // First check if Go server is available
-    try {
-      await axios.get(`${serverConfig.GO_SERVER_URL}/health`, axiosConfig);
-    } catch (healthError) {
-      console.error('Go server is not available:', healthError.message);
-      return {
-        message: "The backend server is currently unavailable. Please ensure the Go server is running and accessible.",
-        repository: repository,
-        codeContext: [],
-        timestamp: new Date().toISOString(),
-        error: 'backend_unavailable'
-      };
-    }
-    
-    // Search for relevant code using the Go server's vector search
-    const searchResponse = await axios.post(`${serverConfig.GO_SERVER_URL}/vector-search`, {
-      query: message,
-      repository: repository,
-      limit: 5
-    }, axiosConfig);
-    
-    console.error('DEBUG - Search response status:', searchResponse.status);
-    
-    // Format the chat response with the search results
-    const searchResults = searchResponse.data.success ? searchResponse.data.data : [];
-    
-    // If no useful results, return a user-friendly fallback
-    if (!searchResults || (Array.isArray(searchResults) && searchResults.length === 0)) {
-      return {
-        message: "Sorry, I couldn't find a clear answer to your question in the repository documentation or code. Please try rephrasing your question or provide more details.",
-        repository: repository,
-        codeContext: [],
-        timestamp: new Date().toISOString()
-      };
-    }
-    
-    return {
-      message: `I processed your message: "${message}"`,
-      repository: repository,
-      codeContext: searchResults,
-      timestamp: new Date().toISOString()
-    };
-  } catch (error) {
-    console.error('Error processing chat:', error.message);
-    if (error.response) {
-      console.error('Response data:', error.response.data);
-      console.error('Response status:', error.response.status);
-    }
-    
-    // On error, also return a user-friendly fallback
-    return {
-      message: "Sorry, I couldn't find a clear answer to your question in the repository documentation or code. Please try rephrasing your question or provide more details.",
-      repository: repository,
-      codeContext: [],
-      timestamp: new Date().toISOString(),
-      error: error.message
-    };
-  }
-}
-
-// Add chat tool that integrates with Go server
-server.tool(
-  'chat',
-  {
-    message: z.string().describe('The user message to process'),
-    repository: z.string().optional().describe('The GitHub repository to reference'),
-    context: z.record(z.any()).optional().describe('Additional context for the chat')
-  },
-  async ({ message, repository = '', context = {} }) => {
-    try {
-      console.error('DEBUG - Chat tool called with:', { message, repository });
-      const result = await processChat(message, repository, context);
-      console.error('DEBUG - Chat result:', result);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(result, null, 2),
-          },
-        ],
-      };
-    } catch (error) {
-      const errorMessage = error instanceof Error ? error.message : String(error);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: `Error processing chat: ${errorMessage}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-  }
-);
-
-// Pass through vector search to Go server
-server.tool(
-  'vectorSearch',
-  {
-    query: z.string().describe('The search query'),
-    repository: z.string().describe('The repository to search in'),
-    limit: z.number().optional().describe('Maximum number of results to return'),
-    repoUrl: z.string().optional().describe('The GitHub repository URL to index'),
-    branch: z.string().optional().describe('The branch to index (default: main)')
-  },
-  async ({ query, repository, limit = 5, repoUrl, branch = 'main' }) => {
-    function hasResults(result) {
-      if (!result || result.isError) return false;
-      if (!result.content || !Array.isArray(result.content)) return false;
-      // Check if any content item has non-empty text and is not an error
-      return result.content.some(
-        (item) => item.type === 'text' && item.text && !item.text.includes('error') && item.text !== '{}' && item.text !== '[]'
-      );
-    }
-    
-    // 1st attempt
-    let result = await (async () => {
-      try {
-        const response = await axios.post(`${serverConfig.GO_SERVER_URL}/vector-search`, {
-          query,
-          repository,
-          limit
-        }, axiosConfig);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(response.data, null, 2),
-            },
-          ],
-        };
-      } catch (error) {
-        const errorMessage = error instanceof Error ? error.message : String(error);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: `Search failed: ${errorMessage}`
-              }, null, 2),
-            },
-          ],
-          isError: true,
-        };
-      }
-    })();
-    
-    if (hasResults(result)) return result;
-    
-    // 2nd attempt
-    result = await (async () => {
-      try {
-        const response = await axios.post(`${serverConfig.GO_SERVER_URL}/vector-search`, {
-          query,
-          repository,
-          limit
-        }, axiosConfig);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify(response.data, null, 2),
-            },
-          ],
-        };
-      } catch (error) {
-        const errorMessage = error instanceof Error ? error.message : String(error);
-        return {
-          content: [
-            {
-              type: 'text',
-              text: JSON.stringify({
-                status: 'error',
-                message: `Search failed: ${errorMessage}`
-              }, null, 2),
-            },
-          ],
-          isError: true,
-        };
-      }
-    })();
-    
-    if (hasResults(result)) return result;
-    
-    // If still no results, index the repository (if repoUrl is provided)
-    if (repoUrl) {
-      await server.tools.indexRepository({ repoUrl, branch });
-    }
-    
-    return result;
-  }
-);
-
-// Add a repository indexing tool to your MCP server
-server.tool(
-  'indexRepository',
-  {
-    repoUrl: z.string().describe('The GitHub repository URL to index'),
-    branch: z.string().optional().describe('The branch to index (default: main)')
-  },
-  async ({ repoUrl, branch = 'main' }) => {
-    try {
-      console.error(`DEBUG - Indexing repository: ${repoUrl}, branch: ${branch}`);
-      
-      // Call the Go server's repository indexing endpoint
-      const response = await axios.post(`${serverConfig.GO_SERVER_URL}/index-repository`, {
-        repoUrl,
-        branch
-      }, axiosConfig);
+function createMcpServer() {
+  const server = new McpServer({
+    name: 'agent-chat-mcp',
+    version: '1.0.0',
+  });
 
-      console.error('DEBUG - Repository indexing result status:', response.status);
+  registerTools(server, toolContext);
+  registerResources(server, toolContext);
+  registerPrompts(server, toolContext);
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(response.data, null, 2),
-          },
-        ],
-      };
-    } catch (error) {
-      const errorMessage = error instanceof Error ? error.message : String(error);
-      console.error('DEBUG - Repository indexing error:', errorMessage);
-      if (error.response) {
-        console.error('Response data:', error.response.data);
-        console.error('Response status:', error.response.status);
-      }
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: `Repository indexing failed: ${errorMessage}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-  }
-);
+  return server;
+}
 
 // Enable JSON parsing
 app.use(express.json());
@@ -352,65 +138,33 @@ app.use(express.json());
 // Add your MCP routes
 app.post('/mcp', async (req, res) => {
   try {
-    console.log('Received request body:', req.body);
+    console.log(`Received request body (key: ${req.apiKeyName}):`, req.body);
 
-    // Verify token
-    const authHeader = req.headers.authorization;
-    if (!authHeader || `Bearer ${serverConfig.MCP_SECRET_TOKEN}` !== authHeader) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
+    // Requests name a registry tool and its params; the direct format
+    // (query/repository at the top level) is a vector search
+    const toolName = req.body.tool || 'vectorSearch';
+    const params = req.body.tool ? req.body.params : req.body;
 
-    let goServerRequest;
-    
-    if (req.body.tool === 'vectorSearch') {
-      // Format for vector search
-      goServerRequest = {
-        query: req.body.params.query,
-        repository: req.body.params.repository,
-        branch: req.body.params.branch || 'main'
-      };
-    } else if (req.body.tool === 'indexRepository') {
-      // Format for repository indexing
-      goServerRequest = {
-        repoUrl: req.body.params.repoUrl,
-        branch: req.body.params.branch || 'main'
-      };
-    } else {
-      // Direct format (as shown in your working example)
-      goServerRequest = {
-        query: req.body.query,
-        repository: req.body.repository,
-        branch: req.body.branch || 'main'
-      };
+    console.log(`Calling ${toolName} with:`, params);
+    const data = await callTool(toolName, params, toolContext);
+    res.json(data);
+  } catch (error) {
+    if (error instanceof ToolInputError) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message,
+        success: false
+      });
     }
-
-    console.log('Sending request to Go server:', goServerRequest);
-    
-    // Choose the correct endpoint based on the tool
-    const endpoint = req.body.tool === 'indexRepository' ? '/index-repository' : '/vector-search';
-    const response = await fetch(`${serverConfig.GO_SERVER_URL}${endpoint}`, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify(goServerRequest)
-    });
-
-    const responseData = await response.text();
-    console.log('Go server response:', responseData);
-
-    if (!response.ok) {
-      console.error(`Go server responded with status ${response.status}`);
-      return res.status(response.status).json({ 
+    if (error instanceof GoBackendError) {
+      console.error(`Go server request failed (${error.code}): ${error.message}`);
+      return res.status(error.httpStatus).json({
         error: 'Request failed',
-        message: responseData,
+        code: error.code,
+        message: error.data || error.message,
         success: false
       });
     }
-
-    const data = JSON.parse(responseData);
-    res.json(data);
-  } catch (error) {
     console.error('Error processing request:', error);
     res.status(500).json({ 
       error: 'Internal server error',
@@ -420,43 +174,80 @@ app.post('/mcp', async (req, res) => {
   }
 });
 
+// Legacy HTTP+SSE transport for older MCP clients: each GET /sse opens a
+// session with its own McpServer, and the client posts its messages to
+// /messages?sessionId=<id>
+const sseTransports = new Map();
+
+app.get('/sse', async (req, res) => {
+  const transport = new SSEServerTransport('/messages', res);
+  sseTransports.set(transport.sessionId, transport);
+  console.error(`DEBUG - SSE session opened: ${transport.sessionId}`);
+
+  res.on('close', () => {
+    sseTransports.delete(transport.sessionId);
+    console.error(`DEBUG - SSE session closed: ${transport.sessionId}`);
+  });
+
+  try {
+    await createMcpServer().connect(transport);
+  } catch (error) {
+    console.error('Failed to start SSE session:', error);
+    sseTransports.delete(transport.sessionId);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to start SSE session' });
+    }
+  }
+});
+
+app.post('/messages', async (req, res) => {
+  const sessionId = req.query.sessionId;
+  const transport = sessionId ? sseTransports.get(sessionId) : undefined;
+  if (!transport) {
+    return res.status(404).json({ error: `No SSE session found for sessionId: ${sessionId}` });
+  }
+
+  await transport.handlePostMessage(req, res, req.body);
+});
+
 // Keep-alive endpoint for Replit
 app.get('/keep-alive', (req, res) => {
   res.json({ alive: true, timestamp: new Date().toISOString() });
 });
 
-// Start the HTTP server (Always start on Replit)
-app.listen(config.port, '0.0.0.0', () => {
-  console.log(`MCP server listening on port ${config.port}`);
-  console.log(`Health check: http://localhost:${config.port}/`);
-  console.log(`Test endpoint: http://localhost:${config.port}/test`);
-});
+// Start the HTTP server (Always start on Replit, where a key is configured)
+if (serveHttp) {
+  const httpServer = app.listen(config.port, '0.0.0.0', () => {
+    console.log(`MCP server listening on port ${config.port}`);
+    console.log(`Health check: http://localhost:${config.port}/`);
+    console.log(`Test endpoint: http://localhost:${config.port}/test`);
+    console.log(`Legacy SSE endpoint: http://localhost:${config.port}/sse`);
+  });
+
+  // WebSocket MCP transport and Socket.IO (streaming, index events) on the same port
+  setupMCPProtocol(app, httpServer, { name: 'agent-chat-mcp', version: '1.0.0' }, toolContext, { auth });
+}
 
 // Start the stdio server
 console.log('Agent Chat MCP server running on stdio');
 const transport = new StdioServerTransport();
-server.connect(transport).catch((error) => {
+createMcpServer().connect(transport).catch((error) => {
   console.error('Failed to connect MCP server:', error);
   // Don't exit on Replit - let the HTTP server continue running
 });
 
-// Connect to Go server with retry logic
-async function connectToGoServer(retries = 3) {
-  for (let i = 0; i < retries; i++) {
-    try {
-      const response = await axios.get(`${serverConfig.GO_SERVER_URL}/health`, axiosConfig);
-      if (response.data.success) {
-        console.log(`Connected to Go server at ${serverConfig.GO_SERVER_URL}`);
-        return true;
-      }
-    } catch (error) {
-      console.error(`Failed to connect to Go server (attempt ${i + 1}/${retries}): ${error.message}`);
-      if (i < retries - 1) {
-        await new Promise(resolve => setTimeout(resolve, 5000)); // Wait 5 seconds before retry
-      }
+// Check the Go server connection; the client retries with backoff
+async function connectToGoServer() {
+  try {
+    const health = await backend.get('/health');
+    if (health.success) {
+      console.log(`Connected to Go server at ${serverConfig.GO_SERVER_URL}`);
+      return true;
     }
+    console.error('Go server reported itself unhealthy');
+  } catch (error) {
+    console.error(`Could not establish connection to Go server: ${error.message}`);
   }
-  console.error('Could not establish connection to Go server after all retries');
   return false;
 }
 
@@ -0,0 +1,271 @@
+// llm-provider.js - answer synthesis for the chat tool
+//
+// A provider turns a question and the snippets retrieved for it into a
+// grounded answer that cites its sources inline as [file:start-end]:
+// `openai` calls any OpenAI-compatible /chat/completions endpoint, `local`
+// builds an extractive answer from the snippets without a model, and `none`
+// leaves chat replies as they were. Snippets are trimmed to a token budget
+// before they reach the provider. Given an `onToken` callback, providers
+// report the answer text as it is written (the socket channels stream it).
+//
+// Environment:
+//   LLM_PROVIDER     - openai, local or none (default: openai when LLM_BASE_URL is set, otherwise none)
+//   LLM_BASE_URL     - base URL of the OpenAI-compatible API, e.g. https://api.openai.com/v1
+//   LLM_API_KEY      - bearer token for that API
+//   LLM_MODEL        - model to ask (default gpt-4o-mini)
+//   LLM_TOKEN_BUDGET - tokens of snippet text per answer (default 3000)
+//   LLM_TIMEOUT_MS   - request timeout (default 60000)
+
+import axios from 'axios';
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TOKEN_BUDGET = 3000;
+const DEFAULT_TIMEOUT = 60000;
+
+// Rough characters per token; close enough for code and English prose
+const CHARS_PER_TOKEN = 4;
+
+// Lines quoted per snippet by the local provider
+const LOCAL_QUOTE_LINES = 2;
+
+const SYSTEM_PROMPT = [
+  'You answer questions about a code repository using only the numbered sources provided.',
+  'Cite every claim inline with the label of its source in square brackets, exactly as given, e.g. [src/server.js:10-24].',
+  'If the sources do not answer the question, say so instead of guessing.'
+].join(' ');
+
+/**
+ * Approximate token count of a text
+ */
+export function estimateTokens(text) {
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Citation label of a snippet: `file:start-end`, or the file alone when the
+ * snippet has no line numbers
+ */
+export function citationFor({ file, startLine, endLine }) {
+  return startLine ? `${file}:${startLine}-${endLine ?? startLine}` : file;
+}
+
+/**
+ * Trim snippets, in rank order, to a token budget. A snippet that doesn't fit
+ * whole keeps as many leading lines as fit (its endLine shrinks to match) and
+ * the ones after it are dropped.
+ * @param {Array<Object>} snippets - Search results with file and content
+ * @param {number} tokenBudget - Tokens of snippet content allowed in total
+ * @returns {Array<Object>} Snippets with `citation` and `truncated` added
+ */
+export function fitToBudget(snippets, tokenBudget) {
+  const fitted = [];
+  let remaining = tokenBudget;
+  for (const snippet of snippets) {
+    if (!snippet.file || typeof snippet.content !== 'string') continue;
+    const cost = estimateTokens(snippet.content);
+    if (cost <= remaining) {
+      fitted.push({ ...snippet, citation: citationFor(snippet), truncated: false });
+      remaining -= cost;
+      continue;
+    }
+
+    const kept = [];
+    for (const line of snippet.content.split('\n')) {
+      const lineCost = estimateTokens(`${line}\n`);
+      if (lineCost > remaining) break;
+      kept.push(line);
+      remaining -= lineCost;
+    }
+    if (kept.length > 0) {
+      const trimmed = { ...snippet, content: kept.join('\n') };
+      if (snippet.startLine) trimmed.endLine = snippet.startLine + kept.length - 1;
+      fitted.push({ ...trimmed, citation: citationFor(trimmed), truncated: true });
+    }
+    break;
+  }
+  return fitted;
+}
+
+/**
+ * Chat messages asking a model to answer from the given sources
+ * @param {string} question
+ * @param {Array<Object>} sources - Output of fitToBudget
+ * @param {Array<Object>} [history] - Earlier { role, content } messages of the conversation
+ */
+export function groundedMessages(question, sources, history = []) {
+  const blocks = sources.map(source => `[${source.citation}]\n\`\`\`\n${source.content}\n\`\`\``);
+  return [
+    { role: 'system', content: SYSTEM_PROMPT },
+    ...history.map(({ role, content }) => ({ role, content })),
+    { role: 'user', content: `Sources:\n\n${blocks.join('\n\n')}\n\nQuestion: ${question}` }
+  ];
+}
+
+// Words of a text worth matching on, lowercased
+function words(text) {
+  return new Set(String(text).toLowerCase().match(/[a-z0-9_]{3,}/g) || []);
+}
+
+// Lines of a snippet sharing the most words with the question, in file order
+function quoteLines(content, questionWords) {
+  const lines = content.split('\n').map((text, index) => ({
+    text: text.trim(),
+    index,
+    score: [...words(text)].filter(word => questionWords.has(word)).length
+  })).filter(line => line.text);
+  return lines
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, LOCAL_QUOTE_LINES)
+    .sort((a, b) => a.index - b.index)
+    .map(line => line.text);
+}
+
+// Read a streamed /chat/completions response (server-sent events), passing
+// each piece of answer text to onToken; resolves with the whole answer
+async function readCompletionStream(stream, onToken) {
+  let buffer = '';
+  let answer = '';
+  for await (const chunk of stream) {
+    buffer += chunk.toString('utf8');
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      const payload = line.startsWith('data:') ? line.slice('data:'.length).trim() : '';
+      if (!payload || payload === '[DONE]') continue;
+      const text = JSON.parse(payload).choices?.[0]?.delta?.content;
+      if (text) {
+        answer += text;
+        onToken(text);
+      }
+    }
+  }
+  return answer;
+}
+
+/**
+ * Provider that calls an OpenAI-compatible /chat/completions endpoint,
+ * streaming the completion when the caller wants tokens as they arrive
+ */
+function createOpenAiProvider({ baseUrl, apiKey, model, timeout }) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+  return {
+    name: 'openai',
+    model,
+    async answer({ question, sources, history, signal, onToken }) {
+      let content;
+      try {
+        const response = await axios.post(url, {
+          model,
+          messages: groundedMessages(question, sources, history),
+          temperature: 0.1,
+          ...(onToken ? { stream: true } : {})
+        }, {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {})
+          },
+          timeout,
+          signal,
+          ...(onToken ? { responseType: 'stream' } : {})
+        });
+        content = onToken
+          ? await readCompletionStream(response.data, onToken)
+          : response.data?.choices?.[0]?.message?.content;
+      } catch (error) {
+        const status = error.response?.status;
+        throw new Error(`LLM request failed${status ? ` with HTTP ${status}` : ''}: ${error.message}`, { cause: error });
+      }
+      if (typeof content !== 'string' || !content.trim()) {
+        throw new Error('LLM response contained no answer');
+      }
+      return content.trim();
+    }
+  };
+}
+
+/**
+ * Provider that answers without a model: it quotes the lines of each source
+ * closest to the question, citing each one. Useful offline and in tests.
+ */
+function createLocalProvider() {
+  return {
+    name: 'local',
+    model: null,
+    async answer({ question, sources, onToken }) {
+      const questionWords = words(question);
+      const lines = [`The most relevant code for "${question}":`, ...sources.map(source => {
+        const label = source.symbol ? `\`${source.symbol}\` ` : '';
+        const quote = quoteLines(source.content, questionWords).join(' ');
+        return `- ${label}[${source.citation}]: ${quote}`;
+      })];
+      lines.forEach((line, index) => onToken?.(index < lines.length - 1 ? `${line}\n` : line));
+      return lines.join('\n');
+    }
+  };
+}
+
+/**
+ * Create the configured provider
+ * @param {Object} [options] - Defaults come from the LLM_* environment variables
+ * @param {string} [options.provider] - openai, local or none
+ * @param {string} [options.baseUrl] - Base URL of the OpenAI-compatible API
+ * @param {string} [options.apiKey]
+ * @param {string} [options.model]
+ * @param {number} [options.tokenBudget] - Tokens of snippet text per answer
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @returns {Object|null} The provider, or null for `none`
+ * @throws {Error} When the provider is unknown or openai has no base URL
+ */
+export function createLlmProvider({
+  baseUrl = process.env.LLM_BASE_URL,
+  provider = process.env.LLM_PROVIDER || (baseUrl ? 'openai' : 'none'),
+  apiKey = process.env.LLM_API_KEY,
+  model = process.env.LLM_MODEL || DEFAULT_MODEL,
+  tokenBudget = parseInt(process.env.LLM_TOKEN_BUDGET || String(DEFAULT_TOKEN_BUDGET), 10),
+  timeout = parseInt(process.env.LLM_TIMEOUT_MS || String(DEFAULT_TIMEOUT), 10)
+} = {}) {
+  let created;
+  switch (provider) {
+    case 'none':
+      return null;
+    case 'local':
+      created = createLocalProvider();
+      break;
+    case 'openai':
+      if (!baseUrl) {
+        throw new Error('LLM_PROVIDER=openai needs LLM_BASE_URL');
+      }
+      created = createOpenAiProvider({ baseUrl, apiKey, model, timeout });
+      break;
+    default:
+      throw new Error(`Unknown LLM provider: ${provider} (use openai, local or none)`);
+  }
+  return { ...created, tokenBudget };
+}
+
+/**
+ * Answer a question from search results with a provider
+ * @param {Object} provider - From createLlmProvider
+ * @param {Object} request
+ * @param {string} request.question
+ * @param {Array<Object>} request.snippets - Search results, best first
+ * @param {Array<Object>} [request.history] - Earlier { role, content } messages
+ * @param {AbortSignal} [request.signal]
+ * @param {Function} [request.onToken] - Called with each piece of answer text as it is written
+ * @returns {Promise<{ answer: string, citations: Array<Object> }>} The answer
+ *   and the sources it cites, in the order given
+ * @throws {Error} When no snippet fits the budget or the provider fails
+ */
+export async function synthesizeAnswer(provider, { question, snippets, history = [], signal, onToken }) {
+  const sources = fitToBudget(snippets, provider.tokenBudget);
+  if (sources.length === 0) {
+    throw new Error(`No snippet fits the LLM token budget of ${provider.tokenBudget}`);
+  }
+  const answer = await provider.answer({ question, sources, history, signal, onToken });
+  const citations = sources
+    .filter(source => answer.includes(`[${source.citation}]`))
+    .map(({ citation, repository, file, startLine, endLine, uri, truncated }) => ({
+      citation, repository, file, startLine, endLine, uri, truncated
+    }));
+  return { answer, citations };
+}
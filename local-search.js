@@ -0,0 +1,798 @@
+// local-search.js - embedded pure-Node code search engine
+//
+// Chunks source files (code-chunker.js) into an in-memory index and ranks chunks with BM25
+// blended with local deterministic embeddings (feature-hashed bag of words
+// and character trigrams). Used as a standalone backend (SEARCH_BACKEND=local)
+// and as the fallback when the Go server's /health check fails, and to index
+// local working directories.
+
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import ignore from 'ignore';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { chunkCode } from './code-chunker.js';
+import { changesBetween, fetchBranch, headCommit, uncommittedFiles } from './git-changes.js';
+import { createResultFilter } from './search-filters.js';
+
+const execFileAsync = promisify(execFile);
+
+// Embedding dimensions for the hashed vectors
+const EMBEDDING_DIMENSIONS = 256;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Weight of the BM25 score against the embedding similarity
+const LEXICAL_WEIGHT = 0.5;
+
+// Extensions that are always binary, skipped without reading the file
+const BINARY_EXTENSIONS = new Set([
+  '.png', '.jpg', '.jpeg', '.gif', '.bmp', '.ico', '.webp', '.pdf', '.zip', '.gz', '.tgz', '.tar',
+  '.jar', '.class', '.exe', '.dll', '.so', '.dylib', '.o', '.a', '.bin', '.wasm',
+  '.woff', '.woff2', '.ttf', '.otf', '.mp3', '.mp4', '.mov', '.sqlite', '.db'
+]);
+
+// Directories never worth indexing, whatever .gitignore says
+const SKIPPED_DIRECTORIES = new Set(['.git', 'node_modules', 'vendor', 'dist', 'build', 'coverage']);
+
+// Files larger than this are skipped unless configured otherwise
+const DEFAULT_MAX_FILE_BYTES = 512 * 1024;
+
+/**
+ * Whether a repository argument names a local directory rather than a
+ * GitHub repository: absolute, ./ or ../ relative, or ~ paths
+ */
+export function isLocalPath(repository) {
+  return /^(\/|\.{1,2}(\/|$)|~(\/|$)|[A-Za-z]:[\\/])/.test(String(repository || '').trim());
+}
+
+/**
+ * Repository key for a GitHub URL, owner/repo string or local path.
+ * Local paths are keyed by their absolute path.
+ */
+export function repositoryKey(repository) {
+  const value = String(repository || '').trim();
+  if (isLocalPath(value)) {
+    return path.resolve(value.replace(/^~(?=\/|$)/, os.homedir()));
+  }
+  return value
+    .replace(/^https?:\/\/(www\.)?github\.com\//, '')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Git URL of a repository given as an https:// URL or GitHub owner/repo
+ * string. Other schemes (file://, ssh://, git@host:...) and local paths are
+ * refused, so callers can't clone directories of this machine or reach
+ * other services; REPOSITORY_HOSTS (comma-separated) limits the hosts too.
+ * @param {string} repoUrl
+ * @param {string} [hosts] - Allowed hosts, comma-separated; any host when empty
+ * @throws {Error} When the repository is not an allowed https:// URL or owner/repo
+ */
+export function repositoryUrl(repoUrl, hosts = process.env.REPOSITORY_HOSTS || '') {
+  const value = String(repoUrl || '').trim();
+  if (/^[\w.-]+\/[\w.-]+$/.test(value) && !value.startsWith('.')) {
+    return `https://github.com/${repositoryKey(value)}.git`;
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`Repository ${value} is not an https:// URL or owner/repo`);
+  }
+  if (url.protocol !== 'https:') {
+    throw new Error(`Repository ${value} must be an https:// URL`);
+  }
+  const allowed = hosts.split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+  if (allowed.length && !allowed.includes(url.hostname)) {
+    throw new Error(`Repository host ${url.hostname} is not allowed; add it to REPOSITORY_HOSTS`);
+  }
+  return value;
+}
+
+/**
+ * Split text into lowercase search terms. Identifiers are also split on
+ * camelCase and snake_case boundaries, keeping the whole identifier too.
+ */
+export function tokenize(text) {
+  const terms = [];
+  for (const word of String(text).match(/[A-Za-z0-9_]+/g) || []) {
+    const lower = word.toLowerCase();
+    terms.push(lower);
+    const parts = word
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+      .split(/[\s_]+/)
+      .filter(Boolean);
+    if (parts.length > 1) {
+      terms.push(...parts.map(part => part.toLowerCase()));
+    }
+  }
+  return terms;
+}
+
+// Longest regular expression accepted in a keyword query
+const MAX_REGEX_LENGTH = 200;
+
+// Repetition at the start of a pattern: *, +, {n,} or {n,m}
+const REPETITION = /^(?:[*+]|\{\d+,\d*\})/;
+
+/**
+ * Why a regular expression could backtrack for exponential time, or null.
+ * Matching runs synchronously on the server, so the patterns that cause
+ * catastrophic backtracking are refused: backreferences, and repeated
+ * groups that contain a repetition or an alternation, as in `(a+)+` or
+ * `(a|a)*`.
+ */
+function backtrackingRisk(source) {
+  if (/\\(?:[1-9]|k<)/.test(source)) return 'backreferences are not supported';
+  // One entry per open group: whether it contains a repetition or alternation
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === '\\') {
+      i++;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const ambiguous = groups.pop();
+      const repeated = REPETITION.test(source.slice(i + 1));
+      if (ambiguous && repeated) {
+        return 'repeated groups may not contain repetitions or alternatives, as in (a+)+';
+      }
+      if (groups.length && (ambiguous || repeated)) groups[groups.length - 1] = true;
+    } else if (groups.length && (char === '|' || REPETITION.test(source.slice(i)))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pattern for a keyword query: `/pattern/flags` is a regular expression,
+ * anything else matches literally and case-insensitively
+ * @throws {SyntaxError} When a regular expression is invalid, longer than
+ *   MAX_REGEX_LENGTH or could backtrack for exponential time
+ */
+export function keywordPattern(query) {
+  const regex = String(query).match(/^\/(.+)\/([a-z]*)$/s);
+  if (regex) {
+    if (regex[1].length > MAX_REGEX_LENGTH) {
+      throw new SyntaxError(`Regular expression is longer than ${MAX_REGEX_LENGTH} characters`);
+    }
+    const risk = backtrackingRisk(regex[1]);
+    if (risk) {
+      throw new SyntaxError(`Regular expression /${regex[1]}/ could take too long to match: ${risk}`);
+    }
+    return new RegExp(regex[1], regex[2].includes('g') ? regex[2] : `${regex[2]}g`);
+  }
+  return new RegExp(String(query).trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi');
+}
+
+// 32-bit FNV-1a hash
+function hash(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Deterministic embedding: terms and their character trigrams hashed into a
+ * fixed-size, L2-normalized vector
+ */
+export function embed(text) {
+  const vector = new Float32Array(EMBEDDING_DIMENSIONS);
+  const addFeature = (feature, weight) => {
+    const h = hash(feature);
+    vector[h % EMBEDDING_DIMENSIONS] += (h & 0x80000000) ? -weight : weight;
+  };
+
+  for (const term of tokenize(text)) {
+    addFeature(term, 1);
+    const padded = `^${term}$`;
+    for (let i = 0; i + 3 <= padded.length; i++) {
+      addFeature(padded.slice(i, i + 3), 0.5);
+    }
+  }
+
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm) || 1;
+  return vector.map(value => value / norm);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+  return dot;
+}
+
+// Whether file content looks binary (a NUL byte near the start)
+function looksBinary(buffer) {
+  return buffer.subarray(0, 8000).includes(0);
+}
+
+// The .gitignore rules of one directory, or null when it has none
+async function loadGitignore(dir) {
+  try {
+    return ignore().add(await fs.readFile(path.join(dir, '.gitignore'), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Build a check for whether a path relative to `root` is excluded: always
+// skipped directories, or the .gitignore of any directory from the root down.
+// Each .gitignore is read once per checker.
+function createIgnoreChecker(root) {
+  const rulesByDir = new Map();
+  const rulesFor = (dir) => {
+    if (!rulesByDir.has(dir)) {
+      rulesByDir.set(dir, loadGitignore(path.join(root, dir)));
+    }
+    return rulesByDir.get(dir);
+  };
+
+  return async function isIgnored(relativePath, isDirectory) {
+    const segments = relativePath.split('/');
+    const directories = isDirectory ? segments : segments.slice(0, -1);
+    if (directories.some(segment => SKIPPED_DIRECTORIES.has(segment))) return true;
+
+    for (let depth = 0; depth < segments.length; depth++) {
+      const rules = await rulesFor(segments.slice(0, depth).join('/'));
+      const rest = segments.slice(depth).join('/');
+      if (rules?.ignores(isDirectory ? `${rest}/` : rest)) return true;
+    }
+    return false;
+  };
+}
+
+/**
+ * Walk a working tree and list its indexable files relative to `root`,
+ * honouring the .gitignore of every directory on the way down and skipping
+ * known binary extensions and files over `maxFileBytes`
+ * @returns {Promise<{ files: string[], skipped: { ignored: number, binary: number, oversized: number } }>}
+ */
+export async function walkTree(root, { maxFileBytes = DEFAULT_MAX_FILE_BYTES } = {}) {
+  const isIgnored = createIgnoreChecker(root);
+  const files = [];
+  const skipped = { ignored: 0, binary: 0, oversized: 0 };
+
+  async function walk(relativeDir) {
+    const entries = await fs.readdir(path.join(root, relativeDir), { withFileTypes: true });
+    entries.sort((a, b) => a.name.localeCompare(b.name));
+    for (const entry of entries) {
+      const relativePath = relativeDir ? `${relativeDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (await isIgnored(relativePath, true)) {
+          skipped.ignored++;
+        } else {
+          await walk(relativePath);
+        }
+      } else if (entry.isFile()) {
+        if (await isIgnored(relativePath, false)) {
+          skipped.ignored++;
+        } else if (BINARY_EXTENSIONS.has(path.extname(entry.name).toLowerCase())) {
+          skipped.binary++;
+        } else if ((await fs.stat(path.join(root, relativePath))).size > maxFileBytes) {
+          skipped.oversized++;
+        } else {
+          files.push(relativePath);
+        }
+      }
+    }
+  }
+
+  await walk('');
+  return { files, skipped };
+}
+
+/**
+ * Create an in-memory search engine
+ * @param {Object} [options]
+ * @param {string} [options.cacheDir] - Where GitHub repositories are cloned (LOCAL_SEARCH_CACHE_DIR)
+ * @param {number} [options.maxFileBytes] - Larger files are not indexed (LOCAL_SEARCH_MAX_FILE_BYTES)
+ * @param {string[]} [options.allowedRoots] - Local directories that may be indexed (LOCAL_INDEX_ROOTS,
+ *   separated like PATH); only the working directory unless set, since clients of the network
+ *   entrypoints could otherwise index, and read back, any directory on the machine
+ * @param {boolean} [options.mirrorRemote] - Also index repositories sent to the Go server, for
+ *   keyword search and the fallback (LOCAL_SEARCH_MIRROR=true)
+ */
+export function createLocalSearchEngine({
+  cacheDir = process.env.LOCAL_SEARCH_CACHE_DIR || path.join(os.tmpdir(), 'mcp-local-search'),
+  maxFileBytes = parseInt(process.env.LOCAL_SEARCH_MAX_FILE_BYTES || String(DEFAULT_MAX_FILE_BYTES), 10),
+  allowedRoots = process.env.LOCAL_INDEX_ROOTS
+    ? process.env.LOCAL_INDEX_ROOTS.split(path.delimiter).filter(Boolean)
+    : [process.cwd()],
+  mirrorRemote = process.env.LOCAL_SEARCH_MIRROR === 'true'
+} = {}) {
+  // repository key -> branch -> { chunks, documentFrequency, totalLength,
+  // files, root, indexedAt, version, commit, branch, uncommitted }, so every
+  // indexed branch of a repository stays searchable; indexes without a branch
+  // (local paths, added documents) are kept under ''. `files` maps each
+  // indexed file to its content when it was added directly, or null when it
+  // is read from `root`. `commit` is the git commit the index reflects;
+  // `uncommitted` lists working tree changes that were indexed too.
+  // `version` changes whenever the index does.
+  const repositories = new Map();
+  let lastVersion = 0;
+
+  // Indexes of one repository by branch
+  function branchesOf(key) {
+    return repositories.get(key) || new Map();
+  }
+
+  // Every index, or every index of one repository when `key` is given
+  function allIndexes(key) {
+    const repos = key ? [branchesOf(key)] : [...repositories.values()];
+    return repos.flatMap(branches => [...branches.values()]);
+  }
+
+  function emptyIndex() {
+    return {
+      chunks: [],
+      documentFrequency: new Map(),
+      totalLength: 0,
+      files: new Map(),
+      root: null,
+      indexedAt: null,
+      version: 0,
+      commit: null,
+      branch: null,
+      uncommitted: []
+    };
+  }
+
+  // Make an updated index the searchable one, under a new version unless
+  // its content is unchanged
+  function store(key, index, { keepVersion = false } = {}) {
+    index.indexedAt = new Date().toISOString();
+    if (!keepVersion) index.version = ++lastVersion;
+    if (!repositories.has(key)) repositories.set(key, new Map());
+    repositories.get(key).set(index.branch || '', index);
+  }
+
+  // Copy of an index that can be updated without touching the original
+  function copyIndex(index) {
+    return {
+      ...index,
+      chunks: [...index.chunks],
+      documentFrequency: new Map(index.documentFrequency),
+      files: new Map(index.files)
+    };
+  }
+
+  // Add one file's chunks to an index; the symbol name is searchable too
+  function addChunks(index, key, file, content) {
+    index.files.set(file, null);
+    for (const chunk of chunkCode(file, content)) {
+      const text = `${file} ${chunk.symbol || ''} ${chunk.content}`;
+      const terms = tokenize(text);
+      const termFrequency = new Map();
+      for (const term of terms) {
+        termFrequency.set(term, (termFrequency.get(term) || 0) + 1);
+      }
+      for (const term of termFrequency.keys()) {
+        index.documentFrequency.set(term, (index.documentFrequency.get(term) || 0) + 1);
+      }
+      index.totalLength += terms.length;
+      index.chunks.push({
+        repository: key,
+        ...(index.branch ? { branch: index.branch } : {}),
+        file,
+        ...chunk,
+        termFrequency,
+        length: terms.length,
+        vector: embed(text)
+      });
+    }
+  }
+
+  // Remove every chunk of the given files from an index
+  function removeFiles(index, files) {
+    const kept = [];
+    for (const chunk of index.chunks) {
+      if (!files.has(chunk.file)) {
+        kept.push(chunk);
+        continue;
+      }
+      for (const term of chunk.termFrequency.keys()) {
+        const count = index.documentFrequency.get(term) - 1;
+        if (count > 0) {
+          index.documentFrequency.set(term, count);
+        } else {
+          index.documentFrequency.delete(term);
+        }
+      }
+      index.totalLength -= chunk.length;
+    }
+    index.chunks = kept;
+    files.forEach(file => index.files.delete(file));
+  }
+
+  // Content of one file under `root` if it should be indexed, otherwise null
+  async function readIndexableFile(root, file, isIgnored) {
+    if (BINARY_EXTENSIONS.has(path.extname(file).toLowerCase()) || await isIgnored(file, false)) {
+      return null;
+    }
+    const stats = await fs.stat(path.join(root, file)).catch(() => null);
+    if (!stats?.isFile() || stats.size > maxFileBytes) {
+      return null;
+    }
+    const buffer = await fs.readFile(path.join(root, file));
+    return looksBinary(buffer) ? null : buffer.toString('utf8');
+  }
+
+  /**
+   * Add one file to a repository's index, replacing any earlier version of it
+   */
+  function addDocument(repository, file, content) {
+    const key = repositoryKey(repository);
+    const index = branchesOf(key).get('') || emptyIndex();
+    removeFiles(index, new Set([file]));
+    addChunks(index, key, file, content);
+    index.files.set(file, content);
+    store(key, index);
+  }
+
+  /**
+   * Replace a repository's index with the files under `dir`. Files are
+   * stored with paths relative to `dir`. The previous index stays in place
+   * until the new one is complete, so a cancelled run changes nothing.
+   * @param {Object} [options]
+   * @param {AbortSignal} [options.signal] - Stops indexing between files
+   * @param {Function} [options.onProgress] - Called with (filesDone, totalFiles, message)
+   * @param {Object} [options.git] - { commit, branch, uncommitted } recorded for later incremental updates
+   * @returns {Promise<{ repository: string, mode: 'full', filesIndexed: number, filesTouched: number, chunks: number, skipped: Object }>}
+   */
+  async function indexDirectory(repository, dir, { signal, onProgress, git = {} } = {}) {
+    const key = repositoryKey(repository);
+    const index = { ...emptyIndex(), ...git, root: dir };
+
+    const { files, skipped } = await walkTree(dir, { maxFileBytes });
+    let filesIndexed = 0;
+    for (const [position, file] of files.entries()) {
+      signal?.throwIfAborted();
+      if (position % 50 === 0) {
+        onProgress?.(position, files.length, `Indexing ${file}`);
+      }
+      const buffer = await fs.readFile(path.join(dir, file));
+      if (looksBinary(buffer)) {
+        skipped.binary++;
+        continue;
+      }
+      addChunks(index, key, file, buffer.toString('utf8'));
+      filesIndexed++;
+    }
+    signal?.throwIfAborted();
+    store(key, index);
+    onProgress?.(files.length, files.length, `Indexed ${filesIndexed} files`);
+    return {
+      repository: key,
+      mode: 'full',
+      ...(index.commit ? { commit: index.commit } : {}),
+      filesIndexed,
+      filesTouched: filesIndexed,
+      chunks: index.chunks.length,
+      skipped
+    };
+  }
+
+  /**
+   * Bring an index that reflects `previous.commit` up to `commit` by
+   * re-indexing only the files git reports as added, modified, deleted or
+   * renamed (plus uncommitted changes when `includeUncommitted` is set).
+   * Falls back to a full reindex when history was rewritten.
+   */
+  async function updateFromGit(key, dir, previous, commit, { signal, onProgress, branch, includeUncommitted }) {
+    const { rewritten, changes } = previous.commit === commit
+      ? { rewritten: false, changes: [] }
+      : await changesBetween(dir, previous.commit, commit, { signal });
+    const uncommitted = includeUncommitted ? await uncommittedFiles(dir, { signal }) : [];
+
+    if (rewritten) {
+      console.error(`DEBUG - History of ${key} was rewritten since ${previous.commit}, reindexing fully`);
+      const result = await indexDirectory(key, dir, { signal, onProgress, git: { commit, branch, uncommitted } });
+      return { ...result, reason: 'history_rewritten', previousCommit: previous.commit };
+    }
+
+    const touched = new Set(previous.uncommitted);
+    const counts = { added: 0, modified: 0, deleted: 0, renamed: 0, uncommitted: uncommitted.length };
+    for (const change of changes) {
+      counts[change.status]++;
+      touched.add(change.path);
+      if (change.previousPath) touched.add(change.previousPath);
+    }
+    uncommitted.forEach(file => touched.add(file));
+
+    const index = copyIndex(previous);
+    removeFiles(index, touched);
+    const isIgnored = createIgnoreChecker(dir);
+    for (const [position, file] of [...touched].entries()) {
+      signal?.throwIfAborted();
+      onProgress?.(position, touched.size, `Updating ${file}`);
+      const content = await readIndexableFile(dir, file, isIgnored);
+      if (content !== null) {
+        addChunks(index, key, file, content);
+      }
+    }
+    signal?.throwIfAborted();
+    Object.assign(index, { commit, branch, uncommitted });
+    store(key, index, { keepVersion: touched.size === 0 });
+    onProgress?.(touched.size, touched.size, `Updated ${touched.size} files`);
+
+    return {
+      repository: key,
+      mode: 'incremental',
+      commit,
+      previousCommit: previous.commit,
+      filesTouched: touched.size,
+      changes: counts,
+      chunks: index.chunks.length
+    };
+  }
+
+  // Absolute path a local directory is indexed under
+  function localRoot(localPath) {
+    return repositoryKey(isLocalPath(localPath) ? localPath : path.resolve(localPath));
+  }
+
+  /**
+   * Whether a local directory lies inside one of the allowed index roots
+   */
+  function allowsPath(localPath) {
+    const root = localRoot(localPath);
+    return allowedRoots.some((allowedRoot) => {
+      const relative = path.relative(path.resolve(allowedRoot), root);
+      return !relative.startsWith('..') && !path.isAbsolute(relative);
+    });
+  }
+
+  /**
+   * Index a local working directory, keyed by its absolute path. Git
+   * checkouts that were indexed before are updated incrementally, including
+   * uncommitted changes.
+   * @param {Object} [options] - { signal, onProgress } as for indexDirectory
+   * @param {boolean} [options.force] - Index every file again instead of updating
+   * @throws {Error} When the path is not a directory or outside `allowedRoots`
+   */
+  async function indexLocalPath(localPath, { signal, onProgress, force = false } = {}) {
+    const root = localRoot(localPath);
+    if (!allowsPath(root)) {
+      throw new Error(`Path ${root} is outside the allowed index roots; add it to LOCAL_INDEX_ROOTS`);
+    }
+
+    const stats = await fs.stat(root).catch(() => null);
+    if (!stats?.isDirectory()) {
+      throw new Error(`Path ${root} is not a directory`);
+    }
+
+    const commit = await headCommit(root, { signal });
+    const previous = branchesOf(root).get('');
+    if (!force && commit && previous?.commit) {
+      return { ...await updateFromGit(root, root, previous, commit, { signal, onProgress, includeUncommitted: true }), root };
+    }
+    const uncommitted = commit ? await uncommittedFiles(root, { signal }) : [];
+    return { ...await indexDirectory(root, root, { signal, onProgress, git: { commit, uncommitted } }), root };
+  }
+
+  /**
+   * Shallow-clone a branch of a GitHub repository into the cache and index
+   * it. Each branch has its own clone and index, and a branch indexed before
+   * is fetched and updated incrementally instead.
+   * @param {Object} [options] - { signal, onProgress } as for indexDirectory
+   * @param {boolean} [options.force] - Clone and index the branch again instead of updating
+   */
+  async function indexRepository({ repoUrl, branch = 'main' }, { signal, onProgress, force = false } = {}) {
+    const key = repositoryKey(repoUrl);
+    const url = repositoryUrl(repoUrl);
+    const checkout = path.join(cacheDir, `${key}#${branch}`.replace(/[^A-Za-z0-9._-]+/g, '__'));
+
+    const previous = branchesOf(key).get(branch);
+    if (!force && previous?.commit && await headCommit(checkout, { signal })) {
+      onProgress?.(0, undefined, `Fetching ${branch} from ${url}`);
+      const commit = await fetchBranch(checkout, branch, { signal });
+      return { ...await updateFromGit(key, checkout, previous, commit, { signal, onProgress, branch }), branch };
+    }
+
+    await fs.rm(checkout, { recursive: true, force: true });
+    await fs.mkdir(cacheDir, { recursive: true });
+    onProgress?.(0, undefined, `Cloning ${url}`);
+    await execFileAsync('git', ['clone', '--depth', '1', '--branch', branch, url, checkout], { timeout: 120000, signal });
+
+    const commit = await headCommit(checkout, { signal });
+    return { ...await indexDirectory(key, checkout, { signal, onProgress, git: { commit, branch } }), branch };
+  }
+
+  // Indexes to search: every branch of one repository or of all of them,
+  // minus indexes of another branch when `filters.branch` is set
+  function indexesFor(repository, { branch } = {}) {
+    const indexes = allIndexes(repositoryKey(repository));
+    return branch ? indexes.filter(index => !index.branch || index.branch === branch) : indexes;
+  }
+
+  // BM25 score of one chunk for the query terms
+  function bm25(index, chunk, queryTerms) {
+    const averageLength = index.totalLength / index.chunks.length || 1;
+    let score = 0;
+    for (const term of queryTerms) {
+      const tf = chunk.termFrequency.get(term);
+      if (!tf) continue;
+      const df = index.documentFrequency.get(term) || 0;
+      const idf = Math.log(1 + (index.chunks.length - df + 0.5) / (df + 0.5));
+      score += idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * chunk.length / averageLength));
+    }
+    return score;
+  }
+
+  /**
+   * Rank indexed chunks for a query, keeping only chunks that pass `filters`
+   * (see search-filters.js)
+   * @returns {Array<{ repository: string, file: string, content: string, similarity: number,
+   *   startLine: number, endLine: number, symbol: string|null, language: string }>}
+   */
+  function search(query, { repository = '', limit = 5, filters = {} } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    const queryVector = embed(query);
+    const matchesFilters = createResultFilter(filters);
+
+    const scored = indexesFor(repository, filters).flatMap(index => index.chunks.map(chunk => ({
+      chunk,
+      lexical: bm25(index, chunk, queryTerms),
+      semantic: Math.max(0, cosine(queryVector, chunk.vector))
+    })));
+    const maxLexical = Math.max(0, ...scored.map(entry => entry.lexical)) || 1;
+
+    return scored
+      .map(({ chunk, lexical, semantic }) => ({
+        repository: chunk.repository,
+        ...(chunk.branch ? { branch: chunk.branch } : {}),
+        file: chunk.file,
+        content: chunk.content,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        symbol: chunk.symbol,
+        language: chunk.language,
+        similarity: Math.round((LEXICAL_WEIGHT * lexical / maxLexical + (1 - LEXICAL_WEIGHT) * semantic) * 1000) / 1000
+      }))
+      .filter(result => result.similarity > 0 && (!matchesFilters || matchesFilters(result)))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  /**
+   * Exact keyword or regex search over indexed chunks (see keywordPattern).
+   * Chunks declaring a matching symbol rank first, then by number of
+   * whole-word matches, then by any matches. Takes the same `filters` as search().
+   * @throws {SyntaxError} When a regular expression query is invalid
+   */
+  function keywordSearch(query, { repository = '', limit = 5, filters = {} } = {}) {
+    const pattern = keywordPattern(query);
+    const literal = String(query).trim().toLowerCase();
+    const matchesFilters = createResultFilter(filters);
+
+    const results = [];
+    for (const chunk of indexesFor(repository, filters).flatMap(index => index.chunks)) {
+      if (matchesFilters && !matchesFilters(chunk)) continue;
+      let matches = 0;
+      let wholeWord = 0;
+      for (const match of chunk.content.matchAll(pattern)) {
+        if (!match[0]) break; // empty regex matches would never advance
+        matches++;
+        const before = chunk.content[match.index - 1] || ' ';
+        const after = chunk.content[match.index + match[0].length] || ' ';
+        if (!/[\w$]/.test(before) && !/[\w$]/.test(after)) wholeWord++;
+        if (matches >= 100) break;
+      }
+      if (matches === 0) continue;
+
+      const symbol = (chunk.symbol || '').toLowerCase();
+      const declares = symbol && (symbol === literal || symbol.endsWith(`.${literal}`));
+      results.push({
+        repository: chunk.repository,
+        ...(chunk.branch ? { branch: chunk.branch } : {}),
+        file: chunk.file,
+        content: chunk.content,
+        startLine: chunk.startLine,
+        endLine: chunk.endLine,
+        symbol: chunk.symbol,
+        language: chunk.language,
+        matches,
+        rankScore: (declares ? 1000 : 0) + wholeWord * 2 + matches
+      });
+    }
+
+    return results
+      .sort((a, b) => b.rankScore - a.rankScore || a.file.localeCompare(b.file) || a.startLine - b.startLine)
+      .slice(0, limit)
+      .map(({ rankScore, ...result }) => result);
+  }
+
+  return {
+    mirrorRemote,
+    addDocument,
+    indexDirectory,
+    allowsPath,
+    indexLocalPath,
+    indexRepository,
+    keywordSearch,
+    search,
+
+    /**
+     * Version of a repository's index, or of every index when `repository` is
+     * empty. Changes whenever a search over it could return different results.
+     * @returns {string}
+     */
+    indexVersion(repository = '') {
+      return allIndexes(repositoryKey(repository)).map(index => index.version).join('.') || '0';
+    },
+
+    /**
+     * Indexed files of a repository across its branches, sorted, or an empty
+     * list when unknown
+     */
+    listFiles(repository) {
+      const files = new Set(allIndexes(repositoryKey(repository || '')).flatMap(index => [...index.files.keys()]));
+      return [...files].sort();
+    },
+
+    /**
+     * Whether a file is part of any index of a repository
+     */
+    hasFile(repository, file) {
+      const key = repositoryKey(repository || '');
+      return Boolean(key) && allIndexes(key).some(index => index.files.has(file));
+    },
+
+    /**
+     * Current content of an indexed file, from the most recently updated
+     * branch that has it, or null when the file is not in the index or can
+     * no longer be read. Only indexed paths are read, so `file` can't reach
+     * outside the indexed directory.
+     * @returns {Promise<string|null>}
+     */
+    async readFile(repository, file) {
+      const key = repositoryKey(repository || '');
+      const index = key && allIndexes(key)
+        .filter(candidate => candidate.files.has(file))
+        .sort((a, b) => b.version - a.version)[0];
+      if (!index) return null;
+      const content = index.files.get(file);
+      if (content !== null) return content;
+      return index.root ? fs.readFile(path.join(index.root, file), 'utf8').catch(() => null) : null;
+    },
+
+    /**
+     * Whether a repository has been indexed
+     */
+    hasRepository(repository) {
+      return repositories.has(repositoryKey(repository));
+    },
+
+    /**
+     * Summary of every indexed repository, one entry per branch
+     */
+    stats() {
+      return [...repositories.entries()].flatMap(([name, branches]) => [...branches.values()].map(index => ({
+        repository: name,
+        ...(index.branch ? { branch: index.branch } : {}),
+        chunks: index.chunks.length,
+        indexedAt: index.indexedAt,
+        ...(index.commit ? { commit: index.commit } : {})
+      })));
+    }
+  };
+}
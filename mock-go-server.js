@@ -0,0 +1,253 @@
+// mock-go-server.js - Node stand-in for the Go vector search backend
+//
+// Implements /health, /vector-search, /index-repository and /chat over
+// configurable fixtures, and can simulate latency, 404s, 500s and timeouts
+// per endpoint. Run it directly (`npm run mock:go`) or import
+// createMockGoServer() from tests.
+//
+// Environment when run directly:
+//   MOCK_GO_PORT      - port to listen on (default 8081)
+//   MOCK_FIXTURES     - path to a fixtures JSON file
+//   MOCK_LATENCY_MS   - latency added to every response
+//   MOCK_FAULTS       - JSON object of per-endpoint faults, e.g.
+//                       {"/vector-search": {"status": 500}, "/chat": {"timeout": true}}
+
+import express from 'express';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+
+// Fixtures served when none are configured
+export const DEFAULT_FIXTURES = {
+  repositories: {
+    'example/repo': [
+      {
+        file: 'src/server.js',
+        symbol: 'startServer',
+        content: 'export function startServer(port) {\n  return app.listen(port);\n}'
+      },
+      {
+        file: 'src/search.js',
+        symbol: 'vectorSearch',
+        content: 'export async function vectorSearch(query, limit = 5) {\n  return index.search(embed(query), limit);\n}'
+      },
+      {
+        file: 'README.md',
+        content: '# Example repo\n\nA small repository used by the mock Go backend.'
+      }
+    ]
+  }
+};
+
+// Words of a query or document, lowercased
+function tokenize(text) {
+  return String(text).toLowerCase().match(/[a-z0-9_]+/g) || [];
+}
+
+// Fraction of query terms that appear in the document
+function similarity(queryTerms, content) {
+  if (queryTerms.length === 0) return 0;
+  const docTerms = new Set(tokenize(content));
+  const hits = queryTerms.filter(term => docTerms.has(term)).length;
+  return Math.round((hits / queryTerms.length) * 1000) / 1000;
+}
+
+// Repository key for a GitHub URL or owner/repo string
+function repositoryKey(repoUrl) {
+  return String(repoUrl)
+    .replace(/^https?:\/\/(www\.)?github\.com\//, '')
+    .replace(/\.git$/, '')
+    .replace(/\/+$/, '');
+}
+
+/**
+ * Create a mock Go backend
+ * @param {Object} [options]
+ * @param {Object} [options.fixtures] - { repositories: { [name]: [{ file, content }] } }
+ * @param {number} [options.latency] - Milliseconds added to every response
+ * @param {Object} [options.faults] - Per-endpoint faults: { [path]: { status, latency, timeout } }
+ */
+export function createMockGoServer({ fixtures = DEFAULT_FIXTURES, latency = 0, faults = {} } = {}) {
+  const state = {
+    fixtures: structuredClone(fixtures),
+    latency,
+    faults: { ...faults },
+    requests: [],
+    // "owner/repo#branch" -> commit it was last indexed at
+    indexedCommits: {}
+  };
+  const hangingResponses = new Set();
+
+  const app = express();
+  app.use(express.json());
+
+  // Record requests and apply the configured latency and faults
+  app.use(async (req, res, next) => {
+    if (req.path.startsWith('/__mock')) return next();
+
+    state.requests.push({ method: req.method, path: req.path, body: req.body, headers: req.headers });
+
+    const fault = state.faults[req.path] || {};
+    const delay = (fault.latency ?? 0) + state.latency;
+    if (delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    if (fault.timeout) {
+      // Never respond; the connection is released on close()
+      hangingResponses.add(res);
+      res.on('close', () => hangingResponses.delete(res));
+      return;
+    }
+    if (fault.status) {
+      return res.status(fault.status).json({
+        success: false,
+        error: fault.status === 404 ? 'Not found' : 'Simulated backend failure'
+      });
+    }
+    next();
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({ success: true, status: 'ok' });
+  });
+
+  app.post('/vector-search', (req, res) => {
+    const { query = '', repository = '', limit = 5 } = req.body || {};
+    const queryTerms = tokenize(query);
+    const repositories = state.fixtures.repositories || {};
+    const names = repository ? [repositoryKey(repository)] : Object.keys(repositories);
+
+    const results = names
+      .flatMap(name => (repositories[name] || []).map(doc => ({
+        repository: name,
+        file: doc.file,
+        ...(doc.symbol ? { symbol: doc.symbol } : {}),
+        content: doc.content,
+        similarity: similarity(queryTerms, doc.content)
+      })))
+      .filter(result => result.similarity > 0)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+
+    res.json({ success: true, data: results });
+  });
+
+  app.post('/index-repository', (req, res) => {
+    const { repoUrl, branch = 'main', commit, since } = req.body || {};
+    if (!repoUrl) {
+      return res.status(400).json({ success: false, error: 'repoUrl is required' });
+    }
+
+    // An incremental update must start from the commit indexed last
+    const name = repositoryKey(repoUrl);
+    const indexed = `${name}#${branch}`;
+    if (since && state.indexedCommits[indexed] !== since) {
+      return res.status(409).json({ success: false, error: `${name}@${branch} was not indexed at ${since}` });
+    }
+    if (commit) state.indexedCommits[indexed] = commit;
+
+    state.fixtures.repositories = state.fixtures.repositories || {};
+    state.fixtures.repositories[name] = state.fixtures.repositories[name] || [];
+
+    res.json({
+      success: true,
+      message: `Repository ${name} indexed`,
+      data: {
+        repository: name,
+        branch,
+        mode: since ? 'incremental' : 'full',
+        ...(commit ? { commit } : {}),
+        filesIndexed: state.fixtures.repositories[name].length
+      }
+    });
+  });
+
+  app.post('/chat', (req, res) => {
+    const { message = '', repository = '' } = req.body || {};
+    res.json({
+      success: true,
+      data: {
+        message: `Mock answer for: "${message}"`,
+        repository,
+        timestamp: new Date().toISOString()
+      }
+    });
+  });
+
+  // Control endpoints, so tests driving a separate process can change behaviour
+  app.get('/__mock/requests', (req, res) => {
+    res.json(state.requests);
+  });
+
+  app.post('/__mock/faults', (req, res) => {
+    state.faults = req.body || {};
+    res.json({ success: true, faults: state.faults });
+  });
+
+  app.post('/__mock/reset', (req, res) => {
+    state.fixtures = structuredClone(fixtures);
+    state.faults = { ...faults };
+    state.latency = latency;
+    state.requests = [];
+    state.indexedCommits = {};
+    res.json({ success: true });
+  });
+
+  let server = null;
+
+  return {
+    app,
+    state,
+
+    /**
+     * Set or clear (with null) the fault for one endpoint
+     */
+    setFault(path, fault) {
+      if (fault) {
+        state.faults[path] = fault;
+      } else {
+        delete state.faults[path];
+      }
+    },
+
+    /**
+     * Start listening; resolves with the base URL. Port 0 picks a free port.
+     */
+    listen(port = 0, host = '127.0.0.1') {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, host, (error) => {
+          if (error) return reject(error);
+          resolve(`http://${host}:${server.address().port}`);
+        });
+      });
+    },
+
+    /**
+     * Stop listening, releasing any simulated-timeout connections
+     */
+    close() {
+      if (!server) return Promise.resolve();
+      for (const res of hangingResponses) {
+        res.destroy();
+      }
+      return new Promise(resolve => server.close(() => resolve()));
+    }
+  };
+}
+
+// Run directly: node mock-go-server.js
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const options = {
+    latency: parseInt(process.env.MOCK_LATENCY_MS || '0', 10),
+    faults: process.env.MOCK_FAULTS ? JSON.parse(process.env.MOCK_FAULTS) : {}
+  };
+  if (process.env.MOCK_FIXTURES) {
+    options.fixtures = JSON.parse(fs.readFileSync(process.env.MOCK_FIXTURES, 'utf8'));
+  }
+
+  const mock = createMockGoServer(options);
+  const port = parseInt(process.env.MOCK_GO_PORT || '8081', 10);
+  mock.listen(port, '0.0.0.0').then((url) => {
+    console.log(`Mock Go backend listening on ${url}`);
+  });
+}
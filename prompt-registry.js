@@ -0,0 +1,171 @@
+// prompt-registry.js - MCP prompts for common code-assistant workflows
+//
+// Each prompt runs vectorSearch first and returns the instructions as a text
+// message followed by the top snippets as embedded resources, so a client's
+// prompt menu yields a ready-to-send conversation grounded in the
+// repository. Snippet URIs are the repo:// resource of the file
+// (repo-resources.js) with the line range as a fragment. McpServer
+// registrations come from registerPrompts; index.js serves listPrompts and
+// getPrompt directly.
+
+import { z } from 'zod';
+import { callTool, ToolInputError } from './tool-registry.js';
+import { mimeTypeFor, resourceUri } from './repo-resources.js';
+import { repositoryKey } from './local-search.js';
+
+// Longest search query taken from free-form input such as a diff
+const MAX_QUERY_LENGTH = 1000;
+
+// Argument shared by every prompt
+const repositoryArgument = z.string().describe('The repository to use, or the path of an indexed local directory');
+
+/**
+ * Prompt definitions. `search(args)` returns the vectorSearch arguments
+ * (minus the repository) and `instructions(args)` the text placed before
+ * the snippets.
+ */
+export const prompts = [
+  {
+    name: 'explain-code',
+    description: 'Explain how a function, class or other symbol works, with its code attached',
+    schema: {
+      repository: repositoryArgument,
+      symbol: z.string().describe('The function, class or method to explain, e.g. "createGoClient"')
+    },
+    search: ({ symbol }) => ({ query: symbol, mode: 'hybrid', limit: 5 }),
+    instructions: ({ repository, symbol }) =>
+      `Explain how \`${symbol}\` works in ${repository}. Cover what it is for, its inputs and outputs, ` +
+      'the main steps it takes and anything surprising. Base the explanation on the code below and say ' +
+      'so when something is not visible in it.'
+  },
+  {
+    name: 'find-similar-implementations',
+    description: 'Find code that does something similar to a description or snippet, and compare it',
+    schema: {
+      repository: repositoryArgument,
+      query: z.string().describe('A description of the behaviour, or a code snippet')
+    },
+    search: ({ query }) => ({ query: query.slice(0, MAX_QUERY_LENGTH), limit: 8 }),
+    instructions: ({ repository, query }) =>
+      `Find implementations in ${repository} similar to the following:\n\n${query}\n\n` +
+      'From the candidate snippets below, list the ones that really are similar, explain how each ' +
+      'differs, and point out duplication that could be shared.'
+  },
+  {
+    name: 'review-change',
+    description: 'Review a diff or proposed change against the code it touches',
+    schema: {
+      repository: repositoryArgument,
+      change: z.string().describe('The diff or a description of the change')
+    },
+    search: ({ change }) => ({ query: change.slice(0, MAX_QUERY_LENGTH), mode: 'hybrid', limit: 6 }),
+    instructions: ({ repository, change }) =>
+      `Review this change to ${repository}:\n\n${change}\n\n` +
+      'Check it for bugs, missed edge cases and error handling, and for consistency with the existing ' +
+      'code below (naming, structure, patterns). Order findings by severity and quote the lines they refer to.'
+  },
+  {
+    name: 'onboard-to-repo',
+    description: 'Get a guided tour of a repository: entry points, structure and where to start',
+    schema: {
+      repository: repositoryArgument,
+      focus: z.string().optional().describe('An area to focus on, e.g. "authentication"')
+    },
+    search: ({ focus }) => ({ query: focus || 'README overview main entry point server configuration', limit: 8 }),
+    instructions: ({ repository, focus }) =>
+      `Help me get started in ${repository}${focus ? `, focusing on ${focus}` : ''}. Using the code below, ` +
+      'describe what the project does, its main components and how they fit together, the entry points, ' +
+      'and which files to read first.'
+  }
+];
+
+const promptsByName = new Map(prompts.map(prompt => [prompt.name, prompt]));
+
+// Embedded resource for one search result; the fragment marks the snippet's lines
+function snippetResource(result, repository) {
+  const lines = result.startLine ? `#L${result.startLine}-${result.endLine}` : '';
+  return {
+    type: 'resource',
+    resource: {
+      uri: `${result.uri || resourceUri(repositoryKey(result.repository || repository), result.file)}${lines}`,
+      mimeType: mimeTypeFor(result.file),
+      text: result.content
+    }
+  };
+}
+
+/**
+ * prompts/list payload
+ */
+export function listPrompts() {
+  return prompts.map(prompt => ({
+    name: prompt.name,
+    description: prompt.description,
+    arguments: Object.entries(prompt.schema).map(([name, schema]) => ({
+      name,
+      description: schema.description,
+      required: !schema.isOptional()
+    }))
+  }));
+}
+
+/**
+ * Build a prompt: run its search and return the messages. A failed search
+ * still yields the instructions, with a note that no code was retrieved.
+ * @param {string} name - Prompt name
+ * @param {Object} args - Unvalidated prompt arguments
+ * @param {Object} ctx - Tool context (see tool-registry.js)
+ * @throws {ToolInputError} When the prompt is unknown or the arguments are invalid
+ */
+export async function getPrompt(name, args, ctx) {
+  const prompt = promptsByName.get(name);
+  if (!prompt) {
+    throw new ToolInputError(`Unknown prompt: ${name}`);
+  }
+  const parsed = z.object(prompt.schema).safeParse(args ?? {});
+  if (!parsed.success) {
+    const details = parsed.error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`);
+    throw new ToolInputError(`Invalid arguments for prompt ${name}: ${details.join('; ')}`, parsed.error.issues);
+  }
+  return buildPrompt(prompt, parsed.data, ctx);
+}
+
+async function buildPrompt(prompt, args, ctx) {
+  let results = [];
+  let note;
+  try {
+    const data = await callTool('vectorSearch', { ...prompt.search(args), repository: args.repository }, ctx);
+    results = Array.isArray(data?.data) ? data.data.filter(result => result.file && result.content) : [];
+    if (results.length === 0) {
+      note = `No code was found in ${args.repository}; it may need indexing first (indexRepository).`;
+    }
+  } catch (error) {
+    console.error(`DEBUG - Search for prompt ${prompt.name} failed:`, error.message);
+    note = `Code could not be retrieved from ${args.repository}: ${error.message}`;
+  }
+
+  const text = results.length > 0
+    ? `${prompt.instructions(args)}\n\nRelevant code from ${args.repository} follows (${results.length} snippets).`
+    : `${prompt.instructions(args)}\n\n${note}`;
+  return {
+    description: prompt.description,
+    messages: [
+      { role: 'user', content: { type: 'text', text } },
+      ...results.map(result => ({ role: 'user', content: snippetResource(result, args.repository) }))
+    ]
+  };
+}
+
+/**
+ * Register every prompt on an McpServer
+ * @param {McpServer} server - MCP server to register on
+ * @param {Object} ctx - Tool context (see tool-registry.js)
+ */
+export function registerPrompts(server, ctx) {
+  for (const prompt of prompts) {
+    server.prompt(prompt.name, prompt.description, prompt.schema, (args, extra) => buildPrompt(prompt, args, {
+      ...ctx,
+      signal: extra?.signal
+    }));
+  }
+}
@@ -0,0 +1,52 @@
+// rank-fusion.js - merge ranked result lists with reciprocal rank fusion
+//
+// Each retriever contributes 1 / (k + rank) for every result it returned;
+// results found by several retrievers add up and rise to the top. Only ranks
+// matter, so scores from different retrievers never need to be comparable.
+
+import { repositoryKey } from './local-search.js';
+
+// Damping constant from the original RRF paper
+const DEFAULT_K = 60;
+
+/**
+ * Identity of a search result across retrievers: its repository and branch,
+ * then the file and line range when known, otherwise the file and content.
+ * The same file in two repositories or branches stays two results.
+ */
+export function resultKey(result) {
+  const source = `${repositoryKey(result.repository)}@${result.branch ?? ''}:${result.file}`;
+  return result.startLine != null
+    ? `${source}#${result.startLine}-${result.endLine}`
+    : `${source}#${result.content}`;
+}
+
+/**
+ * Fuse ranked lists into one, tagging each result with the retrievers that found it
+ * @param {Object<string, Array<Object>>} lists - Ranked results keyed by retriever name
+ * @param {Object} [options]
+ * @param {number} [options.k] - RRF damping constant
+ * @returns {Array<Object>} Results ordered by fused score, each with `retrievers` and `score`
+ */
+export function reciprocalRankFusion(lists, { k = DEFAULT_K } = {}) {
+  const fused = new Map();
+  for (const [retriever, results] of Object.entries(lists)) {
+    results.forEach((result, rank) => {
+      const key = resultKey(result);
+      const entry = fused.get(key) || { result: {}, retrievers: [], score: 0 };
+      // Earlier retrievers win on conflicting fields such as `similarity`
+      entry.result = { ...result, ...entry.result };
+      entry.retrievers.push(retriever);
+      entry.score += 1 / (k + rank + 1);
+      fused.set(key, entry);
+    });
+  }
+
+  return [...fused.values()]
+    .sort((a, b) => b.score - a.score)
+    .map(({ result, retrievers, score }) => ({
+      ...result,
+      retrievers,
+      score: Math.round(score * 10000) / 10000
+    }));
+}
@@ -0,0 +1,222 @@
+// repo-resources.js - indexed repository files as MCP resources
+//
+// Every file in the embedded index (local-search.js) is a resource under the
+// `repo://{repository}/{+path}` template: resources/list pages through them
+// repository by repository, resources/read returns the current content with
+// a mimeType from the file extension, and search results carry the URI of
+// the file they came from. Repositories only indexed on the Go server have no
+// resources unless they are mirrored locally (LOCAL_SEARCH_MIRROR). With
+// ctx.resourceSubscriptions (index-events.js) clients can subscribe to a
+// resource and hear when its repository is reindexed.
+
+import path from 'path';
+import {
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
+  ReadResourceRequestSchema,
+  SubscribeRequestSchema,
+  UnsubscribeRequestSchema
+} from '@modelcontextprotocol/sdk/types.js';
+import { repositoryKey } from './local-search.js';
+
+// URI template of a repository file; `repository` is percent-encoded, so
+// `acme/widgets` appears as `acme%2Fwidgets`
+export const RESOURCE_TEMPLATE = 'repo://{repository}/{+path}';
+
+// Resources per resources/list page (MCP_RESOURCE_PAGE_SIZE)
+const DEFAULT_PAGE_SIZE = parseInt(process.env.MCP_RESOURCE_PAGE_SIZE || '100', 10);
+
+// JSON-RPC error codes: MCP's "resource not found", and invalid params
+const RESOURCE_NOT_FOUND = -32002;
+const INVALID_PARAMS = -32602;
+
+// mimeType by file extension; anything else is text/plain
+const MIME_TYPES = {
+  '.js': 'text/javascript', '.mjs': 'text/javascript', '.cjs': 'text/javascript', '.jsx': 'text/jsx',
+  '.ts': 'text/x-typescript', '.tsx': 'text/x-typescript', '.mts': 'text/x-typescript', '.cts': 'text/x-typescript',
+  '.go': 'text/x-go', '.py': 'text/x-python', '.rb': 'text/x-ruby', '.java': 'text/x-java',
+  '.kt': 'text/x-kotlin', '.rs': 'text/x-rust', '.c': 'text/x-c', '.h': 'text/x-c',
+  '.cc': 'text/x-c++', '.cpp': 'text/x-c++', '.hpp': 'text/x-c++', '.cs': 'text/x-csharp',
+  '.php': 'text/x-php', '.swift': 'text/x-swift', '.scala': 'text/x-scala', '.sh': 'text/x-shellscript',
+  '.sql': 'application/sql', '.md': 'text/markdown', '.json': 'application/json',
+  '.yaml': 'application/yaml', '.yml': 'application/yaml', '.toml': 'application/toml',
+  '.xml': 'application/xml', '.html': 'text/html', '.css': 'text/css', '.scss': 'text/x-scss',
+  '.csv': 'text/csv'
+};
+
+/**
+ * Error raised by resources/list and resources/read. `code` is the JSON-RPC
+ * error code to answer with, so the SDK passes it through as is.
+ */
+export class ResourceError extends Error {
+  constructor(message, code = RESOURCE_NOT_FOUND) {
+    super(message);
+    this.name = 'ResourceError';
+    this.code = code;
+  }
+}
+
+/**
+ * mimeType of a file from its extension
+ */
+export function mimeTypeFor(file) {
+  return MIME_TYPES[path.extname(file).toLowerCase()] || 'text/plain';
+}
+
+/**
+ * URI of a repository file
+ */
+export function resourceUri(repository, file) {
+  return `repo://${encodeURIComponent(repository)}/${file.split('/').map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Repository and path of a resource URI, or null when it doesn't match the template
+ * @returns {{ repository: string, path: string }|null}
+ */
+export function parseResourceUri(uri) {
+  const match = String(uri).match(/^repo:\/\/([^/]+)\/(.+)$/);
+  if (!match) return null;
+  try {
+    return { repository: decodeURIComponent(match[1]), path: decodeURIComponent(match[2]) };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * resources/templates/list entries
+ */
+export function listResourceTemplates() {
+  return [{
+    uriTemplate: RESOURCE_TEMPLATE,
+    name: 'repository-file',
+    title: 'Repository file',
+    description: 'A file of an indexed repository or local directory; repository is percent-encoded'
+  }];
+}
+
+// Position in the resource listing, carried by resources/list cursors
+function decodeListCursor(cursor) {
+  try {
+    const { r, f } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof r === 'string' && Number.isInteger(f) && f >= 0) return { repository: r, offset: f };
+  } catch (error) {
+    // fall through to the error below
+  }
+  throw new ResourceError('Invalid cursor for resources/list', INVALID_PARAMS);
+}
+
+/**
+ * One page of indexed files across every repository, ordered by repository
+ * then path
+ * @param {Object} ctx - Tool context; resources come from ctx.localSearch
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - nextCursor of the previous page
+ * @param {number} [options.pageSize]
+ * @returns {{ resources: Array<Object>, nextCursor?: string }}
+ */
+export function listResources(ctx, { cursor, pageSize = DEFAULT_PAGE_SIZE } = {}) {
+  // stats() lists each indexed branch; files are listed per repository
+  const repositories = [...new Set((ctx.localSearch?.stats() || []).map(entry => entry.repository))].sort();
+  const position = cursor ? decodeListCursor(cursor) : { repository: '', offset: 0 };
+
+  const resources = [];
+  // A cursor names a repository rather than an overall offset, so
+  // repositories indexed or dropped meanwhile don't shift later pages
+  for (const repository of repositories.filter(name => name >= position.repository)) {
+    const files = ctx.localSearch.listFiles(repository);
+    const start = repository === position.repository ? position.offset : 0;
+    for (let i = start; i < files.length; i++) {
+      if (resources.length === pageSize) {
+        return {
+          resources,
+          nextCursor: Buffer.from(JSON.stringify({ r: repository, f: i })).toString('base64url')
+        };
+      }
+      resources.push({
+        uri: resourceUri(repository, files[i]),
+        name: `${repository}/${files[i]}`,
+        title: files[i],
+        mimeType: mimeTypeFor(files[i])
+      });
+    }
+  }
+  return { resources };
+}
+
+/**
+ * Contents of a resource
+ * @returns {Promise<{ contents: Array<{ uri: string, mimeType: string, text: string }> }>}
+ * @throws {ResourceError} When the URI is malformed or the file isn't indexed
+ */
+export async function readResource(ctx, uri) {
+  const parsed = parseResourceUri(uri);
+  if (!parsed) {
+    throw new ResourceError(`Invalid resource URI: ${uri}`, INVALID_PARAMS);
+  }
+  const text = await ctx.localSearch?.readFile(parsed.repository, parsed.path);
+  if (text == null) {
+    throw new ResourceError(`Resource not found: ${uri}`);
+  }
+  return { contents: [{ uri, mimeType: mimeTypeFor(parsed.path), text }] };
+}
+
+/**
+ * Result fields pointing at a search result's file, when it is a resource
+ * @returns {{ uri?: string }}
+ */
+export function resultResource(ctx, result, repository) {
+  const owner = result.repository || repository;
+  return owner && result.file && ctx.localSearch?.hasFile(owner, result.file)
+    ? { uri: resourceUri(repositoryKey(owner), result.file) }
+    : {};
+}
+
+/**
+ * Subscribe a session to a resource
+ * @param {Object} subscriptions - Session handle from resourceSubscriptions.open()
+ * @throws {ResourceError} When the URI is not a repo:// resource
+ */
+export function subscribeResource(subscriptions, uri) {
+  if (!subscriptions.subscribe(uri)) {
+    throw new ResourceError(`Invalid resource URI: ${uri}`, INVALID_PARAMS);
+  }
+  return {};
+}
+
+/**
+ * Serve resources/list, resources/templates/list and resources/read on an
+ * McpServer, plus resources/subscribe and resources/unsubscribe when the
+ * context has resourceSubscriptions. McpServer.resource() can't page a
+ * template's listing, so the handlers go on the underlying Server; call
+ * before connecting, once per McpServer.
+ * @param {McpServer} server - MCP server to register on
+ * @param {Object} ctx - Tool context (see tool-registry.js)
+ */
+export function registerResources(server, ctx) {
+  server.server.registerCapabilities({
+    resources: { listChanged: false, ...(ctx.resourceSubscriptions ? { subscribe: true } : {}) }
+  });
+  server.server.setRequestHandler(ListResourcesRequestSchema, async request => listResources(ctx, {
+    cursor: request.params?.cursor
+  }));
+  server.server.setRequestHandler(ListResourceTemplatesRequestSchema, async () => ({
+    resourceTemplates: listResourceTemplates()
+  }));
+  server.server.setRequestHandler(ReadResourceRequestSchema, async request => readResource(ctx, request.params.uri));
+
+  if (ctx.resourceSubscriptions) {
+    const subscriptions = ctx.resourceSubscriptions.open(notification => server.server.notification(notification));
+    const previousOnClose = server.server.onclose;
+    server.server.onclose = () => {
+      subscriptions.close();
+      previousOnClose?.();
+    };
+    server.server.setRequestHandler(SubscribeRequestSchema, async request => subscribeResource(subscriptions, request.params.uri));
+    server.server.setRequestHandler(UnsubscribeRequestSchema, async (request) => {
+      subscriptions.unsubscribe(request.params.uri);
+      return {};
+    });
+  }
+}
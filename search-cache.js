@@ -0,0 +1,101 @@
+// search-cache.js - in-process cache of Go /vector-search responses
+//
+// An LRU map with a TTL, keyed on the normalized query, repository, branch,
+// filters and limit. Entries for a repository are dropped when an index job
+// for it completes; searches across every repository are dropped by any
+// index completion. Hit and miss counts are reported on the health endpoints.
+//
+// Environment:
+//   SEARCH_CACHE_MAX_ENTRIES - entries kept before the least recently used is evicted (default 500, 0 disables)
+//   SEARCH_CACHE_TTL_MS      - how long an entry stays fresh (default 60000)
+
+import { repositoryKey } from './local-search.js';
+
+const DEFAULT_MAX_ENTRIES = parseInt(process.env.SEARCH_CACHE_MAX_ENTRIES || '500', 10);
+const DEFAULT_TTL = parseInt(process.env.SEARCH_CACHE_TTL_MS || '60000', 10);
+
+/**
+ * Cache key for a search. Queries differing only in surrounding or repeated
+ * whitespace share a key; filter order doesn't matter.
+ * @param {Object} search - { query, repository, branch, filters, limit }
+ * @returns {string}
+ */
+export function searchCacheKey({ query, repository = '', filters = {}, limit }) {
+  const normalizedQuery = String(query).trim().replace(/\s+/g, ' ');
+  const { branch, ...rest } = filters;
+  return JSON.stringify([
+    normalizedQuery,
+    repositoryKey(repository),
+    branch ?? null,
+    Object.entries(rest).sort(([a], [b]) => a.localeCompare(b)),
+    limit
+  ]);
+}
+
+/**
+ * Create a search cache
+ * @param {Object} [options]
+ * @param {number} [options.maxEntries] - Entries kept before evicting the least recently used; 0 disables the cache
+ * @param {number} [options.ttl] - Milliseconds an entry stays fresh
+ */
+export function createSearchCache({ maxEntries = DEFAULT_MAX_ENTRIES, ttl = DEFAULT_TTL } = {}) {
+  // key -> { value, repository, expiresAt }, least recently used first
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, evictions: 0, invalidations: 0 };
+
+  return {
+    /**
+     * Cached value for a key, or undefined. Counts a hit or a miss.
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry || entry.expiresAt <= Date.now()) {
+        if (entry) entries.delete(key);
+        counters.misses++;
+        return undefined;
+      }
+      // Re-insert to mark it most recently used
+      entries.delete(key);
+      entries.set(key, entry);
+      counters.hits++;
+      return entry.value;
+    },
+
+    /**
+     * Cache a value for a repository's search
+     */
+    set(key, repository, value) {
+      if (maxEntries <= 0) return;
+      entries.delete(key);
+      entries.set(key, { value, repository: repositoryKey(repository || ''), expiresAt: Date.now() + ttl });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+        counters.evictions++;
+      }
+    },
+
+    /**
+     * Drop every entry for a repository, plus searches across all repositories
+     * @returns {number} Entries dropped
+     */
+    invalidate(repository) {
+      const key = repositoryKey(repository || '');
+      let dropped = 0;
+      for (const [entryKey, entry] of entries) {
+        if (!entry.repository || entry.repository === key) {
+          entries.delete(entryKey);
+          dropped++;
+        }
+      }
+      counters.invalidations++;
+      return dropped;
+    },
+
+    /**
+     * Counters and size, for health endpoints
+     */
+    stats() {
+      return { size: entries.size, maxEntries, ttlMs: ttl, ...counters };
+    }
+  };
+}
@@ -0,0 +1,58 @@
+// search-cursor.js - opaque pagination cursors for vectorSearch
+//
+// A cursor carries the offset of the next page, a fingerprint of the search
+// it continues and the index version it was issued against, plus, for
+// hybrid searches, how deep the fused lists are. Cursors are
+// deterministic, so the same search over the same index version always
+// yields the same cursors; callers reject a cursor once the index version
+// moves on instead of silently skipping or repeating results.
+
+import { createHash } from 'crypto';
+
+// Bumped when the cursor layout changes, so old cursors are rejected
+const CURSOR_FORMAT = 1;
+
+/**
+ * Fingerprint of the arguments that define a result list (everything but
+ * `limit` and `cursor`, so page sizes may change between pages)
+ * @param {Object} search - { query, repository, mode, filters }
+ * @returns {string}
+ */
+export function searchFingerprint({ query, repository = '', mode, filters = {} }) {
+  const canonical = JSON.stringify([query, repository, mode, Object.entries(filters).sort(([a], [b]) => a.localeCompare(b))]);
+  return createHash('sha256').update(canonical).digest('base64url').slice(0, 16);
+}
+
+/**
+ * Encode a cursor for the page starting at `offset`
+ * @param {Object} position - { fingerprint, offset, indexVersion, depth }; depth is optional
+ * @returns {string}
+ */
+export function encodeCursor({ fingerprint, offset, indexVersion, depth }) {
+  return Buffer.from(JSON.stringify({
+    v: CURSOR_FORMAT,
+    f: fingerprint,
+    o: offset,
+    i: indexVersion,
+    ...(depth !== undefined ? { d: depth } : {})
+  })).toString('base64url');
+}
+
+/**
+ * Decode a cursor from encodeCursor
+ * @returns {{ fingerprint: string, offset: number, indexVersion: string, depth?: number }|null} null when malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const { v, f, o, i, d } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (v !== CURSOR_FORMAT || typeof f !== 'string' || !Number.isInteger(o) || o < 0 || typeof i !== 'string') {
+      return null;
+    }
+    if (d !== undefined && !(Number.isInteger(d) && d > 0)) {
+      return null;
+    }
+    return { fingerprint: f, offset: o, indexVersion: i, ...(d !== undefined ? { depth: d } : {}) };
+  } catch (error) {
+    return null;
+  }
+}
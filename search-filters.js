@@ -0,0 +1,74 @@
+// search-filters.js - path, language and similarity filters for search results
+//
+// vectorSearch forwards these filters to the Go backend and applies them
+// again to whatever comes back, so results are filtered the same way whether
+// or not the backend understands them. The embedded engine applies them
+// before ranking. Path globs use .gitignore syntax, matched against the
+// result's repository-relative file path.
+
+import path from 'path';
+import ignore from 'ignore';
+import { detectLanguage } from './code-chunker.js';
+
+// Filter arguments accepted by vectorSearch, in the order they are forwarded
+export const FILTER_FIELDS = ['includePaths', 'excludePaths', 'languages', 'extensions', 'minSimilarity', 'branch'];
+
+/**
+ * The filter arguments that were actually given, for forwarding to the Go backend
+ * @returns {Object} Only the non-empty filter fields
+ */
+export function pickFilters(args = {}) {
+  const filters = {};
+  for (const field of FILTER_FIELDS) {
+    const value = args[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    filters[field] = value;
+  }
+  return filters;
+}
+
+/**
+ * Whether any filter is set
+ */
+export function hasFilters(filters = {}) {
+  return Object.keys(pickFilters(filters)).length > 0;
+}
+
+// '.go', 'go' and '*.go' all name the .go extension
+function normalizeExtension(extension) {
+  return `.${String(extension).trim().toLowerCase().replace(/^\*?\./, '')}`;
+}
+
+// Repository-relative path in the form `ignore` accepts
+function relativePath(file) {
+  return String(file || '').replace(/\\/g, '/').replace(/^(\.\/|\/)+/, '');
+}
+
+/**
+ * Build a predicate for search results. Results without a `similarity`
+ * (keyword matches) pass `minSimilarity`; results without a `branch` pass
+ * `branch`, since the index they came from was already picked by branch.
+ * @param {Object} filters - { includePaths, excludePaths, languages, extensions, minSimilarity, branch }
+ * @returns {Function|null} `(result) => boolean`, or null when no filter is set
+ */
+export function createResultFilter(filters = {}) {
+  const { includePaths, excludePaths, languages, extensions, minSimilarity, branch } = pickFilters(filters);
+  if (!hasFilters(filters)) return null;
+
+  const include = includePaths && ignore().add(includePaths);
+  const exclude = excludePaths && ignore().add(excludePaths);
+  const languageSet = languages && new Set(languages.map(language => language.toLowerCase()));
+  const extensionSet = extensions && new Set(extensions.map(normalizeExtension));
+
+  return (result) => {
+    const file = relativePath(result.file);
+    if (include && !(file && include.ignores(file))) return false;
+    if (exclude && file && exclude.ignores(file)) return false;
+    if (languageSet && !languageSet.has((result.language || detectLanguage(file)).toLowerCase())) return false;
+    if (extensionSet && !extensionSet.has(path.extname(file).toLowerCase())) return false;
+    if (minSimilarity !== undefined && typeof result.similarity === 'number' && result.similarity < minSimilarity) return false;
+    if (branch && result.branch && result.branch !== branch) return false;
+    return true;
+  };
+}
@@ -1,6 +1,9 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
-import { z } from 'zod';
+import { registerTools, getTool } from './tool-registry.js';
+import { registerResources } from './repo-resources.js';
+import { registerPrompts } from './prompt-registry.js';
+import { createToolContext } from './tool-context.js';
 
 // Create an MCP server
 const server = new McpServer({
@@ -8,9 +11,17 @@ const server = new McpServer({
   version: '1.0.0',
 });
 
+// Context for the shared tools: searches go to the Go server, or to the
+// embedded engine in local mode (SEARCH_BACKEND=local) and while the Go
+// server is down, and index jobs run on whichever one searches. Its LLM
+// provider answers chat from real search results when LLM_* is configured.
+const toolContext = createToolContext();
+const { llm } = toolContext;
+
 /**
  * Process a chat message and return a response
- * This is a simple simulation of an agent chat
+ * This is a simple simulation of an agent chat, used when no LLM provider
+ * is configured
  */
 async function processChat(message, repository = '', context = {}) {
   try {
@@ -48,100 +59,23 @@ async function processChat(message, repository = '', context = {}) {
   }
 }
 
-// Add chat tool
-server.tool(
-  'chat',
-  {
-    message: z.string().describe('The user message to process'),
-    repository: z.string().optional().describe('The GitHub repository to reference'),
-    context: z.record(z.any()).optional().describe('Additional context for the chat')
-  },
-  async ({ message, repository = '', context = {} }) => {
-    try {
-      const result = await processChat(message, repository, context);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify(result, null, 2),
-          },
-        ],
-      };
-    } catch (error) {
-      const errorMessage = error instanceof Error ? error.message : String(error);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: `Error processing chat: ${errorMessage}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
+// Register the shared tools. Chat is the local simulation unless an LLM
+// provider is configured or the turn belongs to a session; then the
+// registry's chat answers from real search results, citing them.
+registerTools(server, toolContext, {
+  handlers: {
+    chat: (args, ctx) => llm || args.sessionId
+      ? getTool('chat').handler(args, ctx)
+      : processChat(args.message, args.repository, args.context)
   }
-);
+});
 
-// Add a vector search tool - simulated version
-server.tool(
-  'vectorSearch',
-  {
-    query: z.string().describe('The search query'),
-    repository: z.string().describe('The repository to search in'),
-    limit: z.number().optional().describe('Maximum number of results to return')
-  },
-  async ({ query, repository, limit = 5 }) => {
-    try {
-      // Simulate vector search results
-      // In a real implementation, this would call your Go vector search functionality
-      const results = [
-        {
-          file: 'src/main.js',
-          content: 'function searchCode() { /* search implementation */ }',
-          similarity: 0.95
-        },
-        {
-          file: 'src/utils.js',
-          content: 'export const findInCode = (pattern) => { /* find implementation */ }',
-          similarity: 0.87
-        }
-      ];
+// Indexed files as repo:// resources; subscribers hear when their
+// repository is reindexed
+registerResources(server, toolContext);
 
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              status: 'success',
-              data: {
-                query,
-                repository,
-                results: results.slice(0, limit)
-              }
-            }, null, 2),
-          },
-        ],
-      };
-    } catch (error) {
-      const errorMessage = error instanceof Error ? error.message : String(error);
-      return {
-        content: [
-          {
-            type: 'text',
-            text: JSON.stringify({
-              status: 'error',
-              message: `Search failed: ${errorMessage}`
-            }, null, 2),
-          },
-        ],
-        isError: true,
-      };
-    }
-  }
-);
+// Workflow prompts grounded in search results
+registerPrompts(server, toolContext);
 
 // Start the server
 const transport = new StdioServerTransport();
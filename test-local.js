@@ -1,326 +0,0 @@
-import axios from 'axios';
-import { spawn } from 'child_process';
-import readline from 'readline';
-
-// Configuration
-const config = {
-  localPort: 3001, // Different port for testing
-  goServerUrl: process.env.GO_SERVER_URL || 'http://localhost:8081',
-  mcpToken: process.env.MCP_SECRET_TOKEN || 'test-token-12345'
-};
-
-// Create readline interface for interactive testing
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout
-});
-
-// Colors for console output
-const colors = {
-  reset: '\x1b[0m',
-  green: '\x1b[32m',
-  red: '\x1b[31m',
-  yellow: '\x1b[33m',
-  blue: '\x1b[34m'
-};
-
-function log(message, color = 'reset') {
-  console.log(`${colors[color]}${message}${colors.reset}`);
-}
-
-// Test results collector
-const testResults = {
-  passed: [],
-  failed: [],
-  warnings: []
-};
-
-// Start the server in test mode
-async function startTestServer() {
-  log('\n🚀 Starting MCP server in test mode...', 'blue');
-  
-  const env = {
-    ...process.env,
-    PORT: config.localPort,
-    GO_SERVER_URL: config.goServerUrl,
-    MCP_SECRET_TOKEN: config.mcpToken,
-    NODE_ENV: 'test'
-  };
-  
-  const server = spawn('node', ['integration.js'], {
-    env,
-    stdio: ['pipe', 'pipe', 'pipe']
-  });
-  
-  server.stdout.on('data', (data) => {
-    log(`Server: ${data.toString().trim()}`, 'yellow');
-  });
-  
-  server.stderr.on('data', (data) => {
-    log(`Server Error: ${data.toString().trim()}`, 'red');
-  });
-  
-  // Wait for server to start
-  await new Promise(resolve => setTimeout(resolve, 3000));
-  
-  return server;
-}
-
-// Test suite
-async function runTests() {
-  log('\n🧪 Running test suite...', 'blue');
-  
-  // Test 1: Health check
-  await testHealthCheck();
-  
-  // Test 2: Test endpoint
-  await testTestEndpoint();
-  
-  // Test 3: MCP endpoint with auth
-  await testMCPEndpoint();
-  
-  // Test 4: Vector search (mock)
-  await testVectorSearch();
-  
-  // Display results
-  displayTestResults();
-}
-
-async function testHealthCheck() {
-  log('\n📍 Test 1: Health Check', 'blue');
-  try {
-    const response = await axios.get(`http://localhost:${config.localPort}/`);
-    if (response.data.status === 'ok') {
-      testResults.passed.push('Health Check');
-      log('✅ Health check passed', 'green');
-      log(`Response: ${JSON.stringify(response.data, null, 2)}`);
-    } else {
-      throw new Error('Unexpected response');
-    }
-  } catch (error) {
-    testResults.failed.push('Health Check');
-    log(`❌ Health check failed: ${error.message}`, 'red');
-  }
-}
-
-async function testTestEndpoint() {
-  log('\n📍 Test 2: Test Endpoint', 'blue');
-  try {
-    const response = await axios.get(`http://localhost:${config.localPort}/test`);
-    testResults.passed.push('Test Endpoint');
-    log('✅ Test endpoint working', 'green');
-    log(`Response: ${JSON.stringify(response.data, null, 2)}`);
-    
-    // Check Go server status
-    if (response.data.go_server.includes('error')) {
-      testResults.warnings.push('Go server not reachable - this is expected if Go server is not running');
-      log('⚠️  Warning: Go server not reachable', 'yellow');
-    }
-  } catch (error) {
-    testResults.failed.push('Test Endpoint');
-    log(`❌ Test endpoint failed: ${error.message}`, 'red');
-  }
-}
-
-async function testMCPEndpoint() {
-  log('\n📍 Test 3: MCP Endpoint Authentication', 'blue');
-  
-  // Test without auth
-  try {
-    await axios.post(`http://localhost:${config.localPort}/mcp`, {
-      tool: 'vectorSearch',
-      params: { query: 'test', repository: 'test-repo' }
-    });
-    testResults.failed.push('MCP Auth - Should reject unauthorized');
-    log('❌ MCP endpoint allowed unauthorized access', 'red');
-  } catch (error) {
-    if (error.response?.status === 401) {
-      testResults.passed.push('MCP Auth - Rejects unauthorized');
-      log('✅ MCP endpoint correctly rejects unauthorized requests', 'green');
-    }
-  }
-  
-  // Test with auth
-  try {
-    const response = await axios.post(
-      `http://localhost:${config.localPort}/mcp`,
-      {
-        tool: 'vectorSearch',
-        params: { query: 'test', repository: 'test-repo' }
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${config.mcpToken}`
-        }
-      }
-    );
-    
-    // If Go server is not running, we expect an error but the auth should work
-    if (response.data.error || response.data.success === false) {
-      testResults.warnings.push('MCP endpoint works but Go server not available');
-      log('⚠️  MCP endpoint auth works, but Go server not available', 'yellow');
-    } else {
-      testResults.passed.push('MCP Auth - Accepts authorized');
-      log('✅ MCP endpoint accepts authorized requests', 'green');
-    }
-  } catch (error) {
-    if (error.response?.status !== 401) {
-      testResults.warnings.push('MCP Auth - Works but backend unavailable');
-      log('⚠️  MCP auth works but backend communication failed (expected if Go server not running)', 'yellow');
-    } else {
-      testResults.failed.push('MCP Auth - Failed with token');
-      log(`❌ MCP endpoint failed with auth: ${error.message}`, 'red');
-    }
-  }
-}
-
-async function testVectorSearch() {
-  log('\n📍 Test 4: Vector Search Mock', 'blue');
-  
-  // This tests the endpoint structure without requiring the Go server
-  try {
-    const mockRequest = {
-      query: 'How to use async/await',
-      repository: 'test-repo',
-      branch: 'main'
-    };
-    
-    log(`Mock request: ${JSON.stringify(mockRequest, null, 2)}`);
-    testResults.passed.push('Vector Search Mock Structure');
-    log('✅ Vector search request structure is valid', 'green');
-  } catch (error) {
-    testResults.failed.push('Vector Search Mock Structure');
-    log(`❌ Vector search mock failed: ${error.message}`, 'red');
-  }
-}
-
-function displayTestResults() {
-  log('\n📊 Test Results Summary', 'blue');
-  log('=' .repeat(50));
-  
-  log(`\n✅ Passed: ${testResults.passed.length}`, 'green');
-  testResults.passed.forEach(test => log(`   - ${test}`, 'green'));
-  
-  if (testResults.warnings.length > 0) {
-    log(`\n⚠️  Warnings: ${testResults.warnings.length}`, 'yellow');
-    testResults.warnings.forEach(warning => log(`   - ${warning}`, 'yellow'));
-  }
-  
-  if (testResults.failed.length > 0) {
-    log(`\n❌ Failed: ${testResults.failed.length}`, 'red');
-    testResults.failed.forEach(test => log(`   - ${test}`, 'red'));
-  }
-  
-  log('\n' + '='.repeat(50));
-  
-  const allCriticalPassed = testResults.failed.length === 0;
-  if (allCriticalPassed) {
-    log('\n✅ All critical tests passed! Safe to deploy to Replit.', 'green');
-  } else {
-    log('\n❌ Some tests failed. Fix issues before deploying.', 'red');
-  }
-}
-
-// Interactive testing menu
-async function interactiveMenu() {
-  log('\n📋 Interactive Test Menu', 'blue');
-  log('1. Test a specific endpoint');
-  log('2. Send custom MCP request');
-  log('3. Check server logs');
-  log('4. Exit');
-  
-  rl.question('\nSelect an option (1-4): ', async (answer) => {
-    switch(answer) {
-      case '1':
-        await testSpecificEndpoint();
-        break;
-      case '2':
-        await sendCustomRequest();
-        break;
-      case '3':
-        log('Check the server output above for logs', 'yellow');
-        break;
-      case '4':
-        process.exit(0);
-        break;
-      default:
-        log('Invalid option', 'red');
-    }
-    
-    // Show menu again
-    setTimeout(interactiveMenu, 1000);
-  });
-}
-
-async function testSpecificEndpoint() {
-  rl.question('Enter endpoint path (e.g., /test): ', async (endpoint) => {
-    try {
-      const response = await axios.get(`http://localhost:${config.localPort}${endpoint}`);
-      log(`Response: ${JSON.stringify(response.data, null, 2)}`, 'green');
-    } catch (error) {
-      log(`Error: ${error.message}`, 'red');
-    }
-  });
-}
-
-async function sendCustomRequest() {
-  log('\nExample request:', 'yellow');
-  log(JSON.stringify({
-    tool: 'chat',
-    params: {
-      message: 'What is this repository about?',
-      repository: 'user/repo'
-    }
-  }, null, 2));
-  
-  rl.question('\nEnter request body (JSON): ', async (body) => {
-    try {
-      const requestBody = JSON.parse(body);
-      const response = await axios.post(
-        `http://localhost:${config.localPort}/mcp`,
-        requestBody,
-        {
-          headers: {
-            'Authorization': `Bearer ${config.mcpToken}`
-          }
-        }
-      );
-      log(`Response: ${JSON.stringify(response.data, null, 2)}`, 'green');
-    } catch (error) {
-      log(`Error: ${error.message}`, 'red');
-      if (error.response) {
-        log(`Response: ${JSON.stringify(error.response.data, null, 2)}`, 'red');
-      }
-    }
-  });
-}
-
-// Main execution
-async function main() {
-  log('🔧 MCP Server Local Testing Tool', 'blue');
-  log('=' .repeat(50));
-  
-  // Start server
-  const server = await startTestServer();
-  
-  // Run automatic tests
-  await runTests();
-  
-  // Start interactive menu
-  log('\n💡 You can now test the server interactively...', 'yellow');
-  await interactiveMenu();
-  
-  // Cleanup on exit
-  process.on('SIGINT', () => {
-    log('\n👋 Shutting down test server...', 'yellow');
-    server.kill();
-    rl.close();
-    process.exit(0);
-  });
-}
-
-// Run the test suite
-main().catch(error => {
-  log(`Fatal error: ${error.message}`, 'red');
-  process.exit(1);
-});
\ No newline at end of file
@@ -0,0 +1,72 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createAuth, loadApiKeys, assertAuthConfigured, AuthConfigError } from '../auth.js';
+
+describe('auth.js', () => {
+  it('loads named keys from MCP_API_KEYS, config and MCP_SECRET_TOKEN, skipping unset values', () => {
+    const keys = loadApiKeys({
+      env: { MCP_API_KEYS: 'ci:k1, dashboard : k2 ,broken,empty:', MCP_SECRET_TOKEN: 'undefined' },
+      configKeys: { cli: 'k3', blank: '' }
+    });
+    assert.deepEqual([...keys], [['ci', 'k1'], ['dashboard', 'k2'], ['cli', 'k3']]);
+
+    const legacy = loadApiKeys({ env: { MCP_SECRET_TOKEN: 'secret' }, configKeys: {} });
+    assert.deepEqual([...legacy], [['default', 'secret']]);
+  });
+
+  it('names the key a token matches', () => {
+    const auth = createAuth({ keys: new Map([['ci', 'k1'], ['dashboard', 'k2']]), insecure: false });
+    assert.equal(auth.enabled, true);
+    assert.equal(auth.authenticate('k2'), 'dashboard');
+    assert.equal(auth.authenticate('k'), null);
+    assert.equal(auth.authenticate(''), null);
+    assert.equal(auth.authenticate(undefined), null);
+    assert.equal(auth.authenticateHeaders({ authorization: 'Bearer k1' }), 'ci');
+    assert.equal(auth.authenticateHeaders({ 'x-api-key': 'k2' }), 'dashboard');
+    assert.equal(auth.authenticateHeaders({ authorization: 'Basic k1' }), null);
+  });
+
+  it('refuses to start without keys unless insecure mode is set', () => {
+    assert.throws(() => assertAuthConfigured(createAuth({ keys: new Map(), insecure: false }), 'test'), AuthConfigError);
+    assertAuthConfigured(createAuth({ keys: new Map([['ci', 'k1']]), insecure: false }), 'test');
+
+    const open = createAuth({ keys: new Map(), insecure: true });
+    assertAuthConfigured(open, 'test');
+    assert.equal(open.enabled, false);
+    assert.equal(open.authenticate(undefined), 'anonymous');
+
+    // Configured keys are still required in insecure mode
+    assert.equal(createAuth({ keys: new Map([['ci', 'k1']]), insecure: true }).authenticate('nope'), null);
+  });
+
+  describe('middleware', () => {
+    let server;
+    let baseUrl;
+
+    before(async () => {
+      const auth = createAuth({ keys: new Map([['ci', 'k1']]), insecure: false });
+      const app = express();
+      app.use(auth.middleware({ publicPaths: ['/health'] }));
+      app.get('/health', (req, res) => res.json({ ok: true }));
+      app.get('/whoami', (req, res) => res.json({ key: req.apiKeyName }));
+      await new Promise(resolve => {
+        server = app.listen(0, '127.0.0.1', resolve);
+      });
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    it('answers 401 without a valid key and names the key otherwise', async () => {
+      const denied = await fetch(`${baseUrl}/whoami`, { headers: { Authorization: 'Bearer wrong' } });
+      assert.equal(denied.status, 401);
+      assert.equal(denied.headers.get('www-authenticate'), 'Bearer');
+
+      const allowed = await fetch(`${baseUrl}/whoami`, { headers: { Authorization: 'Bearer k1' } });
+      assert.deepEqual(await allowed.json(), { key: 'ci' });
+
+      assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createSessionStore } from '../chat-sessions.js';
+import { createLocalSearchEngine } from '../local-search.js';
+import { callTool } from '../tool-registry.js';
+
+describe('chat-sessions.js', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'chat-sessions-test-'));
+  });
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('persists turns to disk and keeps each snippet once', async () => {
+    const sessionDir = path.join(dir, 'persist');
+    const snippet = { repository: 'acme/api', file: 'a.go', startLine: 1, endLine: 3, content: 'func A() {}' };
+    await createSessionStore({ dir: sessionDir }).recordTurn('s1', { repository: 'acme/api', user: 'q1', assistant: 'a1', snippets: [snippet] });
+
+    // A new store (e.g. after a restart) sees the same session
+    const store = createSessionStore({ dir: sessionDir });
+    await store.recordTurn('s1', { user: 'q2', assistant: 'a2', snippets: [snippet] });
+    const session = await store.get('s1');
+    assert.equal(session.repository, 'acme/api');
+    assert.deepEqual(session.messages.map(message => message.content), ['q1', 'a1', 'q2', 'a2']);
+    assert.equal(session.snippets.length, 1);
+  });
+
+  it('applies concurrent turns in order and caps the history', async () => {
+    const store = createSessionStore({ dir: path.join(dir, 'cap'), maxMessages: 4 });
+    await Promise.all(['1', '2', '3'].map(n => store.recordTurn('s2', { user: `q${n}`, assistant: `a${n}` })));
+    const session = await store.get('s2');
+    assert.deepEqual(session.messages.map(message => message.content), ['q2', 'a2', 'q3', 'a3']);
+  });
+
+  it('expires idle sessions and deletes them on listing', async () => {
+    const sessionDir = path.join(dir, 'ttl');
+    const store = createSessionStore({ dir: sessionDir, ttl: 30 });
+    await store.recordTurn('old', { user: 'q', assistant: 'a' });
+    assert.equal((await store.list()).length, 1);
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.deepEqual(await store.list(), []);
+    assert.deepEqual(await fs.readdir(sessionDir), []);
+  });
+
+  it('rejects session IDs that are not safe file names', async () => {
+    const store = createSessionStore({ dir: path.join(dir, 'ids') });
+    await assert.rejects(store.get('../escape'), /Invalid session ID/);
+  });
+
+  it('reuses the repository and earlier snippets for follow-up chat turns', async () => {
+    const localSearch = createLocalSearchEngine();
+    localSearch.addDocument('acme/api', 'src/limiter.go', 'func AllowRequest(key string) bool {\n\treturn buckets[key].take()\n}');
+    localSearch.addDocument('acme/api', 'src/handler.go', 'func ServeHTTP(w Writer, r *Request) {\n\tif !AllowRequest(r.Key) {\n\t\treturn\n\t}\n}');
+    const ctx = { localSearch, searchMode: 'local', sessions: createSessionStore({ dir: path.join(dir, 'chat') }) };
+
+    const first = await callTool('chat', { message: 'how do the buckets work', repository: 'acme/api', sessionId: 'chat-1' }, ctx);
+    assert.equal(first.sessionId, 'chat-1');
+    assert.equal(first.sessionContext.turns, 1);
+    assert.equal(first.codeContext[0].file, 'src/limiter.go');
+
+    // No repository and no identifier in the follow-up: both come from the session
+    const followUp = await callTool('chat', { message: 'and where is that called?', sessionId: 'chat-1' }, ctx);
+    assert.equal(followUp.repository, 'acme/api');
+    assert.equal(followUp.codeContext[0].file, 'src/handler.go');
+    assert.equal(followUp.sessionContext.turns, 2);
+    assert.deepEqual(followUp.sessionContext.previousMessages.map(message => message.role), ['user', 'assistant']);
+
+    const { sessions } = await callTool('listSessions', {}, ctx);
+    assert.deepEqual(sessions.map(session => [session.sessionId, session.messages]), [['chat-1', 4]]);
+    assert.deepEqual(await callTool('clearSession', { sessionId: 'chat-1' }, ctx), { success: true, sessionId: 'chat-1', cleared: true });
+    await assert.rejects(callTool('clearSession', { sessionId: 'chat-1' }, ctx), { name: 'ToolInputError' });
+    await assert.rejects(callTool('chat', { message: 'hi', sessionId: '../x' }, ctx), { name: 'ToolInputError' });
+  });
+});
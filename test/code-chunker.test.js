@@ -0,0 +1,129 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { chunkCode, chunkText, detectLanguage } from '../code-chunker.js';
+
+// Compact view of chunks for assertions
+function outline(chunks) {
+  return chunks.map(chunk => [chunk.symbol, chunk.startLine, chunk.endLine]);
+}
+
+describe('code-chunker.js', () => {
+  it('detects languages by extension', () => {
+    assert.equal(detectLanguage('src/app.tsx'), 'typescript');
+    assert.equal(detectLanguage('main.go'), 'go');
+    assert.equal(detectLanguage('LICENSE'), 'text');
+  });
+
+  it('falls back to overlapping line windows', () => {
+    const content = Array.from({ length: 100 }, (_, i) => `line ${i + 1}`).join('\n');
+    const chunks = chunkText(content, { maxLines: 40, overlap: 5 });
+    assert.deepEqual(chunks.map(chunk => [chunk.startLine, chunk.endLine]), [[1, 40], [36, 75], [71, 100]]);
+    assert.equal(chunkCode('notes.md', content)[0].language, 'markdown');
+  });
+
+  it('splits JavaScript on function and class boundaries, keeping JSDoc', () => {
+    const content = [
+      "import fs from 'fs';",
+      '',
+      '/**',
+      ' * Read a config file',
+      ' */',
+      'export async function readConfig(file) {',
+      "  const text = fs.readFileSync(file, 'utf8'); // not a } brace",
+      '  return JSON.parse(text);',
+      '}',
+      '',
+      'export const double = (n) => n * 2;',
+      '',
+      'class Store {',
+      '  get(key) {',
+      '    return this.items[key];',
+      '  }',
+      '}'
+    ].join('\n');
+    const chunks = chunkCode('src/config.js', content);
+    assert.deepEqual(outline(chunks), [
+      [null, 1, 1],
+      ['readConfig', 3, 9],
+      ['double', 11, 11],
+      ['Store', 13, 17]
+    ]);
+    assert.ok(chunks.every(chunk => chunk.language === 'javascript'));
+  });
+
+  it('splits a large class into its methods', () => {
+    const body = Array.from({ length: 10 }, (_, i) => `    this.value += ${i};`);
+    const content = [
+      'export class Counter {',
+      '  constructor() {',
+      '    this.value = 0;',
+      '  }',
+      '',
+      '  async increment(step) {',
+      ...body,
+      '  }',
+      '}'
+    ].join('\n');
+    assert.deepEqual(outline(chunkCode('counter.ts', content, { maxLines: 12 })), [
+      ['Counter', 1, 1],
+      ['Counter.constructor', 2, 4],
+      ['Counter.increment', 6, 17],
+      ['Counter', 18, 18]
+    ]);
+  });
+
+  it('names Go methods after their receiver', () => {
+    const content = [
+      'package auth',
+      '',
+      '// Validator checks tokens',
+      'type Validator struct {',
+      '\tsecret string',
+      '}',
+      '',
+      'func (v *Validator) Validate(token string) bool {',
+      '\tif token == "}" {',
+      '\t\treturn false',
+      '\t}',
+      '\treturn token == v.secret',
+      '}'
+    ].join('\n');
+    assert.deepEqual(outline(chunkCode('auth.go', content)), [
+      [null, 1, 1],
+      ['Validator', 3, 6],
+      ['Validator.Validate', 8, 13]
+    ]);
+  });
+
+  it('uses indentation for Python blocks', () => {
+    const content = [
+      'import os',
+      '',
+      '@cached',
+      'def load(path):',
+      '    with open(path) as f:',
+      '',
+      '        return f.read()',
+      '',
+      'class Loader:',
+      '    def run(self):',
+      '        return load(os.getcwd())',
+      '',
+      'print(load("x"))'
+    ].join('\n');
+    assert.deepEqual(outline(chunkCode('loader.py', content)), [
+      [null, 1, 1],
+      ['load', 3, 7],
+      ['Loader', 9, 11],
+      [null, 13, 13]
+    ]);
+  });
+
+  it('splits an oversized function by size and keeps its symbol', () => {
+    const content = ['function huge() {', ...Array.from({ length: 100 }, (_, i) => `  step(${i});`), '}'].join('\n');
+    const chunks = chunkCode('huge.js', content);
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.symbol === 'huge'));
+    assert.equal(chunks.at(-1).endLine, 102);
+  });
+});
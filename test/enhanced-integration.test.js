@@ -0,0 +1,227 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
+import { createMockGoServer } from '../mock-go-server.js';
+import { getFreePort, waitForHttp, spawnEntrypoint, stopChild, parseToolResult, assertSessionFollowUp } from './helpers.js';
+
+const API_KEY = 'http-test-key';
+const AUTH_HEADERS = { Authorization: `Bearer ${API_KEY}` };
+
+describe('enhanced-integration.js (Streamable HTTP)', () => {
+  let mock;
+  let child;
+  let mcpUrl;
+  let sessionDir;
+
+  before(async () => {
+    mock = createMockGoServer();
+    const goServerUrl = await mock.listen();
+    const port = await getFreePort();
+    mcpUrl = `http://127.0.0.1:${port}/mcp`;
+    sessionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'enhanced-integration-sessions-'));
+    child = spawnEntrypoint('enhanced-integration.js', {
+      MCP_TRANSPORT: 'http',
+      MCP_API_KEYS: `tests:${API_KEY}`,
+      MCP_PORT: String(port),
+      GO_SERVER_URL: goServerUrl,
+      CHAT_SESSION_DIR: sessionDir
+    });
+    await waitForHttp(mcpUrl);
+  });
+
+  after(async () => {
+    await stopChild(child);
+    await mock?.close();
+    await fs.rm(sessionDir, { recursive: true, force: true });
+  });
+
+  it('runs tools over a session', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(mcpUrl), { requestInit: { headers: AUTH_HEADERS } });
+    const client = new Client({ name: 'http-test', version: '1.0.0' });
+    await client.connect(transport);
+    try {
+      assert.ok(transport.sessionId);
+
+      const { tools } = await client.listTools();
+      assert.deepEqual(tools.map(tool => tool.name).sort(), ['cancelIndex', 'chat', 'clearSession', 'health', 'indexRepository', 'indexStatus', 'listSessions', 'vectorSearch']);
+
+      const search = await client.callTool({
+        name: 'vectorSearch',
+        arguments: { query: 'startServer', repository: 'example/repo' }
+      });
+      assert.equal(parseToolResult(search).data[0].file, 'src/server.js');
+
+      const health = await client.callTool({ name: 'health', arguments: {} });
+      assert.equal(parseToolResult(health).go_server, true);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('carries a chat session over to the follow-up turn', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(mcpUrl), { requestInit: { headers: AUTH_HEADERS } });
+    const client = new Client({ name: 'http-test', version: '1.0.0' });
+    await client.connect(transport);
+    try {
+      await assertSessionFollowUp(async args => parseToolResult(await client.callTool({ name: 'chat', arguments: args })), mock);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('streams index progress on the tools/call request when asked', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(mcpUrl), { requestInit: { headers: AUTH_HEADERS } });
+    const client = new Client({ name: 'http-test', version: '1.0.0' });
+    const errors = [];
+    client.onerror = error => errors.push(error);
+    await client.connect(transport);
+    try {
+      const progress = [];
+      const result = await client.callTool(
+        { name: 'indexRepository', arguments: { repoUrl: 'https://github.com/acme/progress' } },
+        undefined,
+        { onprogress: update => progress.push(update), resetTimeoutOnProgress: true }
+      );
+      const job = parseToolResult(result);
+      assert.equal(job.status, 'completed');
+      assert.equal(job.progress.message, 'Indexing completed');
+      // Notifications read along with the reply are dropped, and reported, by the client
+      for (const [i, update] of progress.entries()) {
+        assert.ok(update.progress >= (progress[i - 1]?.progress ?? 0));
+      }
+      assert.deepEqual(errors.filter(error => !/progress notification for an unknown token/.test(error.message)), []);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('ends a session on DELETE', async () => {
+    const transport = new StreamableHTTPClientTransport(new URL(mcpUrl), { requestInit: { headers: AUTH_HEADERS } });
+    const client = new Client({ name: 'http-test', version: '1.0.0' });
+    await client.connect(transport);
+    const sessionId = transport.sessionId;
+    await transport.terminateSession();
+    await client.close();
+
+    const response = await fetch(mcpUrl, {
+      method: 'POST',
+      headers: {
+        ...AUTH_HEADERS,
+        'Content-Type': 'application/json',
+        Accept: 'application/json, text/event-stream',
+        'Mcp-Session-Id': sessionId
+      },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    assert.equal(response.status, 404);
+  });
+
+  it('drops resource subscriptions when a session ends', async () => {
+    const uri = 'repo://acme%2Fclosed/README.md';
+    const openClient = async () => {
+      const transport = new StreamableHTTPClientTransport(new URL(mcpUrl), { requestInit: { headers: AUTH_HEADERS } });
+      const client = new Client({ name: 'http-test', version: '1.0.0' });
+      await client.connect(transport);
+      return { client, transport };
+    };
+
+    const subscriber = await openClient();
+    await subscriber.client.subscribeResource({ uri });
+    await subscriber.transport.terminateSession();
+    await subscriber.client.close();
+
+    // Completing the job notifies subscribers; a closed session would fail to send
+    const indexer = await openClient();
+    try {
+      const result = await indexer.client.callTool(
+        { name: 'indexRepository', arguments: { repoUrl: 'https://github.com/acme/closed' } },
+        undefined,
+        { onprogress: () => {} }
+      );
+      assert.equal(parseToolResult(result).status, 'completed');
+      await new Promise(resolve => setTimeout(resolve, 100));
+      assert.doesNotMatch(child.output, /Failed to send resource update/);
+    } finally {
+      await indexer.client.close();
+    }
+  });
+
+  it('rejects non-initialize requests without a session', async () => {
+    const response = await fetch(mcpUrl, {
+      method: 'POST',
+      headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+    });
+    assert.equal(response.status, 400);
+  });
+
+  it('rejects requests without a valid API key', async () => {
+    for (const headers of [{}, { Authorization: 'Bearer wrong-key' }, { Authorization: 'Bearer undefined' }]) {
+      const response = await fetch(mcpUrl, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize' })
+      });
+      assert.equal(response.status, 401);
+      assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+    }
+  });
+});
+
+describe('enhanced-integration.js (stateless Streamable HTTP)', () => {
+  let mock;
+  let child;
+  let mcpUrl;
+
+  before(async () => {
+    mock = createMockGoServer();
+    const goServerUrl = await mock.listen();
+    const port = await getFreePort();
+    mcpUrl = `http://127.0.0.1:${port}/mcp`;
+    child = spawnEntrypoint('enhanced-integration.js', {
+      MCP_TRANSPORT: 'http',
+      MCP_STATELESS: 'true',
+      MCP_API_KEYS: `tests:${API_KEY}`,
+      MCP_PORT: String(port),
+      GO_SERVER_URL: goServerUrl
+    });
+    await waitForHttp(mcpUrl);
+  });
+
+  after(async () => {
+    await stopChild(child);
+    await mock?.close();
+  });
+
+  it('answers tools/call without a session', async () => {
+    const response = await fetch(mcpUrl, {
+      method: 'POST',
+      headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream' },
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name: 'vectorSearch', arguments: { query: 'startServer', repository: 'example/repo' } }
+      })
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('mcp-session-id'), null);
+    // The reply comes as JSON or as one server-sent event
+    const text = await response.text();
+    const message = JSON.parse(text.match(/^data: (.*)$/m)?.[1] ?? text);
+    assert.equal(message.id, 1);
+    assert.equal(parseToolResult(message.result).data[0].file, 'src/server.js');
+  });
+
+  it('refuses GET and DELETE, which only apply to sessions', async () => {
+    for (const method of ['GET', 'DELETE']) {
+      const response = await fetch(mcpUrl, { method, headers: { ...AUTH_HEADERS, Accept: 'text/event-stream' } });
+      assert.equal(response.status, 405, method);
+      assert.equal((await response.json()).error.code, -32000);
+    }
+  });
+});
@@ -0,0 +1,199 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import WebSocket from 'ws';
+import { createMockGoServer } from '../mock-go-server.js';
+import { getFreePort, waitForHttp, spawnEntrypoint, stopChild, pollUntil, connectSocketIo, assertSessionFollowUp } from './helpers.js';
+
+const API_KEY = 'rest-test-key';
+
+function postJson(url, body, headers = { 'X-API-Key': API_KEY }) {
+  return fetch(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+}
+
+describe('enhanced-server.js', () => {
+  let mock;
+  let child;
+  let baseUrl;
+  let sessionDir;
+
+  before(async () => {
+    mock = createMockGoServer();
+    const goServerUrl = await mock.listen();
+    const port = await getFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    sessionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'enhanced-server-sessions-'));
+    child = spawnEntrypoint('enhanced-server.js', {
+      MCP_PORT: String(port),
+      GO_SERVER_URL: goServerUrl,
+      MCP_API_KEYS: `tests:${API_KEY}`,
+      CHAT_SESSION_DIR: sessionDir
+    });
+    await waitForHttp(`${baseUrl}/health`);
+  });
+
+  after(async () => {
+    await stopChild(child);
+    await mock?.close();
+    await fs.rm(sessionDir, { recursive: true, force: true });
+  });
+
+  describe('REST routes', () => {
+    it('GET /health reports the Go server', async () => {
+      const body = await (await fetch(`${baseUrl}/health`)).json();
+      assert.equal(body.mcp, 'healthy');
+      assert.equal(body.goServer, 'healthy');
+      assert.equal(typeof body.searchCache.hits, 'number');
+    });
+
+    it('POST /vector-search proxies to the backend', async () => {
+      const response = await postJson(`${baseUrl}/vector-search`, { query: 'startServer', repository: 'example/repo' });
+      assert.equal(response.status, 200);
+      assert.equal((await response.json()).data[0].file, 'src/server.js');
+    });
+
+    it('POST /chat carries a session over to the follow-up turn', async () => {
+      await assertSessionFollowUp(async args => (await postJson(`${baseUrl}/chat`, args)).json(), mock);
+    });
+
+    it('POST /vector-search pages through results with cursors', async () => {
+      const search = { query: 'export function', repository: 'example/repo', limit: 1 };
+      const first = await (await postJson(`${baseUrl}/vector-search`, search)).json();
+      assert.deepEqual(first.data.map(result => result.file), ['src/server.js']);
+      assert.ok(first.nextCursor);
+
+      const again = await (await postJson(`${baseUrl}/vector-search`, search)).json();
+      assert.equal(again.nextCursor, first.nextCursor);
+
+      const second = await (await postJson(`${baseUrl}/vector-search`, { ...search, cursor: first.nextCursor })).json();
+      assert.deepEqual(second.data.map(result => result.file), ['src/search.js']);
+      assert.equal(second.nextCursor, null);
+
+      const other = await postJson(`${baseUrl}/vector-search`, { ...search, query: 'other', cursor: first.nextCursor });
+      assert.equal(other.status, 400);
+      assert.match((await other.json()).error, /different search/);
+    });
+
+    it('POST /vector-search rejects cursors once the repository is reindexed', async () => {
+      const search = { query: 'export function', repository: 'example/repo', limit: 1 };
+      const { nextCursor } = await (await postJson(`${baseUrl}/vector-search`, search)).json();
+
+      const started = await (await postJson(`${baseUrl}/index-repository`, { repoUrl: 'https://github.com/example/repo' })).json();
+      await pollUntil(async () => {
+        const status = await (await postJson(`${baseUrl}/index-status`, { jobId: started.jobId })).json();
+        return status.status === 'completed';
+      });
+
+      const stale = await postJson(`${baseUrl}/vector-search`, { ...search, cursor: nextCursor });
+      assert.equal(stale.status, 400);
+      assert.match((await stale.json()).error, /index changed/);
+    });
+
+    it('POST /vector-search validates the body', async () => {
+      const response = await postJson(`${baseUrl}/vector-search`, { query: 'startServer' });
+      assert.equal(response.status, 400);
+    });
+
+    it('maps backend failures to HTTP statuses', async () => {
+      mock.setFault('/vector-search', { status: 404 });
+      try {
+        const response = await postJson(`${baseUrl}/vector-search`, { query: 'startServer', repository: 'example/repo', noCache: true });
+        assert.equal(response.status, 404);
+        assert.equal((await response.json()).code, 'http_error');
+      } finally {
+        mock.setFault('/vector-search', null);
+      }
+    });
+
+    it('POST /index-repository starts a job that POST /index-status reports', async () => {
+      const started = await (await postJson(`${baseUrl}/index-repository`, { repoUrl: 'https://github.com/acme/widgets' })).json();
+      assert.equal(started.status, 'running');
+
+      const job = await pollUntil(async () => {
+        const status = await (await postJson(`${baseUrl}/index-status`, { jobId: started.jobId })).json();
+        return status.status !== 'running' && status;
+      });
+      assert.equal(job.status, 'completed');
+      assert.equal(job.result.data.repository, 'acme/widgets');
+
+      const unknown = await postJson(`${baseUrl}/cancel-index`, { jobId: 'missing' });
+      assert.equal(unknown.status, 400);
+    });
+  });
+
+  describe(' mcp-protocol.js', () => {
+    it('POST /rpc answers getServerInfo and listOfferings', async () => {
+      const info = await (await postJson(`${baseUrl}/rpc`, { jsonrpc: '2.0', id: 1, method: 'getServerInfo' })).json();
+      assert.equal(info.result.serverInfo.name, 'MCP Agent Chat');
+
+      const offerings = await (await postJson(`${baseUrl}/rpc`, { jsonrpc: '2.0', id: 2, method: 'listOfferings' })).json();
+      assert.deepEqual(offerings.result.tools.map(tool => tool.id).sort(), ['cancelIndex', 'chat', 'clearSession', 'indexRepository', 'indexStatus', 'listSessions', 'vectorSearch']);
+    });
+
+    it('POST /rpc returns -32601 for unknown methods', async () => {
+      const body = await (await postJson(`${baseUrl}/rpc`, { jsonrpc: '2.0', id: 3, method: 'nope' })).json();
+      assert.equal(body.error.code, -32601);
+      assert.equal(body.id, 3);
+    });
+
+    it('answers JSON-RPC over WebSocket connections', async () => {
+      const ws = new WebSocket(baseUrl.replace('http', 'ws'), { headers: { 'X-API-Key': API_KEY } });
+      const received = [];
+      ws.on('message', data => received.push(JSON.parse(data.toString())));
+      await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+      });
+      try {
+        const hello = await pollUntil(() => received.find(message => message.method === 'serverInfo'));
+        assert.equal(hello.params.serverInfo.name, 'MCP Agent Chat');
+
+        ws.send(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'vectorSearch', arguments: { query: 'startServer', repository: 'example/repo' } } }));
+        const response = await pollUntil(() => received.find(message => message.id === 1));
+        assert.equal(JSON.parse(response.result.content[0].text).data[0].file, 'src/server.js');
+      } finally {
+        ws.close();
+      }
+    });
+
+    it('lets Socket.IO clients follow index jobs of a repository', async () => {
+      const socket = await connectSocketIo(baseUrl, { token: API_KEY });
+      try {
+        const ack = await socket.emitWithAck('subscribe', { repository: 'https://github.com/acme/rooms' });
+        assert.equal(ack.repository, 'acme/rooms');
+        await postJson(`${baseUrl}/index-repository`, { repoUrl: 'https://github.com/acme/rooms' });
+        const completed = await socket.waitFor(event => event === 'index:completed');
+        assert.equal(completed.repository, 'acme/rooms');
+      } finally {
+        socket.close();
+      }
+    });
+  });
+
+  describe('authentication', () => {
+    it('rejects REST and RPC calls without a valid API key', async () => {
+      for (const route of ['/chat', '/vector-search', '/index-repository', '/rpc', '/mcp-registration']) {
+        for (const headers of [{}, { Authorization: 'Bearer undefined' }, { 'X-API-Key': 'wrong' }]) {
+          const response = await postJson(`${baseUrl}${route}`, { message: 'hi', query: 'q', repository: 'example/repo' }, headers);
+          assert.equal(response.status, 401, `${route} ${JSON.stringify(headers)}`);
+        }
+      }
+    });
+
+    it('refuses socket connections without a valid API key', async () => {
+      const ws = new WebSocket(baseUrl.replace('http', 'ws'));
+      const status = await new Promise((resolve, reject) => {
+        ws.once('unexpected-response', (req, res) => resolve(res.statusCode));
+        ws.once('open', () => reject(new Error('connection was accepted')));
+      });
+      assert.equal(status, 401);
+      await assert.rejects(connectSocketIo(baseUrl), /Unauthorized/);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGoClient, GoBackendError } from '../go-client.js';
+import { createMockGoServer } from '../mock-go-server.js';
+
+describe('go-client.js', () => {
+  let mock;
+  let baseUrl;
+
+  before(async () => {
+    mock = createMockGoServer();
+    baseUrl = await mock.listen();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.state.faults = {};
+    mock.state.requests = [];
+  });
+
+  function requestsTo(path) {
+    return mock.state.requests.filter(request => request.path === path).length;
+  }
+
+  it('returns the response body', async () => {
+    const client = createGoClient({ baseUrl });
+    assert.deepEqual(await client.get('/health'), { success: true, status: 'ok' });
+  });
+
+  it('retries idempotent calls on 5xx', async () => {
+    mock.setFault('/vector-search', { status: 503 });
+    const client = createGoClient({ baseUrl, retries: 2, retryBaseDelay: 1 });
+    await assert.rejects(client.post('/vector-search', { query: 'x' }), { code: 'http_error', status: 503 });
+    assert.equal(requestsTo('/vector-search'), 3);
+  });
+
+  it('does not retry non-idempotent calls or 4xx', async () => {
+    mock.setFault('/index-repository', { status: 500 });
+    mock.setFault('/vector-search', { status: 404 });
+    const client = createGoClient({ baseUrl, retries: 2, retryBaseDelay: 1 });
+    await assert.rejects(client.post('/index-repository', { repoUrl: 'x' }), GoBackendError);
+    await assert.rejects(client.post('/vector-search', { query: 'x' }), { code: 'http_error', httpStatus: 404 });
+    assert.equal(requestsTo('/index-repository'), 1);
+    assert.equal(requestsTo('/vector-search'), 1);
+  });
+
+  it('times out per endpoint', async () => {
+    mock.setFault('/vector-search', { latency: 200 });
+    const client = createGoClient({ baseUrl, retries: 0, timeouts: { '/vector-search': 50 } });
+    await assert.rejects(client.post('/vector-search', { query: 'x' }), { code: 'timeout', httpStatus: 504 });
+  });
+
+  it('opens the circuit after repeated failures and closes it after a success', async () => {
+    mock.setFault('/health', { status: 500 });
+    const client = createGoClient({ baseUrl, retries: 0, failureThreshold: 2, resetTimeout: 50 });
+    await assert.rejects(client.get('/health'));
+    await assert.rejects(client.get('/health'));
+    assert.equal(client.breakerState().state, 'open');
+
+    await assert.rejects(client.get('/health'), { code: 'circuit_open' });
+    assert.equal(requestsTo('/health'), 2);
+
+    mock.setFault('/health', null);
+    await new Promise(resolve => setTimeout(resolve, 60));
+    await client.get('/health');
+    assert.equal(client.breakerState().state, 'closed');
+  });
+
+  it('reports cancellation without retrying', async () => {
+    mock.setFault('/vector-search', { latency: 200 });
+    const client = createGoClient({ baseUrl, retries: 2 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(client.post('/vector-search', { query: 'x' }, { signal: controller.signal }), { code: 'cancelled' });
+    assert.equal(requestsTo('/vector-search'), 1);
+  });
+});
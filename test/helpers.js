@@ -0,0 +1,258 @@
+// Shared helpers for the test suite: spawning entrypoints, free ports,
+// waiting for HTTP readiness, talking raw JSON-RPC over stdio and checking
+// chat sessions end to end
+
+import assert from 'node:assert/strict';
+import { spawn } from 'child_process';
+import net from 'net';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/**
+ * Find a free TCP port on localhost
+ */
+export function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * Poll a URL until it answers (any status), or fail after `timeout` ms
+ */
+export async function waitForHttp(url, timeout = 10000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    try {
+      await fetch(url);
+      return;
+    } catch (error) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+  throw new Error(`Timed out waiting for ${url}`);
+}
+
+/**
+ * Call `check` until it returns a truthy value and resolve with it, or fail
+ * after `timeout` ms
+ */
+export async function pollUntil(check, { timeout = 5000, interval = 50 } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const value = await check();
+    if (value) return value;
+    await new Promise(resolve => setTimeout(resolve, interval));
+  }
+  throw new Error('Timed out waiting for condition');
+}
+
+/**
+ * Git configuration that points every https:// remote at a missing local
+ * directory, so index jobs never reach the network: the tip lookup (git
+ * ls-remote) fails at once and the Go server is asked for a full index.
+ * Tests that need a remote map its URL to a local repository instead.
+ */
+export const OFFLINE_GIT_ENV = {
+  GIT_CONFIG_COUNT: '1',
+  GIT_CONFIG_KEY_0: 'url.file:///nonexistent/remote/.insteadOf',
+  GIT_CONFIG_VALUE_0: 'https://'
+};
+
+/**
+ * Spawn one of the repo's entrypoints with extra environment variables,
+ * offline for git (OFFLINE_GIT_ENV). stdout/stderr are collected on
+ * `child.output` for debugging failures.
+ */
+export function spawnEntrypoint(script, env = {}) {
+  const child = spawn(process.execPath, [script], {
+    cwd: ROOT,
+    env: { ...process.env, ...OFFLINE_GIT_ENV, ...env },
+    stdio: ['pipe', 'pipe', 'pipe']
+  });
+  child.output = '';
+  child.stderr.on('data', (data) => {
+    child.output += data.toString();
+  });
+  return child;
+}
+
+/**
+ * Kill a spawned child and wait for it to exit
+ */
+export function stopChild(child) {
+  if (!child || child.exitCode !== null || child.signalCode !== null) {
+    return Promise.resolve();
+  }
+  return new Promise((resolve) => {
+    child.once('exit', () => resolve());
+    child.kill('SIGTERM');
+  });
+}
+
+/**
+ * Minimal newline-delimited JSON-RPC client over a child's stdio, for
+ * servers that are not SDK based (index.js)
+ */
+export class RawRpcClient {
+  constructor(child) {
+    this.child = child;
+    this.buffer = '';
+    this.messages = [];
+    this.waiters = [];
+    child.stdout.on('data', (chunk) => {
+      this.buffer += chunk.toString();
+      const lines = this.buffer.split('\n');
+      this.buffer = lines.pop();
+      for (const line of lines) {
+        if (!line.trim()) continue;
+        this.messages.push(JSON.parse(line));
+        this.flush();
+      }
+    });
+  }
+
+  flush() {
+    this.waiters = this.waiters.filter(({ predicate, resolve }) => {
+      const index = this.messages.findIndex(predicate);
+      if (index === -1) return true;
+      resolve(this.messages.splice(index, 1)[0]);
+      return false;
+    });
+  }
+
+  /**
+   * Write raw text to the child's stdin
+   */
+  write(text) {
+    this.child.stdin.write(text);
+  }
+
+  /**
+   * Send one message as a line
+   */
+  send(message) {
+    this.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Resolve with the next message matching `predicate`
+   */
+  waitFor(predicate, timeout = 5000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Timed out waiting for JSON-RPC message')), timeout);
+      this.waiters.push({
+        predicate,
+        resolve: (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        }
+      });
+      this.flush();
+    });
+  }
+
+  /**
+   * Send a request and resolve with the response carrying its id
+   */
+  request(id, method, params) {
+    this.send({ jsonrpc: '2.0', id, method, ...(params !== undefined ? { params } : {}) });
+    return this.waitFor(message => !Array.isArray(message) && message.id === id);
+  }
+}
+
+/**
+ * Parse the JSON text payload of an MCP tool result
+ */
+export function parseToolResult(result) {
+  return JSON.parse(result.content[0].text);
+}
+
+/**
+ * Run two chat turns of one session through `chat(args)`, which resolves
+ * with the tool's data, and check that the follow-up builds on the first:
+ * its search adds the symbols retrieved before, the repository carries over
+ * and sessionContext reports the earlier turn. `mock` is the mock Go server
+ * with its default fixtures.
+ */
+export async function assertSessionFollowUp(chat, mock, sessionId = 'followup-session') {
+  const first = await chat({ message: 'how does startServer work', repository: 'example/repo', sessionId });
+  assert.equal(first.sessionId, sessionId);
+  assert.equal(first.codeContext[0].file, 'src/server.js');
+  assert.deepEqual(first.sessionContext, { turns: 1, previousMessages: [], snippets: [] });
+
+  const followUp = await chat({ message: 'where is that called?', sessionId });
+  const search = mock.state.requests.filter(request => request.path === '/vector-search').at(-1);
+  assert.equal(search.body.query, 'where is that called? startServer');
+  assert.equal(search.body.repository, 'example/repo');
+  assert.equal(followUp.repository, 'example/repo');
+  assert.equal(followUp.sessionContext.turns, 2);
+  assert.deepEqual(
+    followUp.sessionContext.previousMessages.map(({ role, content }) => ({ role, content })),
+    [{ role: 'user', content: 'how does startServer work' }, { role: 'assistant', content: first.message }]
+  );
+  assert.ok(Array.isArray(followUp.sessionContext.snippets));
+}
+
+/**
+ * Minimal Socket.IO client speaking the Engine.IO v4 protocol over a
+ * WebSocket, since socket.io-client isn't a dependency. Joins the default
+ * namespace, sending `auth` as handshake data when given; received events are
+ * collected on `events` as [name, data]. Rejects when the server refuses the
+ * connection.
+ */
+export function connectSocketIo(baseUrl, auth) {
+  const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/socket.io/?EIO=4&transport=websocket`);
+  const acks = new Map();
+  let nextAck = 0;
+  const socket = {
+    events: [],
+
+    emit(event, data) {
+      ws.send(`42${JSON.stringify([event, data])}`);
+    },
+
+    // Emit with an acknowledgement callback; resolves with the ack's argument
+    emitWithAck(event, data) {
+      const ack = nextAck++;
+      ws.send(`42${ack}${JSON.stringify([event, data])}`);
+      return new Promise(resolve => acks.set(ack, resolve));
+    },
+
+    // Resolve with the data of the next event matching `predicate`
+    waitFor(predicate, timeout = 5000) {
+      return pollUntil(() => socket.events.find(([event, data]) => predicate(event, data))?.[1], { timeout, interval: 10 });
+    },
+
+    close() {
+      ws.close();
+    }
+  };
+
+  return new Promise((resolve, reject) => {
+    ws.on('message', (raw) => {
+      const packet = raw.toString();
+      if (packet === '2') return ws.send('3');
+      if (packet.startsWith('0')) return ws.send(auth ? `40${JSON.stringify(auth)}` : '40');
+      if (packet.startsWith('40')) return resolve(socket);
+      if (packet.startsWith('44')) {
+        ws.close();
+        return reject(new Error(JSON.parse(packet.slice(2)).message));
+      }
+      const event = packet.match(/^42(\[.*)$/s);
+      if (event) return socket.events.push(JSON.parse(event[1]));
+      const ack = packet.match(/^43(\d+)(\[.*)$/s);
+      if (ack) acks.get(Number(ack[1]))?.(JSON.parse(ack[2])[0]);
+    });
+    ws.once('error', reject);
+  });
+}
@@ -0,0 +1,153 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createIndexJobManager } from '../index-jobs.js';
+import { pollUntil } from './helpers.js';
+
+// Resolve once a job has left the running state
+function finished(jobs, jobId) {
+  return pollUntil(() => jobs.get(jobId).status !== 'running' && jobs.get(jobId));
+}
+
+describe('index-jobs.js', () => {
+  it('returns a running job immediately and records the result', async () => {
+    const jobs = createIndexJobManager();
+    const job = jobs.start({ target: 'acme/widgets', branch: 'main' }, async () => ({ filesIndexed: 3 }));
+    assert.equal(job.status, 'running');
+    assert.ok(job.jobId);
+
+    const done = await finished(jobs, job.jobId);
+    assert.equal(done.status, 'completed');
+    assert.deepEqual(done.result, { filesIndexed: 3 });
+    assert.ok(done.finishedAt);
+  });
+
+  it('records failures with their code', async () => {
+    const jobs = createIndexJobManager();
+    const job = jobs.start({ target: 'acme/widgets' }, async () => {
+      throw Object.assign(new Error('backend down'), { code: 'unavailable' });
+    });
+    const done = await finished(jobs, job.jobId);
+    assert.equal(done.status, 'failed');
+    assert.deepEqual(done.error, { message: 'backend down', code: 'unavailable' });
+  });
+
+  it('forwards only increasing progress and finishes at the total', async () => {
+    const jobs = createIndexJobManager();
+    const updates = [];
+    const job = jobs.start({ target: 'acme/widgets' }, async ({ reportProgress }) => {
+      reportProgress(0, undefined, 'Cloning');
+      reportProgress(0, 10, 'Indexing a.js');
+      reportProgress(5, 10, 'Indexing f.js');
+    }, { onProgress: update => updates.push(update) });
+    await finished(jobs, job.jobId);
+    assert.deepEqual(updates.map(update => update.progress), [0, 5, 10]);
+    assert.equal(updates.at(-1).total, 10);
+  });
+
+  it('waits for a job to finish, or until the wait is aborted', async () => {
+    const jobs = createIndexJobManager();
+    let release;
+    const job = jobs.start({ target: 'acme/widgets' }, () => new Promise(resolve => { release = resolve; }));
+    const controller = new AbortController();
+    const aborted = jobs.wait(job.jobId, { signal: controller.signal });
+    const waited = jobs.wait(job.jobId);
+    controller.abort();
+    assert.equal((await aborted).status, 'running');
+
+    await pollUntil(() => release);
+    release({ filesIndexed: 1 });
+    assert.equal((await waited).status, 'completed');
+    assert.equal((await jobs.wait(job.jobId)).status, 'completed');
+    assert.equal(await jobs.wait('missing'), undefined);
+  });
+
+  it('aborts the job signal on cancel', async () => {
+    const jobs = createIndexJobManager();
+    let signal;
+    const job = jobs.start({ target: 'acme/widgets' }, (run) => {
+      signal = run.signal;
+      return new Promise((resolve, reject) => run.signal.addEventListener('abort', () => reject(new Error('aborted'))));
+    });
+    await pollUntil(() => signal);
+    assert.equal(jobs.cancel(job.jobId).status, 'cancelled');
+    assert.equal(signal.aborted, true);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(jobs.get(job.jobId).status, 'cancelled');
+    assert.equal(jobs.cancel('missing'), undefined);
+  });
+
+  it('joins the running job for the same target and branch', async () => {
+    const jobs = createIndexJobManager();
+    let release;
+    let runs = 0;
+    const first = [];
+    const second = [];
+    const run = async ({ reportProgress }) => {
+      runs++;
+      await new Promise(resolve => { release = resolve; });
+      reportProgress(1, 1, 'Done');
+      return { filesIndexed: 1 };
+    };
+    const job = jobs.start({ target: 'acme/widgets', branch: 'main' }, run, { onProgress: p => first.push(p.message) });
+    const joined = jobs.start({ target: 'acme/widgets', branch: 'main' }, run, { onProgress: p => second.push(p.message) });
+    const other = jobs.start({ target: 'acme/widgets', branch: 'dev' }, async () => 1);
+    assert.equal(joined.jobId, job.jobId);
+    assert.equal(joined.joined, true);
+    assert.equal(job.joined, undefined);
+    assert.notEqual(other.jobId, job.jobId);
+
+    await pollUntil(() => release);
+    release();
+    assert.equal((await jobs.wait(job.jobId)).status, 'completed');
+    assert.equal(runs, 1);
+    assert.deepEqual(first, ['Done']);
+    assert.deepEqual(second, ['Done']);
+
+    const again = jobs.start({ target: 'acme/widgets', branch: 'main' }, async () => 2);
+    assert.notEqual(again.jobId, job.jobId);
+  });
+
+  it('keeps only the newest finished jobs', async () => {
+    const jobs = createIndexJobManager({ maxFinishedJobs: 2 });
+    const ids = [];
+    for (let i = 0; i < 3; i++) {
+      const job = jobs.start({ target: `repo-${i}` }, async () => i);
+      ids.push(job.jobId);
+      await finished(jobs, job.jobId);
+    }
+    assert.equal(jobs.get(ids[0]), undefined);
+    assert.deepEqual(jobs.list().map(job => job.target), ['repo-2', 'repo-1']);
+  });
+
+  it('tells subscribers about every job until they unsubscribe', async () => {
+    const jobs = createIndexJobManager();
+    const events = [];
+    const unsubscribe = jobs.subscribe(({ type, job }) => events.push([type, job.target, job.status]));
+
+    const ok = jobs.start({ target: 'acme/widgets' }, async ({ reportProgress }) => reportProgress(1, 2, 'Half'));
+    await finished(jobs, ok.jobId);
+    const failing = jobs.start({ target: 'acme/broken' }, async () => {
+      throw new Error('nope');
+    });
+    await finished(jobs, failing.jobId);
+    const slow = jobs.start({ target: 'acme/slow' }, ({ signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new Error('aborted')));
+    }));
+    jobs.cancel(slow.jobId);
+
+    assert.deepEqual(events, [
+      ['started', 'acme/widgets', 'running'],
+      ['progress', 'acme/widgets', 'running'],
+      ['progress', 'acme/widgets', 'running'],
+      ['completed', 'acme/widgets', 'completed'],
+      ['started', 'acme/broken', 'running'],
+      ['failed', 'acme/broken', 'failed'],
+      ['started', 'acme/slow', 'running'],
+      ['cancelled', 'acme/slow', 'cancelled']
+    ]);
+
+    unsubscribe();
+    await finished(jobs, jobs.start({ target: 'acme/quiet' }, async () => 1).jobId);
+    assert.equal(events.length, 8);
+  });
+});
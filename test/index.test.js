@@ -0,0 +1,267 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMockGoServer } from '../mock-go-server.js';
+import { spawnEntrypoint, stopChild, RawRpcClient, parseToolResult, pollUntil, assertSessionFollowUp } from './helpers.js';
+
+describe('index.js (hand-rolled stdio server)', () => {
+  let mock;
+  let child;
+  let rpc;
+  let sessionDir;
+  let nextId = 1;
+
+  before(async () => {
+    mock = createMockGoServer();
+    const goServerUrl = await mock.listen();
+    sessionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'index-sessions-'));
+    child = spawnEntrypoint('index.js', { GO_SERVER_URL: goServerUrl, GO_RETRY_BASE_MS: '10', CHAT_SESSION_DIR: sessionDir });
+    rpc = new RawRpcClient(child);
+  });
+
+  after(async () => {
+    await stopChild(child);
+    await mock?.close();
+    await fs.rm(sessionDir, { recursive: true, force: true });
+  });
+
+  describe('MCP lifecycle', () => {
+    it('negotiates a supported protocol version', async () => {
+      const response = await rpc.request(nextId++, 'initialize', {
+        protocolVersion: '2024-11-05',
+        capabilities: {},
+        clientInfo: { name: 'test', version: '1.0.0' }
+      });
+      assert.equal(response.result.protocolVersion, '2024-11-05');
+      assert.ok(response.result.capabilities.tools);
+      assert.equal(response.result.serverInfo.name, 'MCP Agent Chat');
+      rpc.send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+    });
+
+    it('offers its latest version for an unknown one', async () => {
+      const response = await rpc.request(nextId++, 'initialize', { protocolVersion: '1999-01-01' });
+      assert.equal(response.result.protocolVersion, '2025-03-26');
+    });
+
+    it('answers ping', async () => {
+      const response = await rpc.request(nextId++, 'ping');
+      assert.deepEqual(response.result, {});
+    });
+
+    it('lists tools with input schemas', async () => {
+      const response = await rpc.request(nextId++, 'tools/list');
+      const names = response.result.tools.map(tool => tool.name);
+      assert.deepEqual(names.sort(), ['cancelIndex', 'chat', 'clearSession', 'indexRepository', 'indexStatus', 'listSessions', 'vectorSearch']);
+      assert.equal(response.result.tools[0].inputSchema.type, 'object');
+    });
+
+    it('returns -32601 for unknown methods', async () => {
+      const response = await rpc.request(nextId++, 'resources/unknown');
+      assert.equal(response.error.code, -32601);
+    });
+  });
+
+  describe('resources', () => {
+    it('lists the repo:// template and answers unknown files with -32002', async () => {
+      const templates = await rpc.request(nextId++, 'resources/templates/list');
+      assert.equal(templates.result.resourceTemplates[0].uriTemplate, 'repo://{repository}/{+path}');
+      const list = await rpc.request(nextId++, 'resources/list');
+      assert.deepEqual(list.result.resources, []);
+      const missing = await rpc.request(nextId++, 'resources/read', { uri: 'repo://acme%2Fwidgets/main.go' });
+      assert.equal(missing.error.code, -32002);
+    });
+
+    it('notifies subscribed resources when their repository is reindexed', async () => {
+      const uri = 'repo://acme%2Fsubscribed/main.go';
+      assert.deepEqual((await rpc.request(nextId++, 'resources/subscribe', { uri })).result, {});
+      const invalid = await rpc.request(nextId++, 'resources/subscribe', { uri: 'https://example.com' });
+      assert.equal(invalid.error.code, -32602);
+
+      await rpc.request(nextId++, 'tools/call', {
+        name: 'indexRepository',
+        arguments: { repoUrl: 'https://github.com/acme/subscribed' }
+      });
+      const updated = await rpc.waitFor(message => message.method === 'notifications/resources/updated');
+      assert.equal(updated.params.uri, uri);
+      await rpc.request(nextId++, 'resources/unsubscribe', { uri });
+    });
+  });
+
+  describe('tools/call', () => {
+    it('returns backend data as content', async () => {
+      const response = await rpc.request(nextId++, 'tools/call', {
+        name: 'vectorSearch',
+        arguments: { query: 'startServer', repository: 'example/repo' }
+      });
+      const data = parseToolResult(response.result);
+      assert.equal(data.data[0].file, 'src/server.js');
+    });
+
+    it('rejects unknown tools and invalid arguments with -32602', async () => {
+      const unknown = await rpc.request(nextId++, 'tools/call', { name: 'nope', arguments: {} });
+      assert.equal(unknown.error.code, -32602);
+      const invalid = await rpc.request(nextId++, 'tools/call', { name: 'vectorSearch', arguments: { query: 1 } });
+      assert.equal(invalid.error.code, -32602);
+    });
+
+    it('marks backend failures with isError', async () => {
+      mock.setFault('/vector-search', { status: 400 });
+      try {
+        const response = await rpc.request(nextId++, 'tools/call', {
+          name: 'vectorSearch',
+          arguments: { query: 'startServer', repository: 'example/repo', noCache: true }
+        });
+        assert.equal(response.result.isError, true);
+      } finally {
+        mock.setFault('/vector-search', null);
+      }
+    });
+
+    it('carries a chat session over to the follow-up turn', async () => {
+      await assertSessionFollowUp(async (args) => {
+        const response = await rpc.request(nextId++, 'tools/call', { name: 'chat', arguments: args });
+        return parseToolResult(response.result);
+      }, mock);
+    });
+
+    it('runs indexRepository as a job with progress notifications before the reply', async () => {
+      const id = nextId++;
+      const pending = rpc.request(id, 'tools/call', {
+        name: 'indexRepository',
+        arguments: { repoUrl: 'https://github.com/acme/widgets' },
+        _meta: { progressToken: 'index-1' }
+      });
+      const done = await rpc.waitFor(message => message.method === 'notifications/progress' &&
+        message.params.progressToken === 'index-1' && message.params.message === 'Indexing completed');
+      assert.equal(done.params.progress, done.params.total);
+
+      const response = await pending;
+      const { jobId } = parseToolResult(response.result);
+      assert.equal(parseToolResult(response.result).status, 'completed');
+
+      const status = await rpc.request(nextId++, 'tools/call', { name: 'indexStatus', arguments: { jobId } });
+      assert.equal(parseToolResult(status.result).status, 'completed');
+    });
+
+    it('cancels a running index job', async () => {
+      mock.setFault('/index-repository', { latency: 500 });
+      try {
+        const response = await rpc.request(nextId++, 'tools/call', {
+          name: 'indexRepository',
+          arguments: { repoUrl: 'https://github.com/acme/slow' }
+        });
+        const { jobId } = parseToolResult(response.result);
+        const cancelled = await rpc.request(nextId++, 'tools/call', { name: 'cancelIndex', arguments: { jobId } });
+        assert.equal(parseToolResult(cancelled.result).status, 'cancelled');
+
+        const unknown = await rpc.request(nextId++, 'tools/call', { name: 'cancelIndex', arguments: { jobId: 'missing' } });
+        assert.equal(unknown.error.code, -32602);
+      } finally {
+        mock.setFault('/index-repository', null);
+      }
+    });
+  });
+
+  describe('legacy methods', () => {
+    it('keeps getServerInfo and listOfferings', async () => {
+      const info = await rpc.request(nextId++, 'getServerInfo');
+      assert.equal(info.result.serverInfo.name, 'MCP Agent Chat');
+      const offerings = await rpc.request(nextId++, 'listOfferings');
+      assert.ok(offerings.result.tools.some(tool => tool.id === 'vectorSearch'));
+    });
+
+    it('answers invoke* aliases with raw backend data', async () => {
+      const response = await rpc.request(nextId++, 'invokeVectorSearch', {
+        query: 'startServer',
+        repository: 'example/repo'
+      });
+      assert.equal(response.result.success, true);
+    });
+
+    it('accepts the parameter shapes the legacy methods took before the registry', async () => {
+      for (const method of ['chat', 'invokeChat']) {
+        const chat = await rpc.request(nextId++, method, {
+          message: 'how does the server start',
+          repository: 'example/repo',
+          context: ['main.go', 'server.go']
+        });
+        assert.equal(chat.error, undefined, method);
+        assert.equal(chat.result.repository, 'example/repo');
+      }
+
+      for (const method of ['vectorSearch', 'invokeVectorSearch']) {
+        const search = await rpc.request(nextId++, method, { query: 'startServer', repository: 'example/repo', limit: 2 });
+        assert.equal(search.result.success, true, method);
+      }
+
+      for (const method of ['indexRepository', 'invokeIndexRepository']) {
+        const repository = `https://github.com/acme/${method}`;
+        const index = await rpc.request(nextId++, method, { repository, branch: 'develop' });
+        assert.equal(index.error, undefined, method);
+        assert.equal(index.result.target, repository);
+        assert.equal(index.result.branch, 'develop');
+        await pollUntil(() => mock.state.requests.some(request =>
+          request.path === '/index-repository' && request.body.repoUrl === repository && request.body.branch === 'develop'));
+      }
+    });
+  });
+
+  describe('framing', () => {
+    it('reassembles a message split across chunks', async () => {
+      const id = nextId++;
+      const message = JSON.stringify({ jsonrpc: '2.0', id, method: 'ping' });
+      const pending = rpc.waitFor(response => response.id === id);
+      rpc.write(message.slice(0, 10));
+      await new Promise(resolve => setTimeout(resolve, 50));
+      rpc.write(message.slice(10) + '\n');
+      assert.deepEqual((await pending).result, {});
+    });
+
+    it('reports a parse error and keeps processing later lines', async () => {
+      const id = nextId++;
+      const parseError = rpc.waitFor(response => response.error?.code === -32700);
+      const pong = rpc.waitFor(response => response.id === id);
+      rpc.write(`{not json}\n${JSON.stringify({ jsonrpc: '2.0', id, method: 'ping' })}\n`);
+      assert.equal((await parseError).id, null);
+      assert.deepEqual((await pong).result, {});
+    });
+
+    it('answers a batch with an array, skipping notifications', async () => {
+      const first = nextId++;
+      const second = nextId++;
+      const pending = rpc.waitFor(Array.isArray);
+      rpc.send([
+        { jsonrpc: '2.0', id: first, method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: second, method: 'missing' }
+      ]);
+      const responses = await pending;
+      assert.equal(responses.length, 2);
+      assert.deepEqual(responses.find(response => response.id === first).result, {});
+      assert.equal(responses.find(response => response.id === second).error.code, -32601);
+    });
+
+    it('aborts a request on notifications/cancelled and sends no response', async () => {
+      mock.setFault('/vector-search', { latency: 500 });
+      try {
+        const id = nextId++;
+        rpc.send({
+          jsonrpc: '2.0',
+          id,
+          method: 'tools/call',
+          params: { name: 'vectorSearch', arguments: { query: 'slow', repository: 'example/repo' } }
+        });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        rpc.send({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: id } });
+
+        await new Promise(resolve => setTimeout(resolve, 700));
+        await rpc.request(nextId++, 'ping');
+        assert.equal(rpc.messages.some(message => message.id === id), false);
+      } finally {
+        mock.setFault('/vector-search', null);
+      }
+    });
+  });
+});
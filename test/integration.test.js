@@ -0,0 +1,448 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createMockGoServer } from '../mock-go-server.js';
+import WebSocket from 'ws';
+import { ROOT, OFFLINE_GIT_ENV, getFreePort, waitForHttp, parseToolResult, pollUntil, connectSocketIo, spawnEntrypoint, stopChild, assertSessionFollowUp } from './helpers.js';
+
+const TOKEN = 'test-token-12345';
+const DASHBOARD_KEY = 'dashboard-key-67890';
+const AUTH_HEADERS = { Authorization: `Bearer ${TOKEN}` };
+
+describe('integration.js', () => {
+  let mock;
+  let client;
+  let baseUrl;
+  let sessionDir;
+
+  before(async () => {
+    mock = createMockGoServer();
+    const goServerUrl = await mock.listen();
+    const port = await getFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    sessionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'integration-sessions-'));
+
+    // One process serves both the stdio MCP transport and the HTTP routes
+    const transport = new StdioClientTransport({
+      command: process.execPath,
+      args: ['integration.js'],
+      cwd: ROOT,
+      env: {
+        ...process.env,
+        ...OFFLINE_GIT_ENV,
+        PORT: String(port),
+        GO_SERVER_URL: goServerUrl,
+        MCP_SECRET_TOKEN: TOKEN,
+        MCP_API_KEYS: `dashboard:${DASHBOARD_KEY}`,
+        LOCAL_INDEX_ROOTS: os.tmpdir(),
+        CHAT_SESSION_DIR: sessionDir,
+        GO_RETRY_BASE_MS: '10'
+      },
+      stderr: 'pipe'
+    });
+    client = new Client({ name: 'integration-test', version: '1.0.0' });
+    await client.connect(transport);
+    await waitForHttp(baseUrl);
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+    await fs.rm(sessionDir, { recursive: true, force: true });
+  });
+
+  describe('stdio MCP', () => {
+    it('completes the handshake and lists the registry tools', async () => {
+      assert.equal(client.getServerVersion().name, 'agent-chat-mcp');
+      const { tools } = await client.listTools();
+      assert.deepEqual(tools.map(tool => tool.name).sort(), ['cancelIndex', 'chat', 'clearSession', 'indexRepository', 'indexStatus', 'listSessions', 'vectorSearch']);
+    });
+
+    it('proxies vectorSearch to the backend', async () => {
+      const result = await client.callTool({
+        name: 'vectorSearch',
+        arguments: { query: 'startServer port', repository: 'example/repo' }
+      });
+      assert.equal(result.isError, undefined);
+      const data = parseToolResult(result);
+      assert.equal(data.success, true);
+      assert.equal(data.data[0].file, 'src/server.js');
+    });
+
+    it('answers chat with code context from the backend', async () => {
+      const result = await client.callTool({
+        name: 'chat',
+        arguments: { message: 'how does vectorSearch embed the query', repository: 'example/repo' }
+      });
+      const data = parseToolResult(result);
+      assert.ok(data.codeContext.length > 0);
+      assert.equal(data.repository, 'example/repo');
+    });
+
+    // Start an index job and poll indexStatus until it finishes
+    it('carries a chat session over to the follow-up turn', async () => {
+      await assertSessionFollowUp(async args => parseToolResult(await client.callTool({ name: 'chat', arguments: args })), mock);
+    });
+
+    async function indexAndWait(repoUrl) {
+      const started = parseToolResult(await client.callTool({ name: 'indexRepository', arguments: { repoUrl } }));
+      assert.equal(started.status, 'running');
+      return pollUntil(async () => {
+        const job = parseToolResult(await client.callTool({ name: 'indexStatus', arguments: { jobId: started.jobId } }));
+        return job.status !== 'running' && job;
+      });
+    }
+
+    it('indexes a repository in a background job', async () => {
+      const job = await indexAndWait('https://github.com/acme/widgets');
+      assert.equal(job.status, 'completed');
+      assert.equal(job.result.data.repository, 'acme/widgets');
+    });
+
+    it('reports index progress to SDK clients that ask for it, replying when the job finishes', async () => {
+      const progress = [];
+      const errors = [];
+      client.onerror = error => errors.push(error);
+      try {
+        const result = await client.callTool(
+          { name: 'indexRepository', arguments: { repoUrl: 'https://github.com/acme/progress' } },
+          undefined,
+          { onprogress: update => progress.push(update), resetTimeoutOnProgress: true }
+        );
+        const job = parseToolResult(result);
+        assert.equal(job.status, 'completed');
+        assert.equal(job.progress.message, 'Indexing completed');
+        // The SDK client drops notifications read in the same chunk as the
+        // reply and reports them as errors, so only what got through is checked
+        for (const [i, update] of progress.entries()) {
+          assert.ok(update.progress >= (progress[i - 1]?.progress ?? 0));
+        }
+        assert.deepEqual(errors.filter(error => !/progress notification for an unknown token/.test(error.message)), []);
+      } finally {
+        client.onerror = undefined;
+      }
+    });
+
+    it('exposes an indexed directory as repo:// resources', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'integration-resources-'));
+      try {
+        await fs.mkdir(path.join(dir, 'src'));
+        await fs.writeFile(path.join(dir, 'src/limiter.go'), 'func Allow(key string) bool {\n\treturn buckets[key].take()\n}\n');
+        await fs.writeFile(path.join(dir, 'README.md'), '# Limiter\n');
+        const started = parseToolResult(await client.callTool({ name: 'indexRepository', arguments: { path: dir } }));
+        await pollUntil(async () => {
+          const job = parseToolResult(await client.callTool({ name: 'indexStatus', arguments: { jobId: started.jobId } }));
+          return job.status === 'completed';
+        });
+
+        const { resourceTemplates } = await client.listResourceTemplates();
+        assert.equal(resourceTemplates[0].uriTemplate, 'repo://{repository}/{+path}');
+        const { resources } = await client.listResources();
+        const goFile = resources.find(resource => resource.name === `${dir}/src/limiter.go`);
+        assert.equal(goFile.mimeType, 'text/x-go');
+
+        const { contents } = await client.readResource({ uri: goFile.uri });
+        assert.equal(contents[0].mimeType, 'text/x-go');
+        assert.match(contents[0].text, /func Allow/);
+
+        const search = parseToolResult(await client.callTool({ name: 'vectorSearch', arguments: { query: 'Allow', repository: dir } }));
+        assert.equal(search.data[0].uri, goFile.uri);
+
+        await assert.rejects(client.readResource({ uri: goFile.uri.replace('limiter.go', 'missing.go') }), { code: -32002 });
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('serves prompts grounded in search results', async () => {
+      const { prompts } = await client.listPrompts();
+      assert.ok(prompts.some(prompt => prompt.name === 'find-similar-implementations'));
+      const { messages } = await client.getPrompt({
+        name: 'find-similar-implementations',
+        arguments: { repository: 'example/repo', query: 'start the server on a port' }
+      });
+      assert.equal(messages[0].content.type, 'text');
+      const snippet = messages.find(message => message.content.resource?.uri === 'repo://example%2Frepo/src/server.js');
+      assert.equal(snippet.content.type, 'resource');
+      assert.equal(snippet.content.resource.mimeType, 'text/javascript');
+    });
+
+    it('records backend failures on the index job', async () => {
+      mock.setFault('/index-repository', { status: 500 });
+      try {
+        const job = await indexAndWait('https://github.com/acme/widgets');
+        assert.equal(job.status, 'failed');
+        assert.equal(job.error.code, 'http_error');
+      } finally {
+        mock.setFault('/index-repository', null);
+      }
+    });
+
+    it('reports backend failures as tool errors', async () => {
+      mock.setFault('/vector-search', { status: 400 });
+      try {
+        const result = await client.callTool({
+          name: 'vectorSearch',
+          arguments: { query: 'startServer', repository: 'example/repo', noCache: true }
+        });
+        assert.equal(result.isError, true);
+        assert.equal(parseToolResult(result).code, 'http_error');
+      } finally {
+        mock.setFault('/vector-search', null);
+      }
+    });
+  });
+
+  describe('index events', () => {
+    it('broadcasts index events to a repository room whichever transport started the job', async () => {
+      const socket = await connectSocketIo(baseUrl, { token: TOKEN });
+      const outsider = await connectSocketIo(baseUrl, { token: DASHBOARD_KEY });
+      try {
+        assert.deepEqual(await socket.emitWithAck('subscribe', { repository: 'https://github.com/acme/rooms' }), {
+          repository: 'acme/rooms',
+          room: 'repo:acme/rooms'
+        });
+        await outsider.emitWithAck('subscribe', { repository: 'acme/elsewhere' });
+
+        // Over MCP stdio, POST /mcp and the socket itself
+        const viaStdio = parseToolResult(await client.callTool({
+          name: 'indexRepository',
+          arguments: { repoUrl: 'https://github.com/acme/rooms' }
+        }));
+        const viaHttp = await (await fetch(`${baseUrl}/mcp`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+          body: JSON.stringify({ tool: 'indexRepository', params: { repoUrl: 'https://github.com/acme/rooms' } })
+        })).json();
+        const { result: viaSocket } = await socket.emitWithAck('indexRepository', { repoUrl: 'https://github.com/acme/rooms' });
+
+        for (const { jobId } of [viaStdio, viaHttp, viaSocket]) {
+          const started = await socket.waitFor((event, data) => event === 'index:started' && data.jobId === jobId);
+          assert.equal(started.repository, 'acme/rooms');
+          const completed = await socket.waitFor((event, data) => event === 'index:completed' && data.jobId === jobId);
+          assert.equal(completed.status, 'completed');
+        }
+        assert.ok(socket.events.some(([event]) => event === 'index:progress'));
+        assert.equal(outsider.events.filter(([event]) => event.startsWith('index:')).length, 0);
+      } finally {
+        socket.close();
+        outsider.close();
+      }
+    });
+
+    it('reports failed jobs to the room', async () => {
+      const socket = await connectSocketIo(baseUrl, { token: TOKEN });
+      mock.setFault('/index-repository', { status: 500 });
+      try {
+        await socket.emitWithAck('subscribe', { repository: 'acme/failing' });
+        const { result } = await socket.emitWithAck('indexRepository', { repoUrl: 'https://github.com/acme/failing' });
+        const failed = await socket.waitFor((event, data) => event === 'index:failed' && data.jobId === result.jobId);
+        assert.equal(failed.error.code, 'http_error');
+      } finally {
+        mock.setFault('/index-repository', null);
+        socket.close();
+      }
+    });
+
+    it('notifies MCP sessions subscribed to a resource when its repository is reindexed', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'integration-subscribe-'));
+      const updates = [];
+      client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => updates.push(notification.params.uri));
+      try {
+        await fs.writeFile(path.join(dir, 'main.go'), 'package main\n\nfunc main() {}\n');
+        const index = async () => {
+          const started = parseToolResult(await client.callTool({ name: 'indexRepository', arguments: { path: dir } }));
+          await pollUntil(async () => parseToolResult(await client.callTool({ name: 'indexStatus', arguments: { jobId: started.jobId } })).status === 'completed');
+        };
+        await index();
+
+        assert.equal(client.getServerCapabilities().resources.subscribe, true);
+        const { resources } = await client.listResources();
+        const uri = resources.find(resource => resource.name === `${dir}/main.go`).uri;
+        await client.subscribeResource({ uri });
+
+        await fs.writeFile(path.join(dir, 'main.go'), 'package main\n\nfunc main() { run() }\n');
+        await index();
+        await pollUntil(() => updates.includes(uri));
+
+        await client.unsubscribeResource({ uri });
+        await index();
+        assert.equal(updates.filter(update => update === uri).length, 1);
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('HTTP routes', () => {
+    it('GET / reports service status', async () => {
+      const response = await fetch(`${baseUrl}/`);
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.status, 'ok');
+    });
+
+    it('GET /test reaches the Go server', async () => {
+      const body = await (await fetch(`${baseUrl}/test`, { headers: AUTH_HEADERS })).json();
+      assert.equal(body.mcp_server, 'running');
+      assert.equal(body.go_server, 'connected');
+      assert.equal(body.config.hasToken, true);
+      assert.deepEqual(body.config.apiKeys, ['dashboard', 'default']);
+    });
+
+    it('GET /keep-alive responds', async () => {
+      const body = await (await fetch(`${baseUrl}/keep-alive`)).json();
+      assert.equal(body.alive, true);
+    });
+
+    it('POST /mcp rejects requests without the bearer token', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ tool: 'vectorSearch', params: { query: 'test', repository: 'example/repo' } })
+      });
+      assert.equal(response.status, 401);
+    });
+
+    it('POST /mcp runs a tool with any named key, as a bearer token or X-API-Key', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-API-Key': DASHBOARD_KEY },
+        body: JSON.stringify({ tool: 'vectorSearch', params: { query: 'startServer', repository: 'example/repo' } })
+      });
+      assert.equal(response.status, 200);
+    });
+
+    it('POST /mcp runs a tool with the bearer token', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+        body: JSON.stringify({ tool: 'vectorSearch', params: { query: 'startServer', repository: 'example/repo' } })
+      });
+      const body = await response.json();
+      assert.equal(response.status, 200);
+      assert.equal(body.data[0].file, 'src/server.js');
+    });
+
+    it('POST /mcp refuses to index directories outside the allowed roots', async () => {
+      for (const dir of ['/', path.join(os.homedir(), '.ssh')]) {
+        const response = await fetch(`${baseUrl}/mcp`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+          body: JSON.stringify({ tool: 'indexRepository', params: { path: dir } })
+        });
+        assert.equal(response.status, 400);
+        assert.match((await response.json()).message, /outside the allowed index roots/);
+      }
+    });
+
+    it('POST /mcp rejects invalid tool params', async () => {
+      const response = await fetch(`${baseUrl}/mcp`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${TOKEN}` },
+        body: JSON.stringify({ tool: 'indexRepository', params: {} })
+      });
+      assert.equal(response.status, 400);
+    });
+
+    it('serves the legacy HTTP+SSE transport', async () => {
+      const sseClient = new Client({ name: 'sse-test', version: '1.0.0' });
+      await sseClient.connect(new SSEClientTransport(new URL(`${baseUrl}/sse`), { requestInit: { headers: AUTH_HEADERS } }));
+      try {
+        const { tools } = await sseClient.listTools();
+        assert.ok(tools.some(tool => tool.name === 'vectorSearch'));
+      } finally {
+        await sseClient.close();
+      }
+    });
+
+    it('requires an API key on every route but the health checks', async () => {
+      for (const [method, route] of [['GET', '/test'], ['GET', '/sse'], ['POST', '/messages'], ['POST', '/rpc'], ['POST', '/offerings'], ['POST', '/mcp-registration']]) {
+        const response = await fetch(`${baseUrl}${route}`, { method, headers: { Authorization: 'Bearer undefined' } });
+        assert.equal(response.status, 401, `${method} ${route}`);
+        assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+      }
+      const rpc = await fetch(`${baseUrl}/rpc`, {
+        method: 'POST',
+        headers: { ...AUTH_HEADERS, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getServerInfo' })
+      });
+      assert.equal(rpc.status, 200);
+    });
+  });
+
+  describe('socket authentication', () => {
+    it('refuses WebSocket upgrades without a valid key', async () => {
+      const wsUrl = baseUrl.replace('http', 'ws');
+      const status = await new Promise((resolve, reject) => {
+        const ws = new WebSocket(wsUrl, { headers: { Authorization: 'Bearer wrong' } });
+        ws.once('unexpected-response', (req, res) => resolve(res.statusCode));
+        ws.once('open', () => reject(new Error('connection was accepted')));
+      });
+      assert.equal(status, 401);
+
+      const ws = new WebSocket(wsUrl, { headers: AUTH_HEADERS });
+      await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+      });
+      ws.close();
+    });
+
+    it('refuses Socket.IO connections without a valid key', async () => {
+      await assert.rejects(connectSocketIo(baseUrl), /Unauthorized/);
+      await assert.rejects(connectSocketIo(baseUrl, { token: 'wrong' }), /Unauthorized/);
+      const socket = await connectSocketIo(baseUrl, { token: DASHBOARD_KEY });
+      socket.close();
+    });
+  });
+});
+
+describe('integration.js without API keys', () => {
+  const unconfigured = { MCP_SECRET_TOKEN: '', MCP_API_KEYS: '', MCP_INSECURE: '' };
+
+  it('serves stdio but not HTTP', async () => {
+    const port = await getFreePort();
+    const transport = new StdioClientTransport({
+      command: process.execPath,
+      args: ['integration.js'],
+      cwd: ROOT,
+      env: { ...process.env, ...unconfigured, PORT: String(port) },
+      stderr: 'pipe'
+    });
+    let stderr = '';
+    transport.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+    const keyless = new Client({ name: 'keyless-test', version: '1.0.0' });
+    await keyless.connect(transport);
+    try {
+      assert.equal(keyless.getServerVersion().name, 'agent-chat-mcp');
+      assert.ok((await keyless.listTools()).tools.length > 0);
+      assert.match(stderr, /no API key is configured.*Serving stdio only/);
+      await assert.rejects(fetch(`http://127.0.0.1:${port}/`));
+    } finally {
+      await keyless.close();
+    }
+  });
+
+  it('starts open in insecure mode', async () => {
+    const port = await getFreePort();
+    const child = spawnEntrypoint('integration.js', { ...unconfigured, MCP_INSECURE: 'true', PORT: String(port) });
+    try {
+      await waitForHttp(`http://127.0.0.1:${port}/`);
+      // Reaches the route: no session rather than no key
+      const response = await fetch(`http://127.0.0.1:${port}/messages?sessionId=none`, { method: 'POST' });
+      assert.equal(response.status, 404);
+      assert.match(child.output, /without authentication/);
+    } finally {
+      await stopChild(child);
+    }
+  });
+});
@@ -0,0 +1,126 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createLlmProvider, fitToBudget, synthesizeAnswer } from '../llm-provider.js';
+import { createLocalSearchEngine } from '../local-search.js';
+import { callTool } from '../tool-registry.js';
+
+describe('llm-provider.js', () => {
+  // OpenAI-compatible endpoint recording requests; `reply` decides the answer
+  let server;
+  let baseUrl;
+  let requests = [];
+  let reply = () => ({ status: 200, body: { choices: [{ message: { content: 'Answer' } }] } });
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.post('/v1/chat/completions', (req, res) => {
+      requests.push({ headers: req.headers, body: req.body });
+      const { status, body } = reply(req.body);
+      if (typeof body === 'string') {
+        res.status(status).type('text/event-stream').send(body);
+      } else {
+        res.status(status).json(body);
+      }
+    });
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  function localContext() {
+    const localSearch = createLocalSearchEngine();
+    localSearch.addDocument('acme/api', 'src/limiter.go', 'func AllowRequest(key string) bool {\n\treturn buckets[key].take()\n}');
+    return { localSearch, searchMode: 'local' };
+  }
+
+  it('trims snippets to the token budget, shrinking the last line range', () => {
+    const snippets = [
+      { file: 'a.js', startLine: 1, endLine: 2, content: 'const a = 1;\nconst b = 2;' },
+      { file: 'b.js', startLine: 10, endLine: 13, content: 'one();\ntwo();\nthree();\nfour();' },
+      { file: 'c.js', content: 'never reached' }
+    ];
+    const fitted = fitToBudget(snippets, 11);
+    assert.deepEqual(fitted.map(snippet => snippet.citation), ['a.js:1-2', 'b.js:10-11']);
+    assert.equal(fitted[1].content, 'one();\ntwo();');
+    assert.equal(fitted[1].truncated, true);
+  });
+
+  it('is disabled unless configured and rejects unknown providers', () => {
+    assert.equal(createLlmProvider({ provider: 'none' }), null);
+    assert.equal(createLlmProvider({ baseUrl: undefined, provider: undefined }), null);
+    assert.throws(() => createLlmProvider({ provider: 'magic' }), /Unknown LLM provider/);
+    assert.throws(() => createLlmProvider({ provider: 'openai', baseUrl: '' }), /LLM_BASE_URL/);
+  });
+
+  it('answers chat with the local provider, citing file and lines', async () => {
+    const ctx = { ...localContext(), llm: createLlmProvider({ provider: 'local' }) };
+    const data = await callTool('chat', { message: 'how are buckets taken', repository: 'acme/api' }, ctx);
+    assert.equal(data.provider, 'local');
+    assert.match(data.message, /\[src\/limiter\.go:1-3\]: .*buckets\[key\]\.take\(\)/);
+    assert.deepEqual(data.citations.map(citation => citation.citation), ['src/limiter.go:1-3']);
+    assert.equal(data.codeContext[0].file, 'src/limiter.go');
+  });
+
+  it('sends the sources to an OpenAI-compatible endpoint and keeps the cited ones', async () => {
+    requests = [];
+    reply = () => ({
+      status: 200,
+      body: { choices: [{ message: { content: 'AllowRequest takes a token from the key\'s bucket [src/limiter.go:1-3].' } }] }
+    });
+    const llm = createLlmProvider({ provider: 'openai', baseUrl, apiKey: 'sk-test', model: 'test-model' });
+    const data = await callTool('chat', { message: 'what does AllowRequest do', repository: 'acme/api' }, { ...localContext(), llm });
+
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].headers.authorization, 'Bearer sk-test');
+    assert.equal(requests[0].body.model, 'test-model');
+    const prompt = requests[0].body.messages.at(-1).content;
+    assert.match(prompt, /\[src\/limiter\.go:1-3\]\n```\nfunc AllowRequest/);
+    assert.match(prompt, /Question: what does AllowRequest do$/);
+
+    assert.equal(data.provider, 'openai');
+    assert.match(data.message, /^AllowRequest takes/);
+    assert.deepEqual(data.citations.map(citation => citation.file), ['src/limiter.go']);
+  });
+
+  it('falls back to the plain reply when the provider fails', async () => {
+    reply = () => ({ status: 500, body: { error: 'overloaded' } });
+    const llm = createLlmProvider({ provider: 'openai', baseUrl });
+    const data = await callTool('chat', { message: 'what does AllowRequest do', repository: 'acme/api' }, { ...localContext(), llm });
+    assert.match(data.message, /^I processed your message/);
+    assert.match(data.answerError, /HTTP 500/);
+    assert.equal(data.codeContext.length, 1);
+  });
+
+  it('streams answer tokens from an OpenAI-compatible endpoint', async () => {
+    requests = [];
+    const chunks = ['Buckets ', 'are taken ', '[a.go:1-1].'];
+    reply = () => ({
+      status: 200,
+      body: chunks.map(text => `data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`).join('') + 'data: [DONE]\n\n'
+    });
+    const llm = createLlmProvider({ provider: 'openai', baseUrl });
+    const tokens = [];
+    const { answer, citations } = await synthesizeAnswer(llm, {
+      question: 'how are buckets taken',
+      snippets: [{ file: 'a.go', startLine: 1, endLine: 1, content: 'func take() {}' }],
+      onToken: text => tokens.push(text)
+    });
+    assert.equal(requests[0].body.stream, true);
+    assert.deepEqual(tokens, chunks);
+    assert.equal(answer, 'Buckets are taken [a.go:1-1].');
+    assert.deepEqual(citations.map(citation => citation.citation), ['a.go:1-1']);
+  });
+
+  it('refuses to answer when no snippet fits the budget', async () => {
+    const llm = createLlmProvider({ provider: 'local', tokenBudget: 1 });
+    await assert.rejects(
+      synthesizeAnswer(llm, { question: 'q', snippets: [{ file: 'a.js', content: 'a fairly long line of code' }] }),
+      /token budget/
+    );
+  });
+});
@@ -0,0 +1,378 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLocalSearchEngine, embed, keywordPattern, repositoryUrl, tokenize } from '../local-search.js';
+import { createGoClient } from '../go-client.js';
+import { createMockGoServer } from '../mock-go-server.js';
+import { callTool } from '../tool-registry.js';
+import { createIndexJobManager } from '../index-jobs.js';
+import { pollUntil } from './helpers.js';
+
+describe('local-search.js', () => {
+  let dir;
+
+  before(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-search-test-'));
+    await fs.mkdir(path.join(dir, 'src'));
+    await fs.mkdir(path.join(dir, 'node_modules'));
+    await fs.writeFile(path.join(dir, 'src/server.js'), 'export function startServer(port) {\n  return app.listen(port);\n}\n');
+    await fs.writeFile(path.join(dir, 'src/auth.go'), 'func ValidateToken(token string) bool {\n\treturn token == secret\n}\n');
+    await fs.writeFile(path.join(dir, 'README.md'), '# Widgets\n\nHow to run the widget server locally.\n');
+    await fs.writeFile(path.join(dir, 'node_modules/dep.js'), 'export function startServer() {}\n');
+  });
+
+  // A working tree with ignore rules, binaries and an oversized file
+  async function makeWorkingTree() {
+    const root = await fs.mkdtemp(path.join(os.tmpdir(), 'local-search-tree-'));
+    await fs.mkdir(path.join(root, 'lib/generated'), { recursive: true });
+    await fs.mkdir(path.join(root, 'logs'));
+    await fs.writeFile(path.join(root, '.gitignore'), 'logs/\n*.secret\n');
+    await fs.writeFile(path.join(root, 'lib/.gitignore'), 'generated/\n');
+    await fs.writeFile(path.join(root, 'lib/parser.js'), 'export function parseConfig(text) {\n  return JSON.parse(text);\n}\n');
+    await fs.writeFile(path.join(root, 'lib/generated/parser.js'), 'export function parseConfig() {}\n');
+    await fs.writeFile(path.join(root, 'logs/run.log'), 'parseConfig failed\n');
+    await fs.writeFile(path.join(root, 'keys.secret'), 'parseConfig key\n');
+    await fs.writeFile(path.join(root, 'data.dat'), Buffer.from([0x70, 0x61, 0x00, 0x01, 0x02]));
+    await fs.writeFile(path.join(root, 'big.txt'), 'filler text\n'.repeat(100));
+    return root;
+  }
+
+  after(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  describe('building blocks', () => {
+    it('splits identifiers on camelCase and snake_case', () => {
+      assert.deepEqual(tokenize('startServer max_retries'), ['startserver', 'start', 'server', 'max_retries', 'max', 'retries']);
+    });
+
+    it('embeds deterministically into a unit vector', () => {
+      const first = embed('validate the token');
+      assert.deepEqual(first, embed('validate the token'));
+      const norm = Math.sqrt(first.reduce((sum, value) => sum + value * value, 0));
+      assert.ok(Math.abs(norm - 1) < 1e-5);
+    });
+
+    it('builds clone URLs only for https:// repositories on allowed hosts', () => {
+      assert.equal(repositoryUrl('acme/widgets'), 'https://github.com/acme/widgets.git');
+      assert.equal(repositoryUrl('https://gitlab.com/acme/widgets', 'gitlab.com'), 'https://gitlab.com/acme/widgets');
+      for (const repoUrl of ['file:///etc', 'ssh://git@github.com/acme/widgets', 'git@github.com:acme/widgets.git', 'http://github.com/acme/widgets', '/etc', '../secret']) {
+        assert.throws(() => repositoryUrl(repoUrl), /https:\/\//, repoUrl);
+      }
+      assert.throws(() => repositoryUrl('https://evil.example/acme/widgets', 'github.com,gitlab.com'), /REPOSITORY_HOSTS/);
+    });
+
+    it('refuses regular expressions that could backtrack for exponential time', () => {
+      for (const query of ['/(a+)+$/', '/(a|a)*b/', '/([a-z]*\\d)+x/', '/((ab)*c)+/', '/(\\w{1,}x?)+/', '/(a)\\1/']) {
+        assert.throws(() => keywordPattern(query), SyntaxError, query);
+      }
+      assert.throws(() => keywordPattern(`/${'a'.repeat(201)}/`), /longer than 200/);
+      for (const query of ['/start\\w+\\(port\\)/', '/(?:get|set)Token/', '/(ab)+c/', '/[(+]+/', '/\\(a+\\)+/', '(a+)+']) {
+        assert.doesNotThrow(() => keywordPattern(query), query);
+      }
+    });
+
+  });
+
+  describe('engine', () => {
+    it('indexes a directory, skipping dependency folders', async () => {
+      const engine = createLocalSearchEngine();
+      const summary = await engine.indexDirectory('acme/widgets', dir);
+      assert.equal(summary.filesIndexed, 3);
+      assert.equal(engine.hasRepository('https://github.com/acme/widgets'), true);
+    });
+
+    it('ranks the chunk that defines the queried identifier first', async () => {
+      const engine = createLocalSearchEngine();
+      await engine.indexDirectory('acme/widgets', dir);
+      const results = engine.search('validate token', { repository: 'acme/widgets' });
+      assert.equal(results[0].file, 'src/auth.go');
+      assert.equal(results[0].symbol, 'ValidateToken');
+      assert.equal(results[0].language, 'go');
+      assert.deepEqual([results[0].startLine, results[0].endLine], [1, 3]);
+      assert.ok(results[0].similarity > 0 && results[0].similarity <= 1);
+    });
+
+    it('finds exact identifiers and regular expressions with keyword search', async () => {
+      const engine = createLocalSearchEngine();
+      await engine.indexDirectory('acme/widgets', dir);
+      const exact = engine.keywordSearch('ValidateToken', { repository: 'acme/widgets' });
+      assert.deepEqual(exact.map(result => result.file), ['src/auth.go']);
+      assert.equal(exact[0].matches, 1);
+
+      const regex = engine.keywordSearch('/start\\w+\\(port\\)/', { repository: 'acme/widgets' });
+      assert.deepEqual(regex.map(result => result.file), ['src/server.js']);
+      assert.throws(() => engine.keywordSearch('/(unclosed/'), SyntaxError);
+    });
+
+    it('applies path, language and similarity filters before ranking', async () => {
+      const engine = createLocalSearchEngine();
+      await engine.indexDirectory('acme/widgets', dir, { git: { branch: 'main' } });
+      const query = 'server token widget';
+      const all = engine.search(query, { repository: 'acme/widgets', limit: 10 });
+      assert.ok(all.length >= 3);
+
+      const onlyGo = engine.search(query, { repository: 'acme/widgets', filters: { languages: ['go'] } });
+      assert.deepEqual(onlyGo.map(result => result.file), ['src/auth.go']);
+      const inSrc = engine.search(query, { repository: 'acme/widgets', limit: 10, filters: { includePaths: ['src/'], excludePaths: ['*.go'] } });
+      assert.deepEqual(inSrc.map(result => result.file), ['src/server.js']);
+      const threshold = all[1].similarity;
+      const strict = engine.search(query, { repository: 'acme/widgets', limit: 10, filters: { minSimilarity: threshold } });
+      assert.ok(strict.length >= 2 && strict.every(result => result.similarity >= threshold));
+
+      assert.equal(engine.search(query, { repository: 'acme/widgets', filters: { branch: 'dev' } }).length, 0);
+      assert.equal(engine.keywordSearch('startServer', { repository: 'acme/widgets', filters: { extensions: ['.md'] } }).length, 0);
+    });
+
+    it('returns nothing for an unknown repository', () => {
+      const engine = createLocalSearchEngine();
+      assert.deepEqual(engine.search('anything', { repository: 'nobody/nothing' }), []);
+    });
+  });
+
+  describe('local working trees', () => {
+    let root;
+
+    before(async () => {
+      root = await makeWorkingTree();
+    });
+
+    after(async () => {
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('honours nested .gitignore files and skips binaries and oversized files', async () => {
+      const engine = createLocalSearchEngine({ maxFileBytes: 1000, allowedRoots: [os.tmpdir()] });
+      const summary = await engine.indexLocalPath(root);
+      assert.equal(summary.root, root);
+      assert.equal(summary.filesIndexed, 3); // both .gitignore files and lib/parser.js
+      assert.equal(summary.skipped.binary, 1);
+      assert.equal(summary.skipped.oversized, 1);
+      const files = engine.search('parseConfig', { repository: root, limit: 10 }).map(result => result.file);
+      assert.equal(files[0], 'lib/parser.js');
+      for (const ignored of ['lib/generated/parser.js', 'logs/run.log', 'keys.secret', 'data.dat', 'big.txt']) {
+        assert.equal(files.includes(ignored), false, ignored);
+      }
+    });
+
+    it('refuses paths outside the allowed roots', async () => {
+      const engine = createLocalSearchEngine({ allowedRoots: [path.join(root, 'lib')] });
+      await assert.rejects(engine.indexLocalPath(root), /outside the allowed index roots/);
+      assert.equal((await engine.indexLocalPath(path.join(root, 'lib'))).filesIndexed, 2);
+    });
+
+    it('only allows the working directory unless LOCAL_INDEX_ROOTS is set', async () => {
+      const previous = process.env.LOCAL_INDEX_ROOTS;
+      delete process.env.LOCAL_INDEX_ROOTS;
+      try {
+        const engine = createLocalSearchEngine();
+        await assert.rejects(engine.indexLocalPath('/'), /outside the allowed index roots/);
+        await assert.rejects(engine.indexLocalPath(root), /outside the allowed index roots/);
+        await assert.rejects(engine.indexLocalPath(path.join(process.cwd(), '..')), /outside the allowed index roots/);
+
+        process.env.LOCAL_INDEX_ROOTS = [path.join(root, 'lib'), '/nowhere'].join(path.delimiter);
+        assert.equal((await createLocalSearchEngine().indexLocalPath(path.join(root, 'lib'))).filesIndexed, 2);
+      } finally {
+        if (previous === undefined) delete process.env.LOCAL_INDEX_ROOTS;
+        else process.env.LOCAL_INDEX_ROOTS = previous;
+      }
+    });
+
+    it('indexes a path through indexRepository and searches it by that path', async () => {
+      const localSearch = createLocalSearchEngine({ allowedRoots: [os.tmpdir()] });
+      const ctx = {
+        backend: createGoClient({ baseUrl: 'http://127.0.0.1:1' }),
+        localSearch,
+        indexJobs: createIndexJobManager(),
+        searchMode: 'go'
+      };
+      const { jobId } = await callTool('indexRepository', { path: root }, ctx);
+      const job = await pollUntil(() => ctx.indexJobs.get(jobId).status === 'completed' && ctx.indexJobs.get(jobId));
+      assert.equal(job.result.data.repository, root);
+
+      const found = await callTool('vectorSearch', { query: 'parseConfig', repository: root }, ctx);
+      assert.equal(found.backend, 'local');
+      assert.equal(found.data[0].file, 'lib/parser.js');
+    });
+
+    it('requires either repoUrl or path', async () => {
+      await assert.rejects(callTool('indexRepository', {}, {}), { name: 'ToolInputError' });
+    });
+  });
+
+  describe('incremental git indexing', () => {
+    // Only https:// repositories are cloned, so git serves this URL from the
+    // test repository, as a mirror set up with url.<base>.insteadOf would
+    const MIRRORED_URL = 'https://git.test/acme/local';
+    const GIT_CONFIG_ENV = ['GIT_CONFIG_COUNT', 'GIT_CONFIG_KEY_0', 'GIT_CONFIG_VALUE_0'];
+    let root;
+
+    // Run git in the test repository
+    function git(...args) {
+      return execFileSync('git', ['-C', root, ...args], { encoding: 'utf8' }).trim();
+    }
+
+    async function commitFile(file, content, message) {
+      await fs.writeFile(path.join(root, file), content);
+      git('add', '-A');
+      git('commit', '-q', '-m', message);
+    }
+
+    before(async () => {
+      root = await fs.mkdtemp(path.join(os.tmpdir(), 'local-search-git-'));
+      execFileSync('git', ['init', '-q', '-b', 'main', root]);
+      git('config', 'user.email', 'test@example.com');
+      git('config', 'user.name', 'Test');
+      await fs.writeFile(path.join(root, 'a.js'), 'export function alpha() {}\n');
+      await fs.writeFile(path.join(root, 'b.js'), 'export function bravo() {}\n');
+      await commitFile('c.js', 'export function charlie() {}\n', 'initial');
+      Object.assign(process.env, {
+        GIT_CONFIG_COUNT: '1',
+        GIT_CONFIG_KEY_0: `url.file://${root}.insteadOf`,
+        GIT_CONFIG_VALUE_0: MIRRORED_URL
+      });
+    });
+
+    after(async () => {
+      GIT_CONFIG_ENV.forEach(name => delete process.env[name]);
+      await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it('re-indexes only the files changed since the last indexed commit', async () => {
+      const engine = createLocalSearchEngine({ allowedRoots: [os.tmpdir()] });
+      const first = await engine.indexLocalPath(root);
+      assert.equal(first.mode, 'full');
+      assert.equal(first.filesTouched, 3);
+
+      await fs.writeFile(path.join(root, 'a.js'), 'export function alphaUpdated() {}\n');
+      await fs.rm(path.join(root, 'b.js'));
+      git('mv', 'c.js', 'renamed.js');
+      await commitFile('d.js', 'export function delta() {}\n', 'change files');
+
+      const second = await engine.indexLocalPath(root);
+      assert.equal(second.mode, 'incremental');
+      assert.equal(second.previousCommit, first.commit);
+      assert.deepEqual(second.changes, { added: 1, modified: 1, deleted: 1, renamed: 1, uncommitted: 0 });
+      assert.equal(second.filesTouched, 5); // the rename touches both paths
+
+      const files = new Set(engine.search('export function', { repository: root, limit: 10 }).map(result => result.file));
+      assert.deepEqual([...files].sort(), ['a.js', 'd.js', 'renamed.js']);
+      assert.equal(engine.search('alphaUpdated', { repository: root })[0].file, 'a.js');
+    });
+
+    it('picks up uncommitted edits and touches nothing when nothing changed', async () => {
+      const engine = createLocalSearchEngine({ allowedRoots: [os.tmpdir()] });
+      await engine.indexLocalPath(root);
+      assert.equal((await engine.indexLocalPath(root)).filesTouched, 0);
+
+      await fs.writeFile(path.join(root, 'scratch.js'), 'export function workInProgress() {}\n');
+      const dirty = await engine.indexLocalPath(root);
+      assert.equal(dirty.filesTouched, 1);
+      assert.equal(engine.search('workInProgress', { repository: root })[0].file, 'scratch.js');
+
+      await fs.rm(path.join(root, 'scratch.js'));
+      await engine.indexLocalPath(root);
+      assert.equal(engine.search('export function', { repository: root, limit: 10 }).some(result => result.file === 'scratch.js'), false);
+    });
+
+    it('falls back to a full reindex when history was rewritten', async () => {
+      const engine = createLocalSearchEngine({ allowedRoots: [os.tmpdir()] });
+      await engine.indexLocalPath(root);
+      git('commit', '-q', '--amend', '-m', 'rewritten');
+
+      const result = await engine.indexLocalPath(root);
+      assert.equal(result.mode, 'full');
+      assert.equal(result.reason, 'history_rewritten');
+    });
+
+    it('fetches a cloned branch and updates it incrementally', async () => {
+      const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-search-cache-'));
+      try {
+        const engine = createLocalSearchEngine({ cacheDir });
+        const repoUrl = MIRRORED_URL;
+        assert.equal((await engine.indexRepository({ repoUrl, branch: 'main' })).mode, 'full');
+
+        await commitFile('e.js', 'export function echo() {}\n', 'add e');
+        const update = await engine.indexRepository({ repoUrl, branch: 'main' });
+        assert.equal(update.mode, 'incremental');
+        assert.equal(update.filesTouched, 1);
+        assert.equal(engine.search('echo', { repository: repoUrl })[0].file, 'e.js');
+
+        assert.equal((await engine.indexRepository({ repoUrl, branch: 'main' }, { force: true })).mode, 'full');
+      } finally {
+        await fs.rm(cacheDir, { recursive: true, force: true });
+      }
+    });
+
+    it('keeps an index per branch, so switching branches neither drops nor reclones one', async () => {
+      git('checkout', '-q', '-b', 'dev');
+      await commitFile('dev.js', 'export function devOnly() {}\n', 'dev work');
+      git('checkout', '-q', 'main');
+      const cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'local-search-cache-'));
+      try {
+        const engine = createLocalSearchEngine({ cacheDir });
+        const repoUrl = MIRRORED_URL;
+        assert.equal((await engine.indexRepository({ repoUrl, branch: 'main' })).mode, 'full');
+        assert.equal((await engine.indexRepository({ repoUrl, branch: 'dev' })).mode, 'full');
+        assert.equal((await engine.indexRepository({ repoUrl, branch: 'main' })).mode, 'incremental');
+
+        const found = engine.keywordSearch('devOnly', { repository: repoUrl });
+        assert.deepEqual(found.map(result => [result.file, result.branch]), [['dev.js', 'dev']]);
+        assert.equal(engine.keywordSearch('devOnly', { repository: repoUrl, filters: { branch: 'main' } }).length, 0);
+        assert.deepEqual(engine.stats().map(entry => entry.branch).sort(), ['dev', 'main']);
+        assert.ok(engine.listFiles(repoUrl).includes('dev.js'));
+      } finally {
+        await fs.rm(cacheDir, { recursive: true, force: true });
+      }
+    });
+
+    it('sends the Go server the commit a branch was last indexed at, reindexing fully when it is refused', async () => {
+      const mock = createMockGoServer();
+      try {
+        const ctx = {
+          backend: createGoClient({ baseUrl: await mock.listen() }),
+          indexJobs: createIndexJobManager(),
+          searchMode: 'go'
+        };
+        const repoUrl = MIRRORED_URL;
+        const index = async (args = {}) => {
+          const { jobId } = await callTool('indexRepository', { repoUrl, branch: 'main', ...args }, ctx);
+          return pollUntil(() => ctx.indexJobs.get(jobId).status === 'completed' && ctx.indexJobs.get(jobId).result);
+        };
+        const posts = () => mock.state.requests.filter(request => request.path === '/index-repository');
+
+        const first = await index();
+        assert.equal(first.mode, 'full');
+        assert.equal(first.commit, git('rev-parse', 'main'));
+        assert.equal(posts()[0].body.since, undefined);
+
+        const unchanged = await index();
+        assert.equal(unchanged.filesTouched, 0);
+        assert.equal(posts().length, 1);
+
+        await commitFile('f.js', 'export function foxtrot() {}\n', 'add f');
+        const update = await index();
+        assert.equal(update.mode, 'incremental');
+        assert.deepEqual([posts()[1].body.since, posts()[1].body.commit], [first.commit, git('rev-parse', 'main')]);
+
+        // The server lost its index, so it refuses the incremental update
+        mock.state.indexedCommits = {};
+        await commitFile('g.js', 'export function golf() {}\n', 'add g');
+        const full = await index();
+        assert.equal(full.mode, 'full');
+        assert.equal(posts().at(-1).body.since, undefined);
+
+        // Forced while the tip is unchanged, so Go is asked again without `since`
+        const forced = await index({ force: true });
+        assert.equal(forced.mode, 'full');
+        assert.equal(posts().length, 5);
+        assert.equal(posts().at(-1).body.since, undefined);
+      } finally {
+        await mock.close();
+      }
+    });
+  });
+});
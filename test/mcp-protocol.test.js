@@ -0,0 +1,345 @@
+// Covers " mcp-protocol.js" (the file name starts with a space), which integration.js and enhanced-server.js use
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import express from 'express';
+import WebSocket from 'ws';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { WebSocketClientTransport } from '@modelcontextprotocol/sdk/client/websocket.js';
+import { LoggingMessageNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createMockGoServer } from '../mock-go-server.js';
+import { createGoClient } from '../go-client.js';
+import { createIndexJobManager } from '../index-jobs.js';
+import { createLocalSearchEngine } from '../local-search.js';
+import { createLlmProvider } from '../llm-provider.js';
+import { connectSocketIo, parseToolResult, pollUntil } from './helpers.js';
+
+// The SDK's WebSocket client transport expects a global WebSocket (Node 22+)
+globalThis.WebSocket ??= WebSocket;
+
+const serverInfo = { name: 'Test MCP', version: '0.0.1' };
+
+// Connect and collect every message the server sends
+function connect(url) {
+  const ws = new WebSocket(url);
+  ws.received = [];
+  ws.on('message', (data) => ws.received.push(JSON.parse(data.toString())));
+  return new Promise((resolve, reject) => {
+    ws.once('open', () => resolve(ws));
+    ws.once('error', reject);
+  });
+}
+
+function nextMessage(ws, predicate, timeout = 2000) {
+  return new Promise((resolve, reject) => {
+    const deadline = Date.now() + timeout;
+    (function poll() {
+      const message = ws.received.find(predicate);
+      if (message) return resolve(message);
+      if (Date.now() > deadline) return reject(new Error('Timed out waiting for WebSocket message'));
+      setTimeout(poll, 10);
+    })();
+  });
+}
+
+// Provider whose answer hangs after the first token until it is aborted
+const hangingProvider = {
+  name: 'hanging',
+  tokenBudget: 1000,
+  answer: ({ signal, onToken }) => new Promise((resolve, reject) => {
+    onToken('Thinking');
+    signal.addEventListener('abort', () => reject(new Error('aborted')));
+  })
+};
+
+describe(' mcp-protocol.js', () => {
+  let server;
+  let io;
+  let wss;
+  let baseUrl;
+
+  // Tool context of the streamed calls; tests swap the provider
+  const localSearch = createLocalSearchEngine();
+  localSearch.addDocument('acme/api', 'src/limiter.go', 'func AllowRequest(key string) bool {\n\treturn buckets[key].take()\n}');
+  localSearch.addDocument('acme/api', 'src/bucket.go', 'func (b *Bucket) take() bool {\n\treturn b.tokens > 0\n}');
+  const ctx = { localSearch, searchMode: 'local', llm: createLlmProvider({ provider: 'local' }) };
+
+  before(async () => {
+    const { setupMCPProtocol } = await import(new URL('../ mcp-protocol.js', import.meta.url));
+    const app = express();
+    app.use(express.json());
+    server = http.createServer(app);
+    ({ io, wss } = setupMCPProtocol(app, server, serverInfo, ctx));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    for (const client of wss.clients) client.terminate();
+    io.close();
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('POST /rpc rejects requests that are not JSON-RPC 2.0', async () => {
+    const response = await fetch(`${baseUrl}/rpc`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id: 1, method: 'listOfferings' })
+    });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, -32600);
+  });
+
+  it('POST /offerings returns the registry offerings', async () => {
+    const body = await (await fetch(`${baseUrl}/offerings`, { method: 'POST' })).json();
+    assert.ok(body.tools.some(tool => tool.id === 'chat'));
+  });
+
+  it('sends serverInfo on WebSocket connect and answers listOfferings', async () => {
+    const ws = await connect(baseUrl.replace('http', 'ws'));
+    try {
+      const hello = await nextMessage(ws, message => message.method === 'serverInfo');
+      assert.deepEqual(hello.params.serverInfo, serverInfo);
+
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 7, method: 'listOfferings' }));
+      const response = await nextMessage(ws, message => message.id === 7);
+      assert.ok(response.result.tools.some(tool => tool.id === 'vectorSearch'));
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('logs to stderr only, leaving stdout to the stdio MCP transport', async (t) => {
+    const stdout = t.mock.method(console, 'log');
+    const stderr = t.mock.method(console, 'error', () => {});
+    const ws = await connect(baseUrl.replace('http', 'ws'));
+    ws.send(JSON.stringify({ jsonrpc: '2.0', id: 8, method: 'listOfferings' }));
+    await nextMessage(ws, message => message.id === 8);
+    ws.close();
+    const socket = await connectSocketIo(baseUrl);
+    socket.close();
+    await fetch(`${baseUrl}/offerings`, { method: 'POST' });
+
+    await pollUntil(() => stderr.mock.calls.filter(call => /client disconnected/.test(call.arguments[0])).length === 2);
+    assert.equal(stdout.mock.callCount(), 0);
+  });
+
+  it('replies with a parse error to invalid WebSocket JSON', async () => {
+    const ws = await connect(baseUrl.replace('http', 'ws'));
+    try {
+      ws.send('{not json');
+      const response = await nextMessage(ws, message => message.error?.code === -32700);
+      assert.equal(response.id, null);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('streams vectorSearch hits over WebSocket before the result', async () => {
+    const ws = await connect(baseUrl.replace('http', 'ws'));
+    try {
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 'search-1', method: 'vectorSearch', params: { query: 'take bucket tokens', repository: 'acme/api' } }));
+      const response = await nextMessage(ws, message => message.id === 'search-1');
+      const hits = ws.received.filter(message => message.method === 'stream/partial' && message.params.id === 'search-1');
+      assert.ok(hits.length > 0);
+      assert.deepEqual(hits.map(message => message.params.kind), hits.map(() => 'hit'));
+      assert.deepEqual(hits.map(message => message.params.hit.file), response.result.data.map(result => result.file));
+      assert.ok(ws.received.indexOf(hits.at(-1)) < ws.received.indexOf(response));
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('streams each retriever\'s hybrid hits as soon as it answers, ahead of fusion', async () => {
+    const mock = createMockGoServer({
+      fixtures: { repositories: { 'acme/api': [{ file: 'src/limiter.go', content: 'func AllowRequest(key string) bool {\n\treturn buckets[key].take()\n}' }] } }
+    });
+    mock.setFault('/vector-search', { latency: 300 });
+    Object.assign(ctx, { backend: createGoClient({ baseUrl: await mock.listen() }), searchMode: 'go' });
+    const ws = await connect(baseUrl.replace('http', 'ws'));
+    try {
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 'hybrid-1', method: 'vectorSearch', params: { query: 'take', repository: 'acme/api', mode: 'hybrid' } }));
+      const partials = () => ws.received.filter(message => message.method === 'stream/partial' && message.params.id === 'hybrid-1');
+
+      // Keyword matches are out while the Go server is still answering
+      await nextMessage(ws, message => message.params?.id === 'hybrid-1' && message.params.retriever === 'keyword');
+      assert.ok(partials().every(message => message.params.retriever === 'keyword'));
+      assert.ok(!ws.received.some(message => message.id === 'hybrid-1'));
+
+      const response = await nextMessage(ws, message => message.id === 'hybrid-1');
+      const vectorHits = partials().filter(message => message.params.retriever === 'vector');
+      assert.deepEqual(vectorHits.map(message => message.params.hit.file), ['src/limiter.go']);
+      assert.ok(ws.received.indexOf(vectorHits.at(-1)) < ws.received.indexOf(response));
+      assert.deepEqual([...new Set(response.result.data.flatMap(result => result.retrievers))].sort(), ['keyword', 'vector']);
+    } finally {
+      Object.assign(ctx, { backend: undefined, searchMode: 'local' });
+      ws.close();
+      await mock.close();
+    }
+  });
+
+  it('streams chat answer tokens over WebSocket and ends with the full reply', async () => {
+    const ws = await connect(baseUrl.replace('http', 'ws'));
+    try {
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'chat', params: { message: 'how is a request allowed', repository: 'acme/api' } }));
+      const response = await nextMessage(ws, message => message.id === 2 && 'result' in message);
+      const tokens = ws.received.filter(message => message.params?.id === 2 && message.params.kind === 'token');
+      assert.ok(tokens.length > 1);
+      assert.equal(tokens.map(message => message.params.text).join(''), response.result.message);
+      assert.ok(response.result.citations.length > 0);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('sends error frames for invalid streamed requests', async () => {
+    const ws = await connect(baseUrl.replace('http', 'ws'));
+    try {
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 3, method: 'vectorSearch', params: { repository: 'acme/api' } }));
+      const response = await nextMessage(ws, message => message.id === 3);
+      assert.equal(response.error.code, -32602);
+    } finally {
+      ws.close();
+    }
+  });
+
+  it('cancels an in-flight WebSocket stream by id', async () => {
+    ctx.llm = hangingProvider;
+    const ws = await connect(baseUrl.replace('http', 'ws'));
+    try {
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 4, method: 'chat', params: { message: 'how is a request allowed', repository: 'acme/api' } }));
+      await nextMessage(ws, message => message.params?.id === 4 && message.params.text === 'Thinking');
+      ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 4 } }));
+      const response = await nextMessage(ws, message => message.id === 4);
+      assert.equal(response.error.code, -32800);
+    } finally {
+      ctx.llm = createLlmProvider({ provider: 'local' });
+      ws.close();
+    }
+  });
+
+  it('streams over Socket.IO with partial, complete and error events', async () => {
+    const socket = await connectSocketIo(baseUrl);
+    try {
+      const { id } = await socket.emitWithAck('vectorSearch', { params: { query: 'take bucket tokens', repository: 'acme/api' } });
+      const complete = await socket.waitFor((event, data) => event === 'stream:complete' && data.id === id);
+      const hits = socket.events.filter(([event, data]) => event === 'stream:partial' && data.id === id);
+      assert.equal(hits.length, complete.result.data.length);
+      assert.equal(hits[0][1].kind, 'hit');
+
+      socket.emit('chat', { id: 'bad', params: {} });
+      const failed = await socket.waitFor((event, data) => event === 'stream:error' && data.id === 'bad');
+      assert.equal(failed.error.code, -32602);
+    } finally {
+      socket.close();
+    }
+  });
+
+  it('cancels an in-flight Socket.IO stream by id', async () => {
+    ctx.llm = hangingProvider;
+    const socket = await connectSocketIo(baseUrl);
+    try {
+      socket.emit('chat', { id: 'slow', params: { message: 'how is a request allowed', repository: 'acme/api' } });
+      await socket.waitFor((event, data) => event === 'stream:partial' && data.id === 'slow');
+      socket.emit('cancel', { id: 'slow' });
+      const failed = await socket.waitFor((event, data) => event === 'stream:error' && data.id === 'slow');
+      assert.equal(failed.error.code, -32800);
+      assert.ok(!socket.events.some(([event, data]) => event === 'stream:complete' && data.id === 'slow'));
+    } finally {
+      ctx.llm = createLlmProvider({ provider: 'local' });
+      socket.close();
+    }
+  });
+});
+
+describe(' mcp-protocol.js WebSocket MCP transport', () => {
+  let mock;
+  let server;
+  let io;
+  let wss;
+  let connections;
+  let notify;
+  let wsUrl;
+
+  before(async () => {
+    mock = createMockGoServer();
+    const goServerUrl = await mock.listen();
+    const { setupMCPProtocol } = await import(new URL('../ mcp-protocol.js', import.meta.url));
+    const app = express();
+    app.use(express.json());
+    server = http.createServer(app);
+    ({ io, wss, connections, notify } = setupMCPProtocol(app, server, serverInfo, {
+      backend: createGoClient({ baseUrl: goServerUrl, retryBaseDelay: 10 }),
+      localSearch: createLocalSearchEngine(),
+      indexJobs: createIndexJobManager()
+    }));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    wsUrl = `ws://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    for (const client of wss.clients) client.terminate();
+    io.close();
+    wss.close();
+    await new Promise(resolve => server.close(resolve));
+    await mock?.close();
+  });
+
+  it('serves an SDK client: initialize, tools/list, tools/call and ping', async () => {
+    const client = new Client({ name: 'ws-test', version: '1.0.0' });
+    await client.connect(new WebSocketClientTransport(new URL(wsUrl)));
+    try {
+      assert.equal(client.getServerVersion().name, serverInfo.name);
+      const { tools } = await client.listTools();
+      assert.ok(tools.some(tool => tool.name === 'indexRepository'));
+
+      const result = await client.callTool({ name: 'vectorSearch', arguments: { query: 'startServer port', repository: 'example/repo' } });
+      assert.equal(parseToolResult(result).data[0].file, 'src/server.js');
+      assert.deepEqual(await client.ping(), {});
+
+      mock.setFault('/vector-search', { status: 400 });
+      try {
+        const failed = await client.callTool({ name: 'vectorSearch', arguments: { query: 'x', repository: 'example/repo' } });
+        assert.equal(failed.isError, true);
+      } finally {
+        mock.setFault('/vector-search', null);
+      }
+      await assert.rejects(client.callTool({ name: 'nope', arguments: {} }), { code: -32602 });
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('tracks connections and pushes notifications to initialized clients', async () => {
+    const client = new Client({ name: 'ws-notify', version: '1.0.0' });
+    const received = [];
+    client.setNotificationHandler(LoggingMessageNotificationSchema, notification => received.push(notification.params));
+    await client.connect(new WebSocketClientTransport(new URL(wsUrl)));
+    try {
+      // notifications/initialized may still be in flight when connect() resolves
+      const entry = await pollUntil(() => [...connections.values()]
+        .find(connection => connection.clientInfo?.name === 'ws-notify' && connection.initialized));
+      assert.equal(entry.protocolVersion, '2025-03-26');
+
+      notify('notifications/message', { level: 'info', data: 'index finished' });
+      await new Promise(resolve => setTimeout(resolve, 50));
+      assert.deepEqual(received, [{ level: 'info', data: 'index finished' }]);
+    } finally {
+      await client.close();
+    }
+  });
+
+  it('answers unknown methods with -32601 and ignores unknown notifications', async () => {
+    const ws = await connect(wsUrl);
+    try {
+      ws.send(JSON.stringify({ jsonrpc: '2.0', method: 'notifications/whatever' }));
+      ws.send(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'nope' }));
+      const response = await nextMessage(ws, message => message.id === 1);
+      assert.equal(response.error.code, -32601);
+      assert.equal(ws.received.filter(message => message.error).length, 1);
+    } finally {
+      ws.close();
+    }
+  });
+});
@@ -0,0 +1,45 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalSearchEngine } from '../local-search.js';
+import { getPrompt, listPrompts } from '../prompt-registry.js';
+
+// Local-mode context with one small repository
+function localContext() {
+  const localSearch = createLocalSearchEngine();
+  localSearch.addDocument('acme/api', 'src/limiter.go', 'func Allow(key string) bool {\n\treturn buckets[key].take()\n}');
+  localSearch.addDocument('acme/api', 'README.md', '# API\n\nA rate-limited HTTP API.');
+  return { localSearch, searchMode: 'local' };
+}
+
+describe('prompt-registry.js', () => {
+  it('lists every prompt with its arguments', () => {
+    const list = listPrompts();
+    assert.deepEqual(list.map(prompt => prompt.name), ['explain-code', 'find-similar-implementations', 'review-change', 'onboard-to-repo']);
+    assert.deepEqual(list.at(-1).arguments.map(({ name, required }) => [name, required]), [['repository', true], ['focus', false]]);
+  });
+
+  it('embeds the top snippets as resources after the instructions', async () => {
+    const { messages } = await getPrompt('explain-code', { repository: 'acme/api', symbol: 'Allow' }, localContext());
+    assert.match(messages[0].content.text, /Explain how `Allow` works in acme\/api/);
+    const snippet = messages[1].content;
+    assert.equal(snippet.type, 'resource');
+    assert.equal(snippet.resource.uri, 'repo://acme%2Fapi/src/limiter.go#L1-3');
+    assert.equal(snippet.resource.mimeType, 'text/x-go');
+    assert.match(snippet.resource.text, /func Allow/);
+  });
+
+  it('still returns the instructions when nothing can be retrieved', async () => {
+    const empty = await getPrompt('onboard-to-repo', { repository: 'acme/unknown' }, localContext());
+    assert.equal(empty.messages.length, 1);
+    assert.match(empty.messages[0].content.text, /may need indexing/);
+
+    const backend = { isHealthy: async () => true, post: async () => { throw new Error('backend down'); } };
+    const failed = await getPrompt('review-change', { repository: 'acme/api', change: '+ return true' }, { backend, searchMode: 'go' });
+    assert.match(failed.messages[0].content.text, /could not be retrieved.*backend down/);
+  });
+
+  it('rejects unknown prompts and missing arguments', async () => {
+    await assert.rejects(getPrompt('nope', {}, localContext()), { name: 'ToolInputError' });
+    await assert.rejects(getPrompt('explain-code', { repository: 'acme/api' }, localContext()), { name: 'ToolInputError', message: /symbol/ });
+  });
+});
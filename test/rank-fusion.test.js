@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { reciprocalRankFusion, resultKey } from '../rank-fusion.js';
+
+describe('rank-fusion.js', () => {
+  it('keys results by line range when known, otherwise by content', () => {
+    assert.equal(resultKey({ file: 'a.js', startLine: 1, endLine: 9, content: 'x' }), '@:a.js#1-9');
+    assert.equal(resultKey({ file: 'a.js', content: 'x' }), '@:a.js#x');
+  });
+
+  it('keeps the same file in different repositories and branches apart', () => {
+    const result = { file: 'src/app.js', startLine: 1, endLine: 9, content: 'x' };
+    assert.equal(
+      resultKey({ ...result, repository: 'https://github.com/acme/app', branch: 'main' }),
+      resultKey({ ...result, repository: 'acme/app', branch: 'main' })
+    );
+    const fused = reciprocalRankFusion({
+      vector: [{ ...result, repository: 'acme/app' }, { ...result, repository: 'acme/fork' }],
+      keyword: [{ ...result, repository: 'acme/app', branch: 'main' }, { ...result, repository: 'acme/app', branch: 'dev' }]
+    });
+    assert.deepEqual(fused.map(entry => `${entry.repository}@${entry.branch ?? ''}`).sort(),
+      ['acme/app@', 'acme/app@dev', 'acme/app@main', 'acme/fork@']);
+  });
+
+  it('ranks results found by several retrievers first and tags them', () => {
+    const shared = { file: 'both.js', content: 'shared' };
+    const fused = reciprocalRankFusion({
+      vector: [{ file: 'vector-only.js', content: 'v', similarity: 0.9 }, { ...shared, similarity: 0.5 }],
+      keyword: [{ file: 'keyword-only.js', content: 'k' }, { ...shared, matches: 3 }]
+    });
+
+    assert.equal(fused[0].file, 'both.js');
+    assert.deepEqual(fused[0].retrievers, ['vector', 'keyword']);
+    assert.equal(fused[0].similarity, 0.5);
+    assert.equal(fused[0].matches, 3);
+    assert.deepEqual(fused.slice(1).map(result => result.retrievers), [['vector'], ['keyword']]);
+    assert.ok(fused[0].score > fused[1].score);
+  });
+});
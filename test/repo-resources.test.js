@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalSearchEngine } from '../local-search.js';
+import {
+  listResources,
+  mimeTypeFor,
+  parseResourceUri,
+  readResource,
+  resourceUri,
+  resultResource
+} from '../repo-resources.js';
+
+// Tool context with two small repositories indexed from memory
+function contextWithRepositories() {
+  const localSearch = createLocalSearchEngine();
+  localSearch.addDocument('acme/api', 'src/server.ts', 'export function listen(port: number) {}');
+  localSearch.addDocument('acme/api', 'README.md', '# API');
+  localSearch.addDocument('acme/api', 'docs/a b.md', 'spaces');
+  localSearch.addDocument('acme/cli', 'main.go', 'func main() {}');
+  return { localSearch };
+}
+
+describe('repo-resources.js', () => {
+  it('encodes the repository into one URI segment and parses it back', () => {
+    const uri = resourceUri('acme/api', 'docs/a b.md');
+    assert.equal(uri, 'repo://acme%2Fapi/docs/a%20b.md');
+    assert.deepEqual(parseResourceUri(uri), { repository: 'acme/api', path: 'docs/a b.md' });
+    assert.equal(parseResourceUri('file:///etc/passwd'), null);
+  });
+
+  it('picks mimeTypes from the file extension', () => {
+    assert.equal(mimeTypeFor('main.go'), 'text/x-go');
+    assert.equal(mimeTypeFor('README.MD'), 'text/markdown');
+    assert.equal(mimeTypeFor('LICENSE'), 'text/plain');
+  });
+
+  it('pages through files repository by repository', () => {
+    const ctx = contextWithRepositories();
+    const first = listResources(ctx, { pageSize: 2 });
+    assert.deepEqual(first.resources.map(resource => resource.name), ['acme/api/README.md', 'acme/api/docs/a b.md']);
+    const second = listResources(ctx, { pageSize: 2, cursor: first.nextCursor });
+    assert.deepEqual(second.resources.map(resource => resource.name), ['acme/api/src/server.ts', 'acme/cli/main.go']);
+    assert.equal(second.nextCursor, undefined);
+    assert.equal(second.resources[0].mimeType, 'text/x-typescript');
+    assert.throws(() => listResources(ctx, { cursor: 'nope' }), { code: -32602 });
+  });
+
+  it('reads indexed files and rejects everything else', async () => {
+    const ctx = contextWithRepositories();
+    const { contents } = await readResource(ctx, resourceUri('acme/cli', 'main.go'));
+    assert.deepEqual(contents, [{ uri: 'repo://acme%2Fcli/main.go', mimeType: 'text/x-go', text: 'func main() {}' }]);
+    await assert.rejects(readResource(ctx, resourceUri('acme/cli', '../api/README.md')), { code: -32002 });
+    await assert.rejects(readResource(ctx, 'repo://acme%2Fcli'), { code: -32602 });
+  });
+
+  it('links search results to indexed files only', () => {
+    const ctx = contextWithRepositories();
+    assert.deepEqual(resultResource(ctx, { file: 'main.go' }, 'https://github.com/acme/cli'), { uri: 'repo://acme%2Fcli/main.go' });
+    assert.deepEqual(resultResource(ctx, { repository: 'acme/other', file: 'main.go' }), {});
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createSearchCache, searchCacheKey } from '../search-cache.js';
+import { createGoClient } from '../go-client.js';
+import { createMockGoServer } from '../mock-go-server.js';
+import { createIndexJobManager } from '../index-jobs.js';
+import { callTool } from '../tool-registry.js';
+import { OFFLINE_GIT_ENV, pollUntil } from './helpers.js';
+
+// Index jobs look up branch tips with git; keep it off the network
+Object.assign(process.env, OFFLINE_GIT_ENV);
+
+describe('search-cache.js', () => {
+  it('normalizes whitespace, repository URLs and filter order in keys', () => {
+    const key = searchCacheKey({ query: 'find  token ', repository: 'https://github.com/acme/auth', filters: { languages: ['go'], includePaths: ['src/'] }, limit: 5 });
+    assert.equal(key, searchCacheKey({ query: 'find token', repository: 'acme/auth', filters: { includePaths: ['src/'], languages: ['go'] }, limit: 5 }));
+    assert.notEqual(key, searchCacheKey({ query: 'find token', repository: 'acme/auth', filters: { includePaths: ['src/'], languages: ['go'] }, limit: 6 }));
+    assert.notEqual(key, searchCacheKey({ query: 'find token', repository: 'acme/auth', filters: { includePaths: ['src/'], languages: ['go'], branch: 'dev' }, limit: 5 }));
+  });
+
+  it('evicts the least recently used entry and expires entries after the TTL', async () => {
+    const cache = createSearchCache({ maxEntries: 2, ttl: 30 });
+    cache.set('a', 'acme/a', 1);
+    cache.set('b', 'acme/b', 2);
+    assert.equal(cache.get('a'), 1);
+    cache.set('c', 'acme/c', 3);
+    assert.equal(cache.get('b'), undefined);
+    assert.equal(cache.get('c'), 3);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(cache.get('a'), undefined);
+    assert.deepEqual(cache.stats(), { size: 1, maxEntries: 2, ttlMs: 30, hits: 2, misses: 2, evictions: 1, invalidations: 0 });
+  });
+
+  it('invalidates one repository plus searches across all repositories', () => {
+    const cache = createSearchCache();
+    cache.set('a', 'acme/a', 1);
+    cache.set('b', 'https://github.com/acme/b', 2);
+    cache.set('all', '', 3);
+    assert.equal(cache.invalidate('https://github.com/acme/b.git'), 2);
+    assert.equal(cache.get('a'), 1);
+    assert.equal(cache.get('all'), undefined);
+  });
+
+  it('serves repeated vectorSearch calls from the cache until the repository is reindexed', async () => {
+    const mock = createMockGoServer();
+    try {
+      const ctx = {
+        backend: createGoClient({ baseUrl: await mock.listen() }),
+        indexJobs: createIndexJobManager(),
+        searchCache: createSearchCache(),
+        searchMode: 'go'
+      };
+      const searches = () => mock.state.requests.filter(request => request.path === '/vector-search').length;
+      const search = { query: 'startServer', repository: 'example/repo' };
+
+      const first = await callTool('vectorSearch', search, ctx);
+      const second = await callTool('vectorSearch', { ...search, query: ' startServer ' }, ctx);
+      assert.deepEqual(second.data, first.data);
+      assert.equal(searches(), 1);
+
+      await callTool('vectorSearch', { ...search, noCache: true }, ctx);
+      assert.equal(searches(), 2);
+
+      const job = await callTool('indexRepository', { repoUrl: 'https://github.com/example/repo' }, ctx);
+      await pollUntil(() => ctx.indexJobs.get(job.jobId).status === 'completed');
+      await callTool('vectorSearch', search, ctx);
+      assert.equal(searches(), 3);
+      assert.equal(ctx.searchCache.stats().hits, 1);
+    } finally {
+      await mock.close();
+    }
+  });
+});
@@ -0,0 +1,27 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor, encodeCursor, searchFingerprint } from '../search-cursor.js';
+
+describe('search-cursor.js', () => {
+  it('round-trips a position and is deterministic', () => {
+    const fingerprint = searchFingerprint({ query: 'token', repository: 'acme/auth', mode: 'vector' });
+    const cursor = encodeCursor({ fingerprint, offset: 10, indexVersion: 'go:3' });
+    assert.equal(cursor, encodeCursor({ fingerprint, offset: 10, indexVersion: 'go:3' }));
+    assert.deepEqual(decodeCursor(cursor), { fingerprint, offset: 10, indexVersion: 'go:3' });
+    const hybrid = encodeCursor({ fingerprint, offset: 10, indexVersion: 'go:3', depth: 50 });
+    assert.deepEqual(decodeCursor(hybrid), { fingerprint, offset: 10, indexVersion: 'go:3', depth: 50 });
+  });
+
+  it('fingerprints searches regardless of filter order', () => {
+    const a = searchFingerprint({ query: 'q', mode: 'vector', filters: { languages: ['go'], includePaths: ['src/'] } });
+    const b = searchFingerprint({ query: 'q', mode: 'vector', filters: { includePaths: ['src/'], languages: ['go'] } });
+    assert.equal(a, b);
+    assert.notEqual(a, searchFingerprint({ query: 'q', mode: 'hybrid', filters: { languages: ['go'], includePaths: ['src/'] } }));
+  });
+
+  it('rejects malformed cursors', () => {
+    assert.equal(decodeCursor('not a cursor'), null);
+    assert.equal(decodeCursor(Buffer.from(JSON.stringify({ v: 1, f: 'x', o: -1, i: '0' })).toString('base64url')), null);
+    assert.equal(decodeCursor(Buffer.from(JSON.stringify({ v: 1, f: 'x', o: 0, i: '0', d: 0 })).toString('base64url')), null);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createResultFilter, hasFilters, pickFilters } from '../search-filters.js';
+
+describe('search-filters.js', () => {
+  it('keeps only the filters that were given', () => {
+    assert.deepEqual(pickFilters({ query: 'x', languages: [], includePaths: ['src/'], branch: '' }), { includePaths: ['src/'] });
+    assert.equal(hasFilters({ limit: 5 }), false);
+    assert.equal(createResultFilter({}), null);
+  });
+
+  it('matches include and exclude globs against the file path', () => {
+    const matches = createResultFilter({ includePaths: ['src/'], excludePaths: ['*_test.go'] });
+    assert.equal(matches({ file: 'src/auth.go' }), true);
+    assert.equal(matches({ file: './src/nested/auth.go' }), true);
+    assert.equal(matches({ file: 'src/auth_test.go' }), false);
+    assert.equal(matches({ file: 'cmd/main.go' }), false);
+  });
+
+  it('filters by language, extension, similarity and branch', () => {
+    const byLanguage = createResultFilter({ languages: ['Go'] });
+    assert.equal(byLanguage({ file: 'auth.go' }), true);
+    assert.equal(byLanguage({ file: 'auth.js', language: 'javascript' }), false);
+
+    const byExtension = createResultFilter({ extensions: ['ts', '.TSX'] });
+    assert.equal(byExtension({ file: 'a.ts' }), true);
+    assert.equal(byExtension({ file: 'b.tsx' }), true);
+    assert.equal(byExtension({ file: 'c.js' }), false);
+
+    const bySimilarity = createResultFilter({ minSimilarity: 0.5 });
+    assert.equal(bySimilarity({ file: 'a.js', similarity: 0.4 }), false);
+    assert.equal(bySimilarity({ file: 'a.js', similarity: 0.5 }), true);
+    assert.equal(bySimilarity({ file: 'a.js', matches: 2 }), true);
+
+    const byBranch = createResultFilter({ branch: 'main' });
+    assert.equal(byBranch({ file: 'a.js', branch: 'dev' }), false);
+    assert.equal(byBranch({ file: 'a.js' }), true);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ResourceUpdatedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
+import { createMockGoServer } from '../mock-go-server.js';
+import { ROOT, OFFLINE_GIT_ENV, parseToolResult, pollUntil, assertSessionFollowUp } from './helpers.js';
+
+describe('server.js (stdio server)', () => {
+  let mock;
+  let goServerUrl;
+  let sessionDir;
+  let client;
+
+  before(async () => {
+    mock = createMockGoServer();
+    goServerUrl = await mock.listen();
+    sessionDir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-sessions-'));
+    const transport = new StdioClientTransport({
+      command: process.execPath,
+      args: ['server.js'],
+      cwd: ROOT,
+      env: { ...process.env, ...OFFLINE_GIT_ENV, GO_SERVER_URL: goServerUrl, CHAT_SESSION_DIR: sessionDir, LOCAL_INDEX_ROOTS: os.tmpdir() },
+      stderr: 'pipe'
+    });
+    client = new Client({ name: 'server-test', version: '1.0.0' });
+    await client.connect(transport);
+  });
+
+  after(async () => {
+    await client?.close();
+    await mock?.close();
+    await fs.rm(sessionDir, { recursive: true, force: true });
+  });
+
+  it('lists the registry tools', async () => {
+    const { tools } = await client.listTools();
+    assert.deepEqual(tools.map(tool => tool.name).sort(), ['cancelIndex', 'chat', 'clearSession', 'indexRepository', 'indexStatus', 'listSessions', 'vectorSearch']);
+  });
+
+  it('answers chat from the local simulation', async () => {
+    const result = await client.callTool({ name: 'chat', arguments: { message: 'hello there' } });
+    assert.match(parseToolResult(result).message, /^Hello!/);
+  });
+
+  it('carries a chat session over to the follow-up turn', async () => {
+    await assertSessionFollowUp(async args => parseToolResult(await client.callTool({ name: 'chat', arguments: args })), mock);
+  });
+
+  it('searches the Go server with paging and filters', async () => {
+    const search = { query: 'export function', repository: 'example/repo', limit: 1 };
+    const first = parseToolResult(await client.callTool({ name: 'vectorSearch', arguments: search }));
+    assert.equal(first.data[0].file, 'src/server.js');
+    assert.ok(first.nextCursor);
+
+    const second = parseToolResult(await client.callTool({
+      name: 'vectorSearch',
+      arguments: { ...search, cursor: first.nextCursor }
+    }));
+    assert.deepEqual(second.data.map(result => result.file), ['src/search.js']);
+    assert.equal(second.nextCursor, null);
+
+    const filtered = parseToolResult(await client.callTool({
+      name: 'vectorSearch',
+      arguments: { ...search, limit: 5, includePaths: ['src/search.js'] }
+    }));
+    assert.deepEqual(filtered.data.map(result => result.file), ['src/search.js']);
+  });
+
+  it('answers keyword searches from the embedded index', async () => {
+    const result = parseToolResult(await client.callTool({
+      name: 'vectorSearch',
+      arguments: { query: 'startServer', repository: 'example/repo', mode: 'keyword' }
+    }));
+    assert.deepEqual(result.data, []);
+    assert.match(result.warning, /not in the embedded index/);
+  });
+
+  it('sends indexRepository to the Go server', async () => {
+    const result = await client.callTool({
+      name: 'indexRepository',
+      arguments: { repoUrl: 'https://github.com/acme/widgets' }
+    });
+    assert.ok(parseToolResult(result).jobId);
+    await pollUntil(() => mock.state.requests.some(request => request.path === '/index-repository'));
+  });
+
+  it('serves an indexed directory as repo:// resources and reports reindexing to subscribers', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-resources-'));
+    const updates = [];
+    client.setNotificationHandler(ResourceUpdatedNotificationSchema, notification => updates.push(notification.params.uri));
+    try {
+      await fs.writeFile(path.join(dir, 'main.go'), 'package main\n\nfunc main() {}\n');
+      const index = async () => {
+        const started = parseToolResult(await client.callTool({ name: 'indexRepository', arguments: { path: dir } }));
+        await pollUntil(async () => parseToolResult(await client.callTool({ name: 'indexStatus', arguments: { jobId: started.jobId } })).status === 'completed');
+      };
+      await index();
+
+      assert.equal(client.getServerCapabilities().resources.subscribe, true);
+      const { resources } = await client.listResources();
+      const resource = resources.find(resource => resource.name === `${dir}/main.go`);
+      assert.equal(resource.mimeType, 'text/x-go');
+      const { contents } = await client.readResource({ uri: resource.uri });
+      assert.match(contents[0].text, /func main/);
+
+      await client.subscribeResource({ uri: resource.uri });
+      await index();
+      await pollUntil(() => updates.includes(resource.uri));
+    } finally {
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('serves prompts grounded in search results', async () => {
+    const { prompts } = await client.listPrompts();
+    assert.ok(prompts.some(prompt => prompt.name === 'find-similar-implementations'));
+    const { messages } = await client.getPrompt({
+      name: 'find-similar-implementations',
+      arguments: { repository: 'example/repo', query: 'start the server on a port' }
+    });
+    assert.equal(messages[0].content.type, 'text');
+    assert.ok(messages.some(message => message.content.resource?.uri === 'repo://example%2Frepo/src/server.js'));
+  });
+
+  describe('with an LLM provider', () => {
+    let llmClient;
+
+    before(async () => {
+      const transport = new StdioClientTransport({
+        command: process.execPath,
+        args: ['server.js'],
+        cwd: ROOT,
+        env: { ...process.env, GO_SERVER_URL: goServerUrl, LLM_PROVIDER: 'local' },
+        stderr: 'pipe'
+      });
+      llmClient = new Client({ name: 'server-test', version: '1.0.0' });
+      await llmClient.connect(transport);
+    });
+
+    after(async () => {
+      await llmClient?.close();
+    });
+
+    it('answers chat from real search results, citing them', async () => {
+      const result = await llmClient.callTool({
+        name: 'chat',
+        arguments: { message: 'how does startServer listen', repository: 'example/repo' }
+      });
+      const data = parseToolResult(result);
+      assert.equal(data.provider, 'local');
+      assert.equal(data.codeContext[0].file, 'src/server.js');
+      assert.ok(data.citations.length > 0);
+      assert.ok(data.citations.every(citation => citation.file === 'src/server.js'));
+      assert.ok(mock.state.requests.some(request => request.path === '/vector-search' && request.body.query === 'how does startServer listen'));
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { createToolContext } from '../tool-context.js';
+import { createMockGoServer } from '../mock-go-server.js';
+
+describe('tool-context.js', () => {
+  let mock;
+  let goServerUrl;
+
+  before(async () => {
+    mock = createMockGoServer();
+    goServerUrl = await mock.listen();
+  });
+
+  after(async () => {
+    await mock.close();
+  });
+
+  it('builds every piece of state the tools share', () => {
+    const ctx = createToolContext({ goServerUrl, searchMode: 'local' });
+    for (const name of ['backend', 'localSearch', 'indexJobs', 'resourceSubscriptions', 'searchCache', 'sessions']) {
+      assert.ok(ctx[name], name);
+    }
+    assert.ok('llm' in ctx);
+    assert.equal(ctx.searchMode, 'local');
+    assert.notEqual(createToolContext({ goServerUrl }).indexJobs, ctx.indexJobs);
+  });
+
+  it('sends the token to the Go server', async () => {
+    await createToolContext({ goServerUrl, token: 'secret-token' }).backend.get('/health');
+    assert.equal(mock.state.requests.at(-1).headers['x-mcp-token'], 'secret-token');
+  });
+});
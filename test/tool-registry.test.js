@@ -0,0 +1,242 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { callTool } from '../tool-registry.js';
+import { createGoClient } from '../go-client.js';
+import { createIndexJobManager } from '../index-jobs.js';
+import { createLocalSearchEngine } from '../local-search.js';
+import { createMockGoServer } from '../mock-go-server.js';
+import { getFreePort } from './helpers.js';
+
+describe('tool-registry.js', () => {
+  describe('indexRepository', () => {
+    it('refuses repositories that are not https:// URLs or owner/repo, and option-like branches', async () => {
+      const ctx = { localSearch: createLocalSearchEngine(), indexJobs: createIndexJobManager(), searchMode: 'local' };
+      for (const repoUrl of ['file:///tmp/secret', 'ssh://git@github.com/acme/widgets', 'git@github.com:acme/widgets.git', '/tmp/secret']) {
+        await assert.rejects(callTool('indexRepository', { repoUrl }, ctx), { name: 'ToolInputError' }, repoUrl);
+      }
+      await assert.rejects(
+        callTool('indexRepository', { repoUrl: 'acme/widgets', branch: '--upload-pack=touch' }, ctx),
+        { name: 'ToolInputError' }
+      );
+      assert.deepEqual(ctx.indexJobs.list(), []);
+    });
+  });
+
+  describe('vectorSearch', () => {
+    let dir;
+
+    before(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'tool-registry-test-'));
+      await fs.mkdir(path.join(dir, 'src'));
+      await fs.writeFile(path.join(dir, 'src/server.js'), 'export function startServer(port) {\n  return app.listen(port);\n}\n');
+      await fs.writeFile(path.join(dir, 'src/auth.go'), 'func ValidateToken(token string) bool {\n\treturn token == secret\n}\n');
+      await fs.writeFile(path.join(dir, 'README.md'), '# Widgets\n\nHow to run the widget server locally.\n');
+    });
+
+    after(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it('refuses keyword regexes that could stall the server', async () => {
+      const localSearch = createLocalSearchEngine();
+      localSearch.addDocument('acme/api', 'src/a.txt', `${'a'.repeat(40)}!`);
+      await assert.rejects(
+        callTool('vectorSearch', { query: '/(a+)+$/', repository: 'acme/api', mode: 'keyword' }, { localSearch, searchMode: 'local' }),
+        { name: 'ToolInputError', message: /could take too long to match/ }
+      );
+    });
+
+    it('answers vectorSearch locally in local mode', async () => {
+      const localSearch = createLocalSearchEngine();
+      await localSearch.indexDirectory('acme/widgets', dir);
+      const backend = createGoClient({ baseUrl: 'http://127.0.0.1:1' });
+      const data = await callTool('vectorSearch', { query: 'startServer', repository: 'acme/widgets' }, {
+        backend, localSearch, searchMode: 'local'
+      });
+      assert.equal(data.backend, 'local');
+      assert.equal(data.data[0].file, 'src/server.js');
+    });
+
+    it('pages local results and expires cursors when the index changes', async () => {
+      const localSearch = createLocalSearchEngine();
+      await localSearch.indexDirectory('acme/widgets', dir);
+      const ctx = { localSearch, searchMode: 'local' };
+      const search = { query: 'server token widget', repository: 'acme/widgets', limit: 2 };
+
+      const first = await callTool('vectorSearch', search, ctx);
+      const second = await callTool('vectorSearch', { ...search, cursor: first.nextCursor }, ctx);
+      assert.equal(first.data.length, 2);
+      assert.equal(second.data.length, 1);
+      assert.equal(second.nextCursor, null);
+      assert.equal(new Set([...first.data, ...second.data].map(result => result.file)).size, 3);
+
+      localSearch.addDocument('acme/widgets', 'src/extra.js', 'export const widgetServer = true;');
+      await assert.rejects(
+        callTool('vectorSearch', { ...search, cursor: first.nextCursor }, ctx),
+        { name: 'ToolInputError', message: /index changed/ }
+      );
+      await assert.rejects(callTool('vectorSearch', { ...search, cursor: 'garbage' }, ctx), { name: 'ToolInputError' });
+    });
+
+    it('pages hybrid results from one ranking, matching a single large page', async () => {
+      // Files ranked high by one retriever only, and files ranked mid-list by
+      // both, which outrank the others once both lists reach them
+      const localSearch = createLocalSearchEngine();
+      const words = (count, prefix) => Array.from({ length: count }, (_, i) => `${prefix}${i}`).join(' ');
+      const repeat = (count, word) => Array(count).fill(word).join(' ');
+      for (let i = 0; i < 6; i++) {
+        localSearch.addDocument('acme/errors', `vector${i}.txt`, `error ${words(i, 'alpha')}`);
+        localSearch.addDocument('acme/errors', `keyword${i}.txt`, repeat(20 - i, 'myerrorvalue'));
+      }
+      for (let i = 0; i < 4; i++) {
+        localSearch.addDocument('acme/errors', `both${i}.txt`, `error ${words(8 + i, 'beta')} ${repeat(6, 'myerrorvalue')}`);
+      }
+      const ctx = { localSearch, searchMode: 'local' };
+      const search = { query: 'error', repository: 'acme/errors', mode: 'hybrid' };
+
+      const paged = [];
+      let cursor;
+      do {
+        const page = await callTool('vectorSearch', { ...search, limit: 3, ...(cursor ? { cursor } : {}) }, ctx);
+        paged.push(...page.data);
+        cursor = page.nextCursor;
+      } while (cursor);
+      const whole = await callTool('vectorSearch', { ...search, limit: 30 }, ctx);
+
+      assert.equal(paged.length, 16);
+      assert.deepEqual(paged.map(result => result.file), whole.data.map(result => result.file));
+    });
+
+    it('fuses a bounded hybrid depth, kept by every page of a search', async () => {
+      const mock = createMockGoServer();
+      try {
+        const localSearch = createLocalSearchEngine();
+        localSearch.addDocument('example/repo', 'src/boot.js', "import { startServer } from './server.js';\nstartServer(3000);");
+        const ctx = { backend: createGoClient({ baseUrl: await mock.listen() }), localSearch, searchMode: 'go' };
+        const limits = () => mock.state.requests.filter(request => request.path === '/vector-search').map(request => request.body.limit);
+        const search = { query: 'export function startServer', repository: 'example/repo', mode: 'hybrid' };
+
+        const first = await callTool('vectorSearch', { ...search, limit: 1 }, ctx);
+        await callTool('vectorSearch', { ...search, limit: 2, cursor: first.nextCursor }, ctx);
+        await callTool('vectorSearch', { ...search, limit: 100 }, ctx);
+        await callTool('vectorSearch', { ...search, limit: 100, languages: ['javascript'] }, ctx);
+        assert.deepEqual(limits().slice(0, 3), [10, 10, 200]);
+        assert.ok(limits().every(limit => limit <= 200));
+      } finally {
+        await mock.close();
+      }
+    });
+
+    it('falls back to the local index when the Go health check fails', async () => {
+      const localSearch = createLocalSearchEngine();
+      await localSearch.indexDirectory('acme/widgets', dir);
+      const backend = createGoClient({ baseUrl: `http://127.0.0.1:${await getFreePort()}`, retries: 0 });
+      const data = await callTool('vectorSearch', { query: 'widget server', repository: 'acme/widgets' }, {
+        backend, localSearch, searchMode: 'go'
+      });
+      assert.equal(data.backend, 'local');
+      assert.ok(data.data.length > 0);
+    });
+
+    it('merges Go vector results with local keyword matches in hybrid mode', async () => {
+      const mock = createMockGoServer();
+      try {
+        const localSearch = createLocalSearchEngine();
+        localSearch.addDocument('example/repo', 'src/server.js', 'export function startServer(port) {\n  return app.listen(port);\n}');
+        localSearch.addDocument('example/repo', 'src/boot.js', "import { startServer } from './server.js';\nstartServer(3000);");
+        const ctx = { backend: createGoClient({ baseUrl: await mock.listen() }), localSearch, searchMode: 'go' };
+
+        const data = await callTool('vectorSearch', { query: 'startServer', repository: 'example/repo', mode: 'hybrid' }, ctx);
+        assert.equal(data.mode, 'hybrid');
+        const retrievers = data.data.map(result => result.retrievers.join('+'));
+        assert.ok(retrievers.includes('vector'));
+        assert.ok(retrievers.includes('keyword'));
+        assert.ok(mock.state.requests.some(request => request.path === '/vector-search'));
+
+        assert.equal(data.warning, undefined);
+        const keyword = await callTool('vectorSearch', { query: 'startServer', repository: 'example/repo', mode: 'keyword' }, ctx);
+        assert.ok(keyword.data.every(result => result.retrievers.join() === 'keyword'));
+
+        const vector = await callTool('vectorSearch', { query: 'startServer', repository: 'example/repo' }, ctx);
+        assert.deepEqual(vector.data[0].retrievers, ['vector']);
+
+        await assert.rejects(
+          callTool('vectorSearch', { query: '/(bad/', repository: 'example/repo', mode: 'keyword' }, ctx),
+          { name: 'ToolInputError' }
+        );
+      } finally {
+        await mock.close();
+      }
+    });
+
+    it('warns when keyword matching has no local copy of a repository indexed on Go', async () => {
+      const mock = createMockGoServer();
+      try {
+        const ctx = { backend: createGoClient({ baseUrl: await mock.listen() }), localSearch: createLocalSearchEngine(), searchMode: 'go' };
+
+        const keyword = await callTool('vectorSearch', { query: 'startServer', repository: 'example/repo', mode: 'keyword' }, ctx);
+        assert.deepEqual(keyword.data, []);
+        assert.match(keyword.warning, /example\/repo is not in the embedded index, so nothing could be matched/);
+
+        const hybrid = await callTool('vectorSearch', { query: 'startServer', repository: 'example/repo', mode: 'hybrid' }, ctx);
+        assert.equal(hybrid.data[0].file, 'src/server.js');
+        assert.ok(hybrid.data.every(result => result.retrievers.join() === 'vector'));
+        assert.match(hybrid.warning, /these are vector results only/);
+
+        const vector = await callTool('vectorSearch', { query: 'startServer', repository: 'example/repo' }, ctx);
+        assert.equal(vector.warning, undefined);
+      } finally {
+        await mock.close();
+      }
+    });
+
+    it('forwards filters to Go and over-fetches until the limit survives post-filtering', async () => {
+      const jsFiles = Array.from({ length: 12 }, (_, i) => ({
+        file: `web/handler${i}.js`,
+        content: `export function checkToken${i}(token) {\n  return token === tokenCache.token;\n}`
+      }));
+      const goFiles = [
+        { file: 'auth/token.go', content: 'func CheckToken(token string) bool {\n\treturn token != ""\n}' },
+        { file: 'auth/token_test.go', content: 'func TestCheckToken(t *testing.T) {\n\tCheckToken("token")\n}' },
+        { file: 'auth/session.go', content: 'func SessionToken(s *Session) string {\n\treturn s.token\n}' }
+      ];
+      const mock = createMockGoServer({ fixtures: { repositories: { 'acme/auth': [...jsFiles, ...goFiles] } } });
+      try {
+        const ctx = { backend: createGoClient({ baseUrl: await mock.listen() }), localSearch: createLocalSearchEngine(), searchMode: 'go' };
+        const data = await callTool('vectorSearch', {
+          query: 'token',
+          repository: 'acme/auth',
+          limit: 2,
+          languages: ['go'],
+          excludePaths: ['*_test.go']
+        }, ctx);
+
+        assert.deepEqual(data.data.map(result => result.file).sort(), ['auth/session.go', 'auth/token.go']);
+        const searches = mock.state.requests.filter(request => request.path === '/vector-search');
+        assert.equal(searches[0].body.limit, 9);
+        assert.deepEqual(searches[0].body.languages, ['go']);
+        assert.deepEqual(searches[0].body.excludePaths, ['*_test.go']);
+        assert.ok(searches.every(request => request.body.limit <= 200));
+      } finally {
+        await mock.close();
+      }
+    });
+
+    it('uses the Go server while it is healthy', async () => {
+      const mock = createMockGoServer();
+      try {
+        const backend = createGoClient({ baseUrl: await mock.listen() });
+        const data = await callTool('vectorSearch', { query: 'startServer', repository: 'example/repo' }, {
+          backend, localSearch: createLocalSearchEngine(), searchMode: 'go'
+        });
+        assert.equal(data.backend, undefined);
+        assert.equal(data.data[0].file, 'src/server.js');
+      } finally {
+        await mock.close();
+      }
+    });
+  });
+});
@@ -0,0 +1,57 @@
+// tool-context.js - the state shared by the registry's tool handlers
+//
+// Every entrypoint hands the tools (tool-registry.js) the same context: the
+// Go backend client, the embedded search engine, background index jobs,
+// resource subscriptions, the search cache, chat sessions, the LLM provider
+// and the search mode. Building it here keeps the entrypoints from drifting
+// apart; each one adds its per-request fields (signal, progressToken,
+// sendNotification) on top.
+//
+// Environment:
+//   GO_SERVER_URL    - Go server URL (default http://localhost:8081)
+//   MCP_SECRET_TOKEN - sent to the Go server as X-MCP-Token when set
+//   SEARCH_BACKEND   - 'go' (local fallback) or 'local' (default go)
+
+import { createSessionStore } from './chat-sessions.js';
+import { createGoClient } from './go-client.js';
+import { createResourceSubscriptions } from './index-events.js';
+import { createIndexJobManager } from './index-jobs.js';
+import { createLlmProvider } from './llm-provider.js';
+import { createLocalSearchEngine } from './local-search.js';
+import { createSearchCache } from './search-cache.js';
+
+/**
+ * Create the context for the shared tool handlers
+ * @param {Object} [config]
+ * @param {string} [config.goServerUrl] - Go server URL (GO_SERVER_URL)
+ * @param {string} [config.token] - Sent to the Go server as X-MCP-Token (MCP_SECRET_TOKEN)
+ * @param {string} [config.searchMode] - 'go' or 'local' (SEARCH_BACKEND)
+ * @returns {Object} { backend, localSearch, indexJobs, resourceSubscriptions,
+ *   searchCache, sessions, llm, searchMode }
+ */
+export function createToolContext({
+  goServerUrl = process.env.GO_SERVER_URL || 'http://localhost:8081',
+  token = process.env.MCP_SECRET_TOKEN,
+  searchMode = process.env.SEARCH_BACKEND || 'go'
+} = {}) {
+  const indexJobs = createIndexJobManager();
+  return {
+    // Go backend client with per-endpoint timeouts, retries and a circuit breaker
+    backend: createGoClient({ baseUrl: goServerUrl, token }),
+    // Embedded search engine: the whole backend in local mode, otherwise the
+    // fallback while the Go server is down
+    localSearch: createLocalSearchEngine(),
+    // Background index jobs, kept for the life of the process
+    indexJobs,
+    // Resources subscribed to per MCP session, reported as updated when
+    // their repository is reindexed
+    resourceSubscriptions: createResourceSubscriptions(indexJobs),
+    // Cache of Go search responses, dropped per repository on reindex
+    searchCache: createSearchCache(),
+    // Chat sessions, persisted to disk
+    sessions: createSessionStore(),
+    // Writes chat answers from the retrieved code; null keeps the plain replies
+    llm: createLlmProvider(),
+    searchMode
+  };
+}
@@ -0,0 +1,980 @@
+// tool-registry.js - single definition of the chat, search, indexing and session tools
+//
+// Every entrypoint builds its tool surface from this module: McpServer
+// registrations (registerTools), the legacy listOfferings JSON Schema
+// (getOfferings), JSON-RPC/REST dispatch (callTool) and Express routes
+// (registerRestRoutes).
+//
+// Handlers receive a context of { backend, localSearch, indexJobs, searchCache,
+// sessions, llm, searchMode, signal, progressToken, sendNotification, onToken,
+// onHits }. Searches
+// and indexing go to the Go backend, or to the embedded engine (local-search.js)
+// in `local` mode and while the Go server is unhealthy. Go search responses are
+// cached (search-cache.js) until the repository is reindexed. Indexing runs as
+// a background job (index-jobs.js). Chat answers are written by the LLM
+// provider (llm-provider.js) when one is configured.
+
+import { z } from 'zod';
+import { zodToJsonSchema } from 'zod-to-json-schema';
+import { SESSION_ID_PATTERN } from './chat-sessions.js';
+import { GoBackendError } from './go-client.js';
+import { synthesizeAnswer } from './llm-provider.js';
+import { remoteCommit } from './git-changes.js';
+import { isLocalPath, keywordPattern, repositoryKey, repositoryUrl } from './local-search.js';
+import { reciprocalRankFusion } from './rank-fusion.js';
+import { listResourceTemplates, listResources, resultResource } from './repo-resources.js';
+import { searchCacheKey } from './search-cache.js';
+import { decodeCursor, encodeCursor, searchFingerprint } from './search-cursor.js';
+import { createResultFilter, pickFilters } from './search-filters.js';
+
+// Timeout for a Go /index-repository call made by a background job (GO_INDEX_TIMEOUT_MS)
+const INDEX_JOB_TIMEOUT = parseInt(process.env.GO_INDEX_TIMEOUT_MS || '1800000', 10);
+
+// Candidates requested from the Go server per wanted result when filtering,
+// and the most it is ever asked for
+const FILTER_OVERFETCH = 3;
+const MAX_FILTER_CANDIDATES = 200;
+
+// Deepest result position reachable by following cursors
+const MAX_PAGINATED_RESULTS = 500;
+
+// Results fused per wanted result in hybrid mode. The first page picks the
+// depth and its cursors keep it, so a hybrid search can be paged about this
+// many pages deep; it never exceeds MAX_FILTER_CANDIDATES.
+const HYBRID_DEPTH_PER_RESULT = 10;
+
+/**
+ * Error raised when tool arguments fail schema validation or the tool is unknown.
+ * Maps to JSON-RPC -32602 (Invalid params) and HTTP 400.
+ */
+export class ToolInputError extends Error {
+  constructor(message, issues = []) {
+    super(message);
+    this.name = 'ToolInputError';
+    this.issues = issues;
+  }
+}
+
+// Whether the embedded engine should serve this call: always in local mode
+// and for local directories, otherwise only while the Go server fails its
+// health check
+async function useLocalSearch(ctx, repository) {
+  if (!ctx.localSearch) return false;
+  if (ctx.searchMode === 'local' || (repository && isLocalPath(repository))) return true;
+  return !(await ctx.backend.isHealthy());
+}
+
+// Answer a search from the embedded engine, shaped like a Go /vector-search response
+function localSearchResponse({ query, repository, limit, filters }, ctx) {
+  return {
+    success: true,
+    data: ctx.localSearch.search(query, { repository, limit, filters }),
+    backend: 'local'
+  };
+}
+
+/**
+ * Search on the Go server with filters. Filters are sent along for servers
+ * that apply them (others ignore unknown fields) and applied again here;
+ * candidates are over-fetched, doubling until `limit` results survive, the
+ * server runs out or MAX_FILTER_CANDIDATES is reached.
+ */
+async function goVectorSearch({ query, repository, limit, filters = {} }, ctx) {
+  const matchesFilters = createResultFilter(filters);
+  if (!matchesFilters) {
+    return ctx.backend.post('/vector-search', { query, repository, limit }, { signal: ctx.signal });
+  }
+
+  let candidates = Math.min(MAX_FILTER_CANDIDATES, Math.max(limit, limit * FILTER_OVERFETCH));
+  for (;;) {
+    const response = await ctx.backend.post('/vector-search', {
+      query,
+      repository,
+      limit: candidates,
+      ...pickFilters(filters)
+    }, { signal: ctx.signal });
+    if (response?.success === false || !Array.isArray(response?.data)) return response;
+
+    const results = response.data.filter(matchesFilters);
+    if (results.length >= limit || response.data.length < candidates || candidates >= MAX_FILTER_CANDIDATES) {
+      return { ...response, data: results.slice(0, limit) };
+    }
+    candidates = Math.min(MAX_FILTER_CANDIDATES, candidates * 2);
+  }
+}
+
+/**
+ * Run a search on the Go server, or on the embedded engine when it is
+ * selected or the Go server turns out to be unreachable. Go responses come
+ * from the search cache when fresh; `noCache` skips the cached response and
+ * stores the new one in its place.
+ */
+async function searchCode({ query, repository, limit, filters, noCache = false }, ctx) {
+  if (await useLocalSearch(ctx, repository)) {
+    return localSearchResponse({ query, repository, limit, filters }, ctx);
+  }
+
+  const cacheKey = ctx.searchCache && searchCacheKey({ query, repository, filters, limit });
+  if (cacheKey && !noCache) {
+    const cached = ctx.searchCache.get(cacheKey);
+    if (cached) return cached;
+  }
+
+  try {
+    const data = await goVectorSearch({ query, repository, limit, filters }, ctx);
+    if (cacheKey && data?.success !== false) {
+      ctx.searchCache.set(cacheKey, repository, data);
+    }
+    return data;
+  } catch (error) {
+    if (ctx.localSearch && error instanceof GoBackendError && error.isUnavailable) {
+      console.error('DEBUG - Go server unavailable, falling back to local search:', error.message);
+      return localSearchResponse({ query, repository, limit, filters }, ctx);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Answer a chat message from the Go server's vector search, searching for
+ * `query` (the message unless a session widened it). With an LLM provider in
+ * ctx.llm the reply is an answer citing the snippets; without one, or when it
+ * fails, the snippets come back with a plain acknowledgement.
+ */
+async function answerChat({ message, repository = '', query = message, history = [] }, ctx) {
+  try {
+    console.error(`DEBUG - Processing chat: "${message}" for repo: ${repository}`);
+
+    // Search for relevant code using the Go server's vector search
+    const searchResponse = await searchCode({
+      query,
+      repository: repository,
+      limit: 5
+    }, ctx);
+
+    // Format the chat response with the search results
+    const searchResults = searchResponse.success ? searchResponse.data : [];
+
+    // If no useful results, return a user-friendly fallback
+    if (!searchResults || (Array.isArray(searchResults) && searchResults.length === 0)) {
+      return {
+        message: "Sorry, I couldn't find a clear answer to your question in the repository documentation or code. Please try rephrasing your question or provide more details.",
+        repository: repository,
+        codeContext: [],
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    let answerError;
+    if (ctx.llm && Array.isArray(searchResults)) {
+      try {
+        const { answer, citations } = await synthesizeAnswer(ctx.llm, {
+          question: message,
+          snippets: searchResults,
+          history,
+          signal: ctx.signal,
+          onToken: ctx.onToken
+        });
+        return {
+          message: answer,
+          repository: repository,
+          codeContext: searchResults,
+          citations,
+          provider: ctx.llm.name,
+          timestamp: new Date().toISOString()
+        };
+      } catch (error) {
+        console.error('DEBUG - Answer synthesis failed, returning the snippets alone:', error.message);
+        answerError = error.message;
+      }
+    }
+
+    return {
+      message: `I processed your message: "${message}"`,
+      repository: repository,
+      codeContext: searchResults,
+      timestamp: new Date().toISOString(),
+      ...(answerError ? { answerError } : {})
+    };
+  } catch (error) {
+    if (error instanceof GoBackendError && error.isUnavailable) {
+      console.error('Go server is not available:', error.message);
+      return {
+        message: "The backend server is currently unavailable. Please ensure the Go server is running and accessible.",
+        repository: repository,
+        codeContext: [],
+        timestamp: new Date().toISOString(),
+        error: 'backend_unavailable'
+      };
+    }
+
+    console.error('Error processing chat:', error.message);
+    if (error.data) {
+      console.error('Response data:', error.data);
+      console.error('Response status:', error.status);
+    }
+
+    // On error, also return a user-friendly fallback
+    return {
+      message: "Sorry, I couldn't find a clear answer to your question in the repository documentation or code. Please try rephrasing your question or provide more details.",
+      repository: repository,
+      codeContext: [],
+      timestamp: new Date().toISOString(),
+      error: error.message
+    };
+  }
+}
+
+// Symbols from the previous turn's snippets added to a follow-up's search
+const FOLLOW_UP_SYMBOLS = 3;
+
+// Earlier messages and snippets returned with a session's reply
+const SESSION_CONTEXT_MESSAGES = 6;
+const SESSION_CONTEXT_SNIPPETS = 5;
+
+// The session store from the context
+function requireSessions(ctx) {
+  if (!ctx.sessions) {
+    throw new Error('Chat sessions are not available on this server');
+  }
+  return ctx.sessions;
+}
+
+// Search query for a message in a session: follow-ups like "where is that
+// called?" name nothing themselves, so add the symbols retrieved last turn,
+// or the previous question when those snippets have no symbols
+function followUpQuery(message, session) {
+  if (!session?.messages.length) return message;
+  const symbols = [...new Set(session.snippets.map(snippet => snippet.symbol).filter(Boolean))].slice(-FOLLOW_UP_SYMBOLS);
+  const previousQuestion = session.messages.filter(entry => entry.role === 'user').at(-1)?.content;
+  return [message, ...(symbols.length ? symbols : [previousQuestion])].filter(Boolean).join(' ');
+}
+
+// The part of a search result worth keeping in a session
+function sessionSnippet({ repository, file, startLine, endLine, symbol, content, uri }) {
+  return { repository, file, startLine, endLine, symbol, content, uri };
+}
+
+/**
+ * Process a chat message. With a sessionId the turn joins a persistent
+ * session (chat-sessions.js): the session's repository is used when none is
+ * given, follow-ups search with what the previous turn retrieved, and
+ * earlier messages and snippets come back as `sessionContext`.
+ */
+async function processChat({ message, repository = '', context = {}, sessionId }, ctx) {
+  if (!sessionId) {
+    return answerChat({ message, repository }, ctx);
+  }
+
+  const sessions = requireSessions(ctx);
+  const session = await sessions.get(sessionId);
+  const activeRepository = repository || session?.repository || '';
+  const response = await answerChat({
+    message,
+    repository: activeRepository,
+    query: followUpQuery(message, session),
+    history: (session?.messages || []).slice(-SESSION_CONTEXT_MESSAGES)
+  }, ctx);
+
+  const snippets = Array.isArray(response.codeContext) ? response.codeContext.map(sessionSnippet) : [];
+  const updated = await sessions.recordTurn(sessionId, {
+    repository: activeRepository,
+    user: message,
+    assistant: response.message,
+    snippets,
+    context
+  });
+
+  const retrievedNow = new Set(snippets.map(snippet => `${snippet.file}#${snippet.startLine}`));
+  return {
+    ...response,
+    sessionId,
+    sessionContext: {
+      turns: updated.messages.filter(entry => entry.role === 'user').length,
+      previousMessages: (session?.messages || []).slice(-SESSION_CONTEXT_MESSAGES),
+      snippets: (session?.snippets || [])
+        .filter(snippet => !retrievedNow.has(`${snippet.file}#${snippet.startLine}`))
+        .slice(-SESSION_CONTEXT_SNIPPETS)
+    }
+  };
+}
+
+/**
+ * List live chat sessions, most recently used first
+ */
+async function listSessions(args, ctx) {
+  return { success: true, sessions: await requireSessions(ctx).list() };
+}
+
+/**
+ * Delete a chat session and its history
+ */
+async function clearSession({ sessionId }, ctx) {
+  if (!await requireSessions(ctx).clear(sessionId)) {
+    throw new ToolInputError(`Unknown chat session: ${sessionId}`);
+  }
+  return { success: true, sessionId, cleared: true };
+}
+
+// Whether a Go /vector-search response carries any results
+function hasSearchResults(data) {
+  if (!data || data.success === false) return false;
+  const results = data.data;
+  if (Array.isArray(results)) return results.length > 0;
+  return results != null && Object.keys(results).length > 0;
+}
+
+// Results list of a /vector-search response
+function searchResults(data) {
+  return data?.success !== false && Array.isArray(data?.data) ? data.data : [];
+}
+
+/**
+ * Exact keyword/regex matches from the embedded index. Repositories that
+ * were never indexed locally (see LOCAL_SEARCH_MIRROR) have no keyword results.
+ */
+async function keywordSearch({ query, repository, limit, filters }, ctx) {
+  return ctx.localSearch ? ctx.localSearch.keywordSearch(query, { repository, limit, filters }) : [];
+}
+
+// Why keyword matching can't cover a search, or null when the embedded
+// index has the repository (any repository when none is given)
+function keywordCoverageWarning(mode, repository, ctx) {
+  const indexed = repository
+    ? ctx.localSearch?.hasRepository(repository)
+    : ctx.localSearch?.stats().length > 0;
+  if (indexed) return null;
+  const missing = repository
+    ? `${repository} is not in the embedded index`
+    : 'the embedded index is empty';
+  const outcome = mode === 'hybrid' ? 'these are vector results only' : 'nothing could be matched';
+  return `Keyword matching only searches the embedded index and ${missing}, so ${outcome}. ` +
+    'Index the repository with LOCAL_SEARCH_MIRROR=true (or SEARCH_BACKEND=local) to keyword search it.';
+}
+
+// Finish time of the last completed index job for a repository (or for any
+// repository when none is given), which is when a Go index last changed
+// as far as this process knows
+function lastIndexedAt(ctx, repository) {
+  const key = repositoryKey(repository || '');
+  return (ctx.indexJobs?.list() || [])
+    .filter(job => job.status === 'completed' && (!key || repositoryKey(job.target) === key))
+    .map(job => job.finishedAt)
+    .sort()
+    .at(-1);
+}
+
+// Version of the indexes a page of results was read from: the embedded
+// engine's index version, and for Go results the version the server reports
+// or else the last index job for the repository
+function searchIndexVersion(ctx, { repository, vectorData, usedKeyword }) {
+  const versions = [];
+  if (vectorData) {
+    versions.push(vectorData.backend === 'local'
+      ? `local:${ctx.localSearch.indexVersion(repository)}`
+      : `go:${vectorData.indexVersion ?? lastIndexedAt(ctx, repository) ?? 0}`);
+  }
+  if (usedKeyword && ctx.localSearch) {
+    versions.push(`local:${ctx.localSearch.indexVersion(repository)}`);
+  }
+  return [...new Set(versions)].join('|');
+}
+
+// Page offset of a cursor, validated against the search it is used with
+function cursorOffset(cursor, fingerprint) {
+  const position = decodeCursor(cursor);
+  if (!position) {
+    throw new ToolInputError('Invalid arguments for vectorSearch: cursor is malformed');
+  }
+  if (position.fingerprint !== fingerprint) {
+    throw new ToolInputError('Invalid arguments for vectorSearch: cursor belongs to a different search');
+  }
+  return position;
+}
+
+/**
+ * Search code by `mode`: `vector` passes through to the Go server (or the
+ * embedded engine), `keyword` runs exact/regex matching, and `hybrid` runs
+ * both in parallel and merges them with reciprocal rank fusion. Results are
+ * tagged with the retrievers that found them. Path, language, extension,
+ * similarity and branch filters apply to every mode (see search-filters.js).
+ * Keyword matching only covers the embedded index; when it lacks the
+ * repository the response carries a `warning` instead of quietly returning
+ * fewer results. Results from locally indexed files carry their resource `uri`
+ * (repo-resources.js). Pages continue from a `cursor`; each page returns the `nextCursor`, or null
+ * on the last page. A cursor is rejected once the index it was issued
+ * against has changed. Indexes the repository when nothing was found on a
+ * first page and a repoUrl was supplied. ctx.onHits(retriever, hits) gets
+ * each retriever's hits for the page as soon as that retriever answers,
+ * before the other one finishes and before fusion.
+ */
+async function vectorSearch(args, ctx) {
+  const { query, repository, limit = 5, mode = 'vector', cursor, noCache, repoUrl, branch = 'main' } = args;
+  const filters = pickFilters(args);
+  const fingerprint = searchFingerprint({ query, repository, mode, filters });
+  const position = cursor ? cursorOffset(cursor, fingerprint) : null;
+  const offset = position?.offset ?? 0;
+  const end = Math.min(offset + limit, MAX_PAGINATED_RESULTS);
+  if (mode !== 'vector') {
+    try {
+      keywordPattern(query);
+    } catch (error) {
+      throw new ToolInputError(`Invalid arguments for vectorSearch: ${error.message}`);
+    }
+  }
+
+  // Fetch every result up to the end of this page plus one to tell whether
+  // another page follows. Fusion scores depend on how deep the fused lists
+  // are, so hybrid fuses the depth picked by the first page on every page,
+  // and every page of a search is cut from the same ranking.
+  const depth = mode === 'hybrid'
+    ? position?.depth ?? Math.min(MAX_FILTER_CANDIDATES, Math.max(end + 1, limit * HYBRID_DEPTH_PER_RESULT))
+    : undefined;
+  const candidates = depth ?? end + 1;
+  const reportHits = (retriever, results) => ctx.onHits?.(retriever, results.slice(offset, end).map(result => ({
+    ...result,
+    retrievers: [retriever],
+    ...resultResource(ctx, result, repository)
+  })));
+  const [vectorData, keywordResults] = await Promise.all([
+    mode === 'keyword' ? null : searchCode({ query, repository, limit: candidates, filters, noCache }, ctx).then((data) => {
+      reportHits('vector', searchResults(data));
+      return data;
+    }),
+    mode === 'vector' ? null : keywordSearch({ query, repository, limit: candidates, filters }, ctx).then((results) => {
+      reportHits('keyword', results);
+      return results;
+    })
+  ]);
+
+  let results;
+  let data;
+  if (mode === 'vector') {
+    results = Array.isArray(vectorData?.data) ? vectorData.data.map(result => ({ ...result, retrievers: ['vector'] })) : null;
+    data = { ...vectorData };
+  } else {
+    // Go results may leave out their repository and branch; they are the
+    // searched ones, and fusion needs them to match the keyword results
+    const searched = { ...(repository ? { repository } : {}), ...(filters.branch ? { branch: filters.branch } : {}) };
+    const lists = mode === 'hybrid'
+      ? { vector: searchResults(vectorData).map(result => ({ ...searched, ...result })), keyword: keywordResults }
+      : { keyword: keywordResults };
+    results = reciprocalRankFusion(lists);
+    const warning = keywordCoverageWarning(mode, repository, ctx);
+    data = {
+      success: true,
+      mode,
+      ...(vectorData?.backend ? { backend: vectorData.backend } : {}),
+      ...(warning ? { warning } : {})
+    };
+  }
+
+  // Responses without a result list (failures, unexpected Go payloads) pass through unpaged
+  if (results) {
+    const indexVersion = searchIndexVersion(ctx, { repository, vectorData, usedKeyword: mode !== 'vector' });
+    if (position && position.indexVersion !== indexVersion) {
+      throw new ToolInputError(
+        'Invalid arguments for vectorSearch: cursor has expired because the index changed since it was issued; repeat the search without a cursor'
+      );
+    }
+    // Results from indexed files link to them as repo:// resources
+    data.data = results.slice(offset, end).map(result => ({ ...result, ...resultResource(ctx, result, repository) }));
+    data.nextCursor = results.length > end && end < MAX_PAGINATED_RESULTS
+      ? encodeCursor({ fingerprint, offset: end, indexVersion, depth })
+      : null;
+  }
+
+  if (!hasSearchResults(data) && repoUrl && !cursor) {
+    try {
+      const job = await indexRepository({ repoUrl, branch }, { ...ctx, progressToken: undefined });
+      return { ...data, indexJobId: job.jobId };
+    } catch (error) {
+      console.error('DEBUG - Indexing after empty search failed:', error.message);
+    }
+  }
+
+  return data;
+}
+
+/**
+ * Index a GitHub repository on the Go server, or clone and index it with
+ * the embedded engine. Local paths are always indexed by the embedded engine
+ * and searched there under their absolute path. Runs inside an index job.
+ */
+async function runIndex({ repoUrl, path: localPath, branch, force }, ctx, { signal, reportProgress }) {
+  if (localPath) {
+    console.error(`DEBUG - Indexing local path: ${localPath}`);
+    if (!ctx.localSearch) {
+      throw new Error('Indexing a local path requires the embedded search engine');
+    }
+    const data = await ctx.localSearch.indexLocalPath(localPath, { signal, onProgress: reportProgress, force });
+    return {
+      success: true,
+      message: `Directory ${data.root} indexed locally (${data.mode}, ${data.filesTouched} files touched)`,
+      data,
+      backend: 'local'
+    };
+  }
+
+  console.error(`DEBUG - Indexing repository: ${repoUrl}, branch: ${branch}`);
+
+  if (await useLocalSearch(ctx)) {
+    const data = await ctx.localSearch.indexRepository({ repoUrl, branch }, { signal, onProgress: reportProgress, force });
+    return {
+      success: true,
+      message: `Repository ${data.repository} indexed locally (${data.mode}, ${data.filesTouched} files touched)`,
+      data,
+      backend: 'local'
+    };
+  }
+
+  reportProgress(0, undefined, `Waiting for the Go server to index ${repoUrl}`);
+  const [data] = await Promise.all([
+    indexOnGo({ repoUrl, branch, force }, ctx, signal),
+    // Mirror into the embedded index so keyword search and the fallback
+    // have the content too; a failed mirror doesn't fail the job
+    ctx.localSearch?.mirrorRemote && ctx.localSearch.indexRepository({ repoUrl, branch }, { signal, force }).catch((error) => {
+      console.error(`DEBUG - Mirroring ${repoUrl} into the local index failed:`, error.message);
+    })
+  ]);
+  return data;
+}
+
+// Commit the Go server last indexed a branch at, from the completed index
+// jobs this process still remembers
+function lastGoIndexedCommit(ctx, repoUrl, branch) {
+  const key = repositoryKey(repoUrl);
+  return (ctx.indexJobs?.list() || []).find(job => job.status === 'completed' &&
+    job.branch === branch &&
+    repositoryKey(job.target) === key &&
+    job.result?.backend !== 'local' &&
+    job.result?.success !== false &&
+    job.result?.commit)?.result.commit;
+}
+
+/**
+ * Have the Go server index a branch. A branch indexed before is sent with
+ * the commit it was indexed at (`since`) and its current tip (`commit`), so
+ * the server only re-indexes what changed, and isn't sent at all when its
+ * tip hasn't moved. It is indexed fully when `force` is set, the tip can't
+ * be read or the server rejects `since`.
+ */
+async function indexOnGo({ repoUrl, branch, force }, ctx, signal) {
+  const commit = await remoteCommit(repositoryUrl(repoUrl), branch, { signal });
+  const previousCommit = commit && !force ? lastGoIndexedCommit(ctx, repoUrl, branch) : undefined;
+  if (previousCommit === commit && commit) {
+    return {
+      success: true,
+      message: `Repository ${repositoryKey(repoUrl)} is already indexed at ${commit}`,
+      mode: 'incremental',
+      commit,
+      previousCommit,
+      filesTouched: 0
+    };
+  }
+
+  const post = fields => ctx.backend.post('/index-repository', {
+    repoUrl,
+    branch,
+    ...(commit ? { commit } : {}),
+    ...fields
+  }, { signal, timeout: INDEX_JOB_TIMEOUT });
+
+  if (previousCommit) {
+    try {
+      const data = await post({ since: previousCommit });
+      return { ...data, mode: data?.data?.mode || 'incremental', commit, previousCommit };
+    } catch (error) {
+      if (!(error instanceof GoBackendError) || error.code !== 'http_error' || error.status >= 500) throw error;
+      console.error(`DEBUG - Go server rejected incremental indexing of ${repoUrl} since ${previousCommit}, reindexing fully:`, error.message);
+    }
+  }
+  const data = await post({});
+  return { ...data, mode: 'full', ...(commit ? { commit } : {}) };
+}
+
+// Forward job progress as MCP notifications/progress when the caller sent a
+// progress token; `settled()` resolves once every notification was sent
+function progressNotifier(ctx) {
+  if (ctx.progressToken === undefined || !ctx.sendNotification) return undefined;
+
+  let sending = Promise.resolve();
+  const notify = ({ progress, total, message }) => {
+    const sent = Promise.resolve(ctx.sendNotification({
+      method: 'notifications/progress',
+      params: {
+        progressToken: ctx.progressToken,
+        progress,
+        ...(total !== undefined ? { total } : {}),
+        ...(message ? { message } : {})
+      }
+    })).catch((error) => {
+      console.error('DEBUG - Failed to send progress notification:', error.message);
+    });
+    sending = sending.then(() => sent);
+  };
+  notify.settled = () => sending;
+  return notify;
+}
+
+// The index job manager from the context
+function requireIndexJobs(ctx) {
+  if (!ctx.indexJobs) {
+    throw new Error('Background indexing is not available on this server');
+  }
+  return ctx.indexJobs;
+}
+
+/**
+ * Start a background job indexing a GitHub repository or local path and
+ * return its job ID straight away. A caller that sent a progress token gets
+ * notifications/progress while the job runs and its reply when the job
+ * finishes, since progress may only be sent for a request still in flight.
+ */
+async function indexRepository({ repoUrl, path: localPath, branch = 'main', force = false }, ctx) {
+  if (!repoUrl && !localPath) {
+    throw new ToolInputError('Invalid arguments for indexRepository: one of repoUrl or path is required');
+  }
+
+  if (localPath && ctx.localSearch && !ctx.localSearch.allowsPath(localPath)) {
+    throw new ToolInputError(`Invalid arguments for indexRepository: path ${localPath} is outside the allowed index roots (LOCAL_INDEX_ROOTS)`);
+  }
+  if (!localPath) {
+    try {
+      repositoryUrl(repoUrl);
+    } catch (error) {
+      throw new ToolInputError(`Invalid arguments for indexRepository: ${error.message}`);
+    }
+  }
+  if (branch.startsWith('-')) {
+    throw new ToolInputError('Invalid arguments for indexRepository: branch must not start with "-"');
+  }
+
+  const indexJobs = requireIndexJobs(ctx);
+  const target = localPath || repoUrl;
+  const onProgress = progressNotifier(ctx);
+  // Spellings of one repository share a checkout, so they share a job too
+  const key = `${repositoryKey(target)}#${branch}`;
+  const job = indexJobs.start(
+    { target, branch, key },
+    async (run) => {
+      const result = await runIndex({ repoUrl, path: localPath, branch, force }, ctx, run);
+      // Cached searches predate the new index
+      ctx.searchCache?.invalidate(target);
+      return result;
+    },
+    { onProgress }
+  );
+
+  if (!onProgress) {
+    return {
+      success: true,
+      message: job.joined
+        ? `Indexing ${target} is already running; check progress with indexStatus`
+        : `Indexing ${target} started; check progress with indexStatus`,
+      ...job
+    };
+  }
+
+  // Cancelling the call stops the wait, not the job. Every progress
+  // notification is sent before the reply. Known client limitation: the SDK
+  // client handles a response before notifications that arrive in the same
+  // read and drops those, so it may miss the last ones; indexStatus still
+  // reports the final progress.
+  const finished = await indexJobs.wait(job.jobId, { signal: ctx.signal });
+  await onProgress.settled();
+  return {
+    success: finished.status === 'completed',
+    message: finished.status === 'running'
+      ? `Indexing ${target} is still running; check progress with indexStatus`
+      : `Indexing ${target} ${finished.status}`,
+    ...finished
+  };
+}
+
+/**
+ * Report one index job, or every job when no jobId is given
+ */
+async function indexStatus({ jobId }, ctx) {
+  const indexJobs = requireIndexJobs(ctx);
+  if (!jobId) {
+    return { success: true, jobs: indexJobs.list() };
+  }
+
+  const job = indexJobs.get(jobId);
+  if (!job) {
+    throw new ToolInputError(`Unknown index job: ${jobId}`);
+  }
+  return { success: true, ...job };
+}
+
+/**
+ * Cancel a running index job
+ */
+async function cancelIndex({ jobId }, ctx) {
+  const job = requireIndexJobs(ctx).cancel(jobId);
+  if (!job) {
+    throw new ToolInputError(`Unknown index job: ${jobId}`);
+  }
+  return { success: true, ...job };
+}
+
+// Session IDs name files on disk (see chat-sessions.js)
+const sessionIdSchema = z.string().regex(SESSION_ID_PATTERN, 'Use 1-128 letters, digits, "-" or "_"');
+
+/**
+ * The tool definitions. `schema` is a zod raw shape, `handler(args, ctx)`
+ * returns plain data and throws on failure; `errorPrefix` labels failures
+ * in tool results.
+ */
+export const tools = [
+  {
+    name: 'chat',
+    title: 'Chat',
+    description: 'Process a chat message with repository context',
+    route: '/chat',
+    schema: {
+      message: z.string().describe('The user message to process'),
+      repository: z.string().optional().describe('The GitHub repository to reference'),
+      context: z.record(z.any()).optional().describe('Additional context for the chat'),
+      sessionId: sessionIdSchema.optional()
+        .describe('Continue a conversation: earlier messages, repository and snippets are reused')
+    },
+    errorPrefix: 'Error processing chat',
+    handler: processChat
+  },
+  {
+    name: 'vectorSearch',
+    title: 'Vector Search',
+    description: 'Search for code in a repository',
+    route: '/vector-search',
+    schema: {
+      query: z.string().describe('The search query'),
+      repository: z.string().describe('The repository to search in, or the path of an indexed local directory'),
+      limit: z.number().optional().describe('Maximum number of results to return'),
+      mode: z.enum(['vector', 'keyword', 'hybrid']).optional()
+        .describe('vector (default), keyword for exact or /regex/ matches, or hybrid to merge both; keyword matching needs the repository in the embedded index'),
+      includePaths: z.array(z.string()).optional()
+        .describe('Only return files matching these globs (.gitignore syntax, e.g. "src/", "*.go")'),
+      excludePaths: z.array(z.string()).optional().describe('Skip files matching these globs, e.g. "*_test.go"'),
+      languages: z.array(z.string()).optional().describe('Only return these languages, e.g. ["go", "typescript"]'),
+      extensions: z.array(z.string()).optional().describe('Only return files with these extensions, e.g. [".go"]'),
+      minSimilarity: z.number().min(0).max(1).optional()
+        .describe('Drop vector results scoring below this similarity (0-1)'),
+      cursor: z.string().optional().describe('The nextCursor of a previous page, to fetch the page after it'),
+      noCache: z.boolean().optional().describe('Skip cached results and query the backend again'),
+      repoUrl: z.string().optional().describe('The GitHub repository URL to index when nothing is found'),
+      branch: z.string().optional().describe('Only search this branch, and index it when nothing is found (default: main)')
+    },
+    errorPrefix: 'Search failed',
+    handler: vectorSearch
+  },
+  {
+    name: 'indexRepository',
+    title: 'Index Repository',
+    description: 'Index a GitHub repository or local directory for search in the background; returns a job ID, or waits for the job when the call requests progress',
+    route: '/index-repository',
+    schema: {
+      repoUrl: z.string().optional().describe('The GitHub repository URL to index'),
+      path: z.string().optional().describe('A local directory to index instead; search it by its absolute path'),
+      branch: z.string().optional().describe('The branch to index (default: main)'),
+      force: z.boolean().optional().describe('Reindex fully, even when the branch was indexed before and looks unchanged')
+    },
+    errorPrefix: 'Repository indexing failed',
+    handler: indexRepository
+  },
+  {
+    name: 'indexStatus',
+    title: 'Index Status',
+    description: 'Report the status of a background indexing job, or list all jobs',
+    route: '/index-status',
+    schema: {
+      jobId: z.string().optional().describe('The job ID returned by indexRepository; omit to list every job')
+    },
+    errorPrefix: 'Index status failed',
+    handler: indexStatus
+  },
+  {
+    name: 'cancelIndex',
+    title: 'Cancel Index',
+    description: 'Cancel a running background indexing job',
+    route: '/cancel-index',
+    schema: {
+      jobId: z.string().describe('The job ID returned by indexRepository')
+    },
+    errorPrefix: 'Cancelling index failed',
+    handler: cancelIndex
+  },
+  {
+    name: 'listSessions',
+    title: 'List Sessions',
+    description: 'List chat sessions that have not expired',
+    route: '/list-sessions',
+    schema: {},
+    errorPrefix: 'Listing sessions failed',
+    handler: listSessions
+  },
+  {
+    name: 'clearSession',
+    title: 'Clear Session',
+    description: 'Delete a chat session and its history',
+    route: '/clear-session',
+    schema: {
+      sessionId: sessionIdSchema.describe('The session to delete')
+    },
+    errorPrefix: 'Clearing session failed',
+    handler: clearSession
+  }
+];
+
+const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+/**
+ * Look up a tool definition by name
+ * @param {string} name - Tool name
+ */
+export function getTool(name) {
+  return toolsByName.get(name);
+}
+
+// JSON Schema for a tool's arguments, without the $schema marker
+function toJsonSchema(tool) {
+  const { $schema, ...schema } = zodToJsonSchema(z.object(tool.schema));
+  return schema;
+}
+
+/**
+ * Legacy listOfferings payload generated from the registry, with the first
+ * page of indexed files as resources when a tool context is given
+ */
+export function getOfferings(ctx) {
+  return {
+    tools: tools.map(tool => ({
+      id: tool.name,
+      name: tool.title,
+      description: tool.description,
+      parameters: toJsonSchema(tool)
+    })),
+    resources: ctx ? listResources(ctx).resources : [],
+    resourceTemplates: listResourceTemplates()
+  };
+}
+
+/**
+ * MCP tools/list payload generated from the registry
+ */
+export function listTools() {
+  return tools.map(tool => ({
+    name: tool.name,
+    description: tool.description,
+    inputSchema: toJsonSchema(tool)
+  }));
+}
+
+/**
+ * Validate arguments and run a tool, returning its plain data
+ * @param {string} name - Tool name
+ * @param {Object} args - Unvalidated tool arguments
+ * @param {Object} ctx - Handler context (see the top of this file)
+ * @throws {ToolInputError} When the tool is unknown or the arguments are invalid
+ */
+export async function callTool(name, args, ctx) {
+  const tool = getTool(name);
+  if (!tool) {
+    throw new ToolInputError(`Unknown tool: ${name}`);
+  }
+
+  const parsed = z.object(tool.schema).safeParse(args ?? {});
+  if (!parsed.success) {
+    const details = parsed.error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`);
+    throw new ToolInputError(`Invalid arguments for ${name}: ${details.join('; ')}`, parsed.error.issues);
+  }
+
+  return tool.handler(parsed.data, ctx);
+}
+
+/**
+ * Wrap plain tool data as an MCP CallToolResult
+ */
+export function toToolResult(data) {
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify(data, null, 2),
+      },
+    ],
+  };
+}
+
+/**
+ * Wrap a tool failure as an MCP CallToolResult with isError set
+ */
+export function toToolError(tool, error) {
+  const errorMessage = error instanceof Error ? error.message : String(error);
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          status: 'error',
+          ...(error instanceof GoBackendError ? { code: error.code } : {}),
+          message: `${tool.errorPrefix}: ${errorMessage}`
+        }, null, 2),
+      },
+    ],
+    isError: true,
+  };
+}
+
+/**
+ * Register every registry tool on an McpServer
+ * @param {McpServer} server - MCP server to register on
+ * @param {Object} ctx - Handler context (see the top of this file)
+ * @param {Object} [options]
+ * @param {Object} [options.handlers] - Per-tool handler overrides, keyed by tool name
+ */
+export function registerTools(server, ctx, { handlers = {} } = {}) {
+  for (const tool of tools) {
+    const handler = handlers[tool.name] || tool.handler;
+    server.tool(tool.name, tool.description, tool.schema, async (args, extra) => {
+      try {
+        return toToolResult(await handler(args, {
+          ...ctx,
+          signal: extra?.signal,
+          progressToken: extra?._meta?.progressToken,
+          sendNotification: extra?.sendNotification
+        }));
+      } catch (error) {
+        return toToolError(tool, error);
+      }
+    });
+  }
+}
+
+/**
+ * Register a POST route per registry tool (e.g. POST /vector-search)
+ * @param {express.Application} app - Express application
+ * @param {Object} ctx - Handler context (see the top of this file)
+ */
+export function registerRestRoutes(app, ctx) {
+  for (const tool of tools) {
+    app.post(tool.route, async (req, res) => {
+      try {
+        res.json(await callTool(tool.name, req.body, ctx));
+      } catch (error) {
+        if (error instanceof ToolInputError) {
+          return res.status(400).json({ error: error.message });
+        }
+        if (error instanceof GoBackendError) {
+          return res.status(error.httpStatus).json({
+            error: `${tool.errorPrefix}: ${error.message}`,
+            code: error.code
+          });
+        }
+        console.error(`Error handling ${tool.route} request:`, error.message);
+        res.status(500).json({ error: `${tool.errorPrefix}: ${error.message}` });
+      }
+    });
+  }
+}
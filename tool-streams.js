@@ -0,0 +1,130 @@
+// tool-streams.js - chat and vectorSearch calls streamed over sockets
+//
+// The WebSocket and Socket.IO channels (mcp-protocol.js) run these tools
+// through a stream tracker, which reports partial results while a call is in
+// flight: search hits as `hit`s, and the chat answer as `token`s while the
+// LLM provider writes it (the whole reply as one token without a provider).
+// Each retriever's hits are sent as soon as it answers: in hybrid mode the
+// vector hits don't wait for keyword matching or fusion, and vice versa. A
+// retriever answers all at once (the Go server replies with a list, and the
+// embedded engine ranks in one pass), so its hits arrive together. Every
+// stream ends with exactly one completion carrying the tool's full data, in
+// final (fused) order, or one error. The channel decides how the three kinds of
+// frame look on the wire; calls are cancelled by the id the client gave them.
+
+import { callTool, ToolInputError } from './tool-registry.js';
+import { GoBackendError } from './go-client.js';
+
+// Tools that can be streamed
+export const STREAMING_TOOLS = new Set(['chat', 'vectorSearch']);
+
+// JSON-RPC error code of a cancelled request (as used by LSP)
+export const REQUEST_CANCELLED = -32800;
+
+/**
+ * Run a streaming tool, reporting partial results as they are produced
+ * @param {string} name - chat or vectorSearch
+ * @param {Object} args - Unvalidated tool arguments
+ * @param {Object} ctx - Tool context (see tool-registry.js)
+ * @param {Function} onPartial - Called with (kind, data): ('hit', { retriever, index, hit }), where
+ *   index is the hit's position in its retriever's page, or ('token', { text })
+ * @returns {Promise<Object>} The tool's data, as callTool returns it
+ */
+export async function streamTool(name, args, ctx, onPartial) {
+  if (name === 'chat') {
+    let streamed = false;
+    const data = await callTool('chat', args, {
+      ...ctx,
+      onToken: text => {
+        streamed = true;
+        onPartial('token', { text });
+      }
+    });
+    if (!streamed && data.message) onPartial('token', { text: data.message });
+    return data;
+  }
+
+  return callTool(name, args, {
+    ...ctx,
+    onHits: (retriever, hits) => hits.forEach((hit, index) => onPartial('hit', { retriever, index, hit }))
+  });
+}
+
+/**
+ * JSON-RPC error object for a failed stream
+ * @param {Error} error
+ * @param {AbortSignal} [signal] - The stream's signal; aborted means cancelled
+ * @returns {{ code: number, message: string, data?: Object }}
+ */
+export function streamError(error, signal) {
+  if (signal?.aborted) {
+    return { code: REQUEST_CANCELLED, message: 'Request cancelled' };
+  }
+  if (error instanceof ToolInputError) {
+    return { code: -32602, message: error.message };
+  }
+  if (error instanceof GoBackendError) {
+    return error.toJsonRpcError();
+  }
+  return { code: -32603, message: error.message };
+}
+
+/**
+ * Create the tracker of one connection's in-flight streams
+ * @param {Object} ctx - Tool context the streams run with
+ */
+export function createStreamTracker(ctx) {
+  // request id -> AbortController
+  const inFlight = new Map();
+
+  return {
+    /**
+     * Run a stream to its end. Exactly one of `complete` and `fail` is called;
+     * `partial` is not called after the stream was cancelled.
+     * @param {string|number} id - Client-chosen request id
+     * @param {string} name - chat or vectorSearch
+     * @param {Object} args - Unvalidated tool arguments
+     * @param {Object} frames - { partial(kind, data), complete(result), fail(error) }
+     */
+    async run(id, name, args, { partial, complete, fail }) {
+      if (inFlight.has(id)) {
+        fail({ code: -32600, message: `Request ${id} is already in flight` });
+        return;
+      }
+      const controller = new AbortController();
+      inFlight.set(id, controller);
+      try {
+        const result = await streamTool(name, args, { ...ctx, signal: controller.signal }, (kind, data) => {
+          if (!controller.signal.aborted) partial(kind, data);
+        });
+        if (controller.signal.aborted) {
+          fail(streamError(null, controller.signal));
+        } else {
+          complete(result);
+        }
+      } catch (error) {
+        fail(streamError(error, controller.signal));
+      } finally {
+        inFlight.delete(id);
+      }
+    },
+
+    /**
+     * Cancel an in-flight stream
+     * @returns {boolean} Whether a stream with that id was running
+     */
+    cancel(id, reason) {
+      const controller = inFlight.get(id);
+      if (!controller) return false;
+      controller.abort(reason);
+      return true;
+    },
+
+    /**
+     * Cancel every stream, e.g. when the connection closes
+     */
+    cancelAll(reason) {
+      for (const controller of inFlight.values()) controller.abort(reason);
+    }
+  };
+}